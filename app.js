@@ -1,111 +1,101 @@
 /**
  * Secteur Analyzer - Application d'analyse de secteur immobilier
  * Utilise les APIs publiques françaises : DVF, Geo API, INSEE
+ * Couche d'affichage : état de l'analyse, DOM, cache du navigateur, exports Excel et PDF.
+ * Les données (sources, normalisation, statistiques) viennent de core.js, les pages scrapées
+ * de parsers.js, le contenu des exports CSV / JSON / GeoJSON de exporters.js.
  */
 
+import {
+    API_CONFIG,
+    fetchCommuneByCode,
+    fetchCommuneByName,
+    geocodeAddress,
+    fetchDVFTransactions,
+    fetchMergedDVFTransactions,
+    localDVF,
+    LOCAL_DVF_FORMATS,
+    importLocalDVF,
+    clearLocalDVF,
+    isLocalDVFLoaded,
+    getLocalCommune,
+    findLocalCommunes,
+    localINSEELogement,
+    importINSEELogement,
+    clearINSEELogement,
+    isINSEELogementLoaded,
+    getDepartementCode,
+    fetchINSEELogementDepartement,
+    getLocalINSEELogement,
+    buildINSEELogementData,
+    fetchMeilleursAgentsData,
+    fetchLInternauteData,
+    normalizeForUrl,
+    computeSourceCoverage,
+    OUTLIER_CONFIG,
+    OUTLIER_METHODS,
+    EXCLUSION_REASONS,
+    hasCoordinates,
+    filterBySecteur,
+    calculateStats,
+    calculateEvolution,
+    YIELD_DEFAULTS,
+    YIELD_RENT_KEYS,
+    calculateRentalYield,
+    DIVERGENCE_DEFAULTS,
+    DIVERGENCE_MIN_SALES,
+    MA_PRICE_KEYS,
+    calculateSourceDivergence,
+    SIMULATION_DEFAULTS,
+    NOTARY_FEES_RATE,
+    simulateInvestment,
+    normalizeSearchText
+} from './core.js';
+import {
+    MA_EXTRACTORS,
+    MA_CONFIDENCE_LABELS,
+    getMAConfidence,
+    filterMeilleursAgentsConfidence,
+    countLowConfidenceMA
+} from './parsers.js';
+import {
+    buildExportRecords,
+    buildCSV,
+    buildGeoJSON,
+    buildAnalysisExport,
+    buildExportFilename
+} from './exporters.js';
+
 // ============================================
-// CONFIGURATION
+// ÉTAT DE L'APPLICATION
 // ============================================
 
-const API_CONFIG = {
-    geo: 'https://geo.api.gouv.fr',
-    // APIs DVF - multiples sources pour fallback
-    dvfApis: [
-        // API Etalab officielle (la plus fiable, mais nécessite section cadastrale)
-        {
-            name: 'etalab',
-            buildUrl: (code) => `https://app.dvf.etalab.gouv.fr/api/mutations3/${code}`,
-            needsCors: false,
-            parser: 'etalab'
-        },
-        // API cquest (complète, par code commune)
-        {
-            name: 'cquest',
-            buildUrl: (code) => `https://api.cquest.org/dvf?code_commune=${code}`,
-            needsCors: true,
-            parser: 'cquest'
-        },
-        // API OpenDataSoft (backup fiable)
-        {
-            name: 'opendatasoft',
-            buildUrl: (code) => `https://data.opendatasoft.com/api/explore/v2.1/catalog/datasets/buildingref-france-demande-de-valeurs-foncieres-geolocalisee-millesime@public/records?where=code_commune%3D%22${code}%22&limit=100&order_by=date_mutation%20desc`,
-            needsCors: false,
-            parser: 'opendatasoft'
-        }
-    ],
-    // Proxies CORS (en ordre de fiabilité)
-    corsProxies: [
-        'https://api.allorigins.win/raw?url=',
-        'https://corsproxy.io/?',
-        'https://api.codetabs.com/v1/proxy?quest='
-    ],
-    // URLs des sources pour liens manuels
-    sources: {
-        dvfEtalab: {
-            name: 'DVF Etalab',
-            baseUrl: 'https://app.dvf.etalab.gouv.fr/',
-            buildUrl: (deptCode) => `https://app.dvf.etalab.gouv.fr/?code_departement=${deptCode}`,
-            github: 'https://github.com/etalab/DVF-app'
-        },
-        meilleursAgents: {
-            name: 'MeilleursAgents',
-            baseUrl: 'https://www.meilleursagents.com/prix-immobilier/',
-            buildUrl: (nom, cp) => {
-                const slug = nom.toLowerCase()
-                    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
-                    .replace(/[^a-z0-9]+/g, '-')
-                    .replace(/^-|-$/g, '');
-                return `https://www.meilleursagents.com/prix-immobilier/${slug}-${cp}/`;
-            }
-        },
-        linternaute: {
-            name: "L'Internaute",
-            baseUrl: 'https://www.linternaute.com/ville/',
-            buildUrl: (nom, code) => {
-                const slug = nom.toLowerCase()
-                    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
-                    .replace(/[^a-z0-9]+/g, '-')
-                    .replace(/^-|-$/g, '');
-                return `https://www.linternaute.com/ville/${slug}/ville-${code}/immobilier`;
-            }
-        },
-        insee: {
-            name: 'INSEE',
-            baseUrl: 'https://www.insee.fr/fr/statistiques/zones/2011101',
-            buildUrl: (code) => `https://www.insee.fr/fr/statistiques/2011101?geo=COM-${code}`
-        },
-        dataGouv: {
-            name: 'Data.gouv.fr',
-            baseUrl: 'https://www.data.gouv.fr/fr/datasets/demandes-de-valeurs-foncieres/',
-            buildUrl: () => 'https://www.data.gouv.fr/fr/datasets/demandes-de-valeurs-foncieres/'
-        }
-    },
-    meilleursAgents: 'https://www.meilleursagents.com/prix-immobilier/',
-    // L'Internaute pour données INSEE détaillées
-    linternaute: {
-        baseUrl: 'https://www.linternaute.com/ville/',
-        // URL pattern: /ville/{nom-commune}/ville-{code}/immobilier
-        buildUrl: (nom, code) => {
-            const slug = nom.toLowerCase()
-                .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
-                .replace(/[^a-z0-9]+/g, '-')
-                .replace(/^-|-$/g, '');
-            return `https://www.linternaute.com/ville/${slug}/ville-${code}/immobilier`;
-        }
-    }
-};
-
 // État global de l'application
 let currentData = {
     commune: null,
     dvfTransactions: [],
     stats: {},
     meilleursAgents: null,
-    linternaute: null
+    // Données logement : recensement INSEE (source 'insee', avec son millésime) ou, à défaut, L'Internaute
+    logement: null,
+    // Secteur géographique : { adresse, latitude, longitude, rayon } ou null pour toute la commune
+    secteur: null,
+    // Provenance de chaque source : { cachedAt, fromCache } par source (geo, dvf, meilleursAgents, insee, linternaute)
+    cacheInfo: {},
+    // Résultat du dernier appel à chaque source DVF : 'ok', 'empty' ou 'error'
+    dvfSourceStatus: {},
+    // Mode de chargement des transactions affichées : fusion des sources ou première qui répond
+    mergeSources: false
 };
 
 let priceChart = null;
 
+// Communes épinglées pour le mode comparaison
+const MAX_COMPARED_COMMUNES = 5;
+const COMPARISON_COLORS = ['#f59e0b', '#3b82f6', '#22c55e', '#ec4899', '#a855f7'];
+let comparisonList = [];
+let comparisonChart = null;
+
 // ============================================
 // ÉLÉMENTS DOM
 // ============================================
@@ -119,7 +109,31 @@ const elements = {
     loadingOverlay: document.getElementById('loadingOverlay'),
     loadingText: document.getElementById('loadingText'),
     loadingProgress: document.getElementById('loadingProgress'),
-    exportBtn: document.getElementById('exportBtn')
+    exportBtn: document.getElementById('exportBtn'),
+    pdfBtn: document.getElementById('pdfBtn'),
+    exportFormatSelect: document.getElementById('exportFormatSelect'),
+    pinBtn: document.getElementById('pinBtn'),
+    shareBtn: document.getElementById('shareBtn'),
+    addressInput: document.getElementById('addressInput'),
+    radiusSelect: document.getElementById('radiusSelect'),
+    addressBtn: document.getElementById('addressBtn'),
+    mergeSourcesToggle: document.getElementById('mergeSourcesToggle'),
+    dvfFileInput: document.getElementById('dvfFileInput'),
+    dvfFileStatus: document.getElementById('dvfFileStatus'),
+    dvfFileClearBtn: document.getElementById('dvfFileClearBtn'),
+    inseeFileInput: document.getElementById('inseeFileInput'),
+    inseeFileStatus: document.getElementById('inseeFileStatus'),
+    inseeFileClearBtn: document.getElementById('inseeFileClearBtn'),
+    lassoBtn: document.getElementById('lassoBtn'),
+    clearSelectionBtn: document.getElementById('clearSelectionBtn'),
+    mapInfo: document.getElementById('mapInfo'),
+    explorerFilters: document.getElementById('explorerFilters'),
+    resetFiltersBtn: document.getElementById('resetFiltersBtn'),
+    pageSizeSelect: document.getElementById('pageSizeSelect'),
+    prevPageBtn: document.getElementById('prevPageBtn'),
+    nextPageBtn: document.getElementById('nextPageBtn'),
+    pageInfo: document.getElementById('pageInfo'),
+    comparison: document.getElementById('comparison')
 };
 
 // ============================================
@@ -162,6 +176,8 @@ async function searchCommunes(query) {
         displaySuggestions(communes);
     } catch (error) {
         console.error('Erreur recherche communes:', error);
+        // Hors ligne : communes du fichier DVF importé
+        if (isLocalDVFLoaded()) displaySuggestions(findLocalCommunes(query));
     }
 }
 
@@ -206,7 +222,23 @@ document.addEventListener('click', (e) => {
 
 elements.searchBtn.addEventListener('click', () => startAnalysis());
 
-async function startAnalysis(codeInsee = null) {
+// Analyse en cours : chaque recherche reçoit un identifiant et un AbortController. Une nouvelle
+// recherche annule les requêtes de la précédente, dont les réponses tardives sont ignorées
+let currentAnalysis = { id: 0, controller: new AbortController() };
+
+function beginAnalysis() {
+    currentAnalysis.controller.abort();
+    currentAnalysis = { id: currentAnalysis.id + 1, controller: new AbortController() };
+    return currentAnalysis;
+}
+
+function isCurrentAnalysis(analysis) {
+    return analysis.id === currentAnalysis.id;
+}
+
+// historyMode : 'push' (nouvelle entrée d'historique), 'replace' ou 'none' (navigation arrière/avant).
+// analysis : analyse déjà commencée par l'appelant (géocodage d'une adresse)
+async function startAnalysis(codeInsee = null, secteur = null, { historyMode = 'push', analysis = null } = {}) {
     const query = elements.cityInput.value.trim();
     
     if (!query && !codeInsee) {
@@ -214,6 +246,9 @@ async function startAnalysis(codeInsee = null) {
         return;
     }
     
+    analysis = analysis || beginAnalysis();
+    const { signal } = analysis.controller;
+    
     hideError();
     showLoading();
     updateProgress(10, 'Recherche de la commune...');
@@ -221,364 +256,564 @@ async function startAnalysis(codeInsee = null) {
     try {
         // Étape 1: Trouver la commune
         let commune;
+        currentData.cacheInfo = {};
         if (codeInsee) {
-            commune = await getCommuneByCode(codeInsee);
+            commune = await getCommuneByCode(codeInsee, { signal });
         } else {
-            commune = await getCommuneByName(query);
+            commune = await getCommuneByName(query, { signal });
         }
         
         if (!commune) {
             throw new Error('Commune non trouvée');
         }
         
-        currentData.commune = commune;
         updateProgress(30, 'Récupération des données DVF...');
         
-        // Étape 2: Récupérer les transactions DVF
-        const transactions = await getDVFTransactions(commune.code);
-        currentData.dvfTransactions = transactions;
-        updateProgress(60, 'Calcul des statistiques...');
-        
-        // Étape 3: Calculer les statistiques
-        currentData.stats = calculateStats(transactions, commune);
-        updateProgress(80, 'Récupération MeilleursAgents...');
-        
-        // Étape 4: Scraper MeilleursAgents (en parallèle, non bloquant)
-        getMeilleursAgentsData(commune).then(maData => {
-            currentData.meilleursAgents = maData;
-            displayMeilleursAgents(maData, commune);
-        }).catch(err => {
-            console.warn('MeilleursAgents non disponible:', err);
-            displayMeilleursAgentsError(commune);
+        // Étape 2: Récupérer les transactions DVF (progression page par page pour les sources paginées)
+        const dvfSourceStatus = {};
+        const transactions = await getDVFTransactions(commune.code, {
+            onProgress: reportDVFProgress,
+            sourceStatus: dvfSourceStatus,
+            signal
         });
         
-        // Étape 4b: Scraper L'Internaute pour données INSEE (en parallèle, non bloquant)
-        getLInternauteData(commune).then(liData => {
-            currentData.linternaute = liData;
-            displayLInternauteData(liData);
-        }).catch(err => {
-            console.warn("L'Internaute non disponible:", err);
-            // Afficher lien manuel
-            displayLInternauteError(commune);
-        });
+        // Toutes les données bloquantes sont là : l'analyse remplace la précédente
+        currentData.commune = commune;
+        currentData.secteur = secteur;
+        currentData.meilleursAgents = null;
+        currentData.logement = null;
+        currentData.dvfTransactions = transactions;
+        currentData.dvfSourceStatus = dvfSourceStatus;
+        currentData.mergeSources = API_CONFIG.dvfMergeSources;
+        resetSourceCards();
+        clearMapSelection(false);
+        explorerState.page = 1;
+        updateProgress(60, 'Calcul des statistiques...');
         
+        // Étape 3: Calculer les statistiques (sur le secteur si une adresse est choisie)
+        currentData.stats = calculateStats(getActiveTransactions(), commune);
         updateProgress(90, 'Génération du rapport...');
         
-        // Étape 5: Afficher les résultats
+        // Étape 4: Afficher les résultats
         await new Promise(resolve => setTimeout(resolve, 300));
+        signal.throwIfAborted();
         updateProgress(100, 'Terminé !');
         
         displayResults();
+        elements.cityInput.value = commune.nom;
+        if (historyMode !== 'none') updateURL(historyMode);
+        
+        // Étape 5: Sources scrapées (en parallèle, non bloquant), lancées après l'affichage :
+        // servies depuis le cache, elles répondent avant que les cartes soient réinitialisées
+        loadMeilleursAgents(commune);
+        loadLogement(commune);
         
     } catch (error) {
+        // Analyse remplacée par une nouvelle recherche : ni message, ni masquage du chargement
+        if (!isCurrentAnalysis(analysis)) return;
+        
         console.error('Erreur analyse:', error);
         showError(error.message || 'Une erreur est survenue lors de l\'analyse');
+        // Les sources encore en cours de l'analyse précédente ont été annulées : ses cartes
+        // seraient incomplètes
+        elements.results.classList.remove('active');
     } finally {
-        hideLoading();
+        if (isCurrentAnalysis(analysis)) hideLoading();
     }
 }
 
-// ============================================
-// APPELS API
-// ============================================
-
-async function getCommuneByCode(code) {
-    const response = await fetch(
-        `${API_CONFIG.geo}/communes/${code}?fields=nom,code,codesPostaux,population,surface,departement,region`
+// Progression du chargement DVF, entre 30 % et 60 % de la barre
+function reportDVFProgress({ source, loaded, total }) {
+    const ratio = total ? Math.min(loaded / total, 1) : 0;
+    updateProgress(
+        Math.round(30 + ratio * 30),
+        total
+            ? `Récupération des données DVF (${source}) : ${formatNumber(loaded)} / ${formatNumber(total)}...`
+            : `Récupération des données DVF (${source}) : ${formatNumber(loaded)} transactions...`
     );
-    if (!response.ok) throw new Error('Commune non trouvée');
-    return response.json();
 }
 
-async function getCommuneByName(name) {
-    const response = await fetch(
-        `${API_CONFIG.geo}/communes?nom=${encodeURIComponent(name)}&fields=nom,code,codesPostaux,population,surface,departement,region&limit=1&boost=population`
-    );
-    if (!response.ok) throw new Error('Erreur recherche');
-    const communes = await response.json();
-    return communes[0] || null;
+// Sources non bloquantes : rattachées à l'analyse en cours, leur résultat est ignoré
+// si une autre analyse a commencé entre-temps
+function loadMeilleursAgents(commune, options = {}) {
+    const analysis = currentAnalysis;
+    document.querySelector('#meilleursAgentsData .ma-loading').style.display = 'block';
+    document.querySelector('#meilleursAgentsData .ma-content').innerHTML = '';
+    
+    return getMeilleursAgentsData(commune, { ...options, signal: analysis.controller.signal }).then(maData => {
+        if (!isCurrentAnalysis(analysis)) return;
+        currentData.meilleursAgents = maData;
+        displayMeilleursAgents(maData, commune);
+        displaySourceDivergence();
+        displayRentalYield();
+        displaySimulation();
+    }).catch(err => {
+        if (!isCurrentAnalysis(analysis)) return;
+        console.warn('MeilleursAgents non disponible:', err);
+        displayMeilleursAgentsError(commune);
+    }).finally(() => {
+        if (isCurrentAnalysis(analysis)) updateCacheBadges();
+    });
+}
+
+function loadLogement(commune, options = {}) {
+    const analysis = currentAnalysis;
+    
+    return getLogementData(commune, { ...options, signal: analysis.controller.signal }).then(data => {
+        if (!isCurrentAnalysis(analysis)) return;
+        currentData.logement = data;
+        displayLogementData(data);
+    }).catch(err => {
+        if (!isCurrentAnalysis(analysis)) return;
+        console.warn("L'Internaute non disponible:", err);
+        // Afficher lien manuel
+        displayLInternauteError(commune);
+    }).finally(() => {
+        if (isCurrentAnalysis(analysis)) updateCacheBadges();
+    });
+}
+
+// Cartes remplies par les sources non bloquantes : vidées à chaque nouvelle analyse
+function resetSourceCards() {
+    document.querySelector('#meilleursAgentsData .ma-loading').style.display = 'none';
+    document.querySelector('#meilleursAgentsData .ma-content').innerHTML = '';
+    document.querySelector('#inseeData .insee-linternaute')?.remove();
+    document.querySelector('#demoGrid .linternaute-link')?.remove();
 }
 
-async function getDVFTransactions(codeInsee) {
-    console.log('🔍 Recherche DVF pour code INSEE:', codeInsee);
+// ============================================
+// ANALYSE PAR SECTEUR (ADRESSE + RAYON)
+// ============================================
+
+elements.addressBtn.addEventListener('click', () => analyzeAddress());
+
+elements.addressInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') analyzeAddress();
+});
+
+elements.mergeSourcesToggle.addEventListener('change', () => {
+    API_CONFIG.dvfMergeSources = elements.mergeSourcesToggle.checked;
+});
+
+// Changer le rayon après coup refiltre les transactions sans tout recharger
+elements.radiusSelect.addEventListener('change', () => {
+    if (!currentData.secteur || !currentData.commune) return;
+    currentData.secteur.rayon = parseInt(elements.radiusSelect.value, 10);
+    refreshResults();
+    displayTransactionMap();
+});
+
+async function analyzeAddress() {
+    const query = elements.addressInput.value.trim();
     
-    // Essayer chaque API DVF
-    for (const api of API_CONFIG.dvfApis) {
-        console.log(`📡 Tentative API ${api.name}...`);
-        
-        try {
-            let response;
-            const url = api.buildUrl(codeInsee);
-            
-            if (api.needsCors) {
-                // Essayer avec chaque proxy CORS
-                for (const proxy of API_CONFIG.corsProxies) {
-                    try {
-                        console.log(`  → Proxy: ${proxy.substring(0, 30)}...`);
-                        response = await fetch(proxy + encodeURIComponent(url), {
-                            signal: AbortSignal.timeout(15000)
-                        });
-                        if (response.ok) break;
-                    } catch (e) {
-                        console.warn(`  ✗ Proxy échoué:`, e.message);
-                        continue;
-                    }
-                }
-            } else {
-                response = await fetch(url, {
-                    signal: AbortSignal.timeout(15000)
-                });
-            }
-            
-            if (!response || !response.ok) {
-                console.warn(`  ✗ API ${api.name} - pas de réponse valide`);
-                continue;
-            }
-            
-            const data = await response.json();
-            let transactions = [];
-            
-            // Parser selon le type d'API
-            if (api.parser === 'etalab') {
-                // L'API Etalab retourne { mutations: [...] }
-                if (data.mutations && Array.isArray(data.mutations)) {
-                    transactions = data.mutations.map(normalizeTransactionEtalab);
-                    console.log(`  ✓ ${transactions.length} transactions via Etalab`);
-                }
-            } else if (api.parser === 'cquest') {
-                if (data.resultats && Array.isArray(data.resultats)) {
-                    transactions = data.resultats.map(normalizeTransactionCquest);
-                    console.log(`  ✓ ${transactions.length} transactions via cquest`);
-                }
-            } else if (api.parser === 'opendatasoft') {
-                if (data.results && Array.isArray(data.results)) {
-                    transactions = data.results.map(normalizeTransactionODS);
-                    console.log(`  ✓ ${transactions.length} transactions via OpenDataSoft`);
-                }
-            }
-            
-            if (transactions.length > 0) {
-                return transactions;
-            }
-            
-        } catch (e) {
-            console.warn(`  ✗ Erreur API ${api.name}:`, e.message);
-            continue;
-        }
+    if (!query) {
+        showError('Veuillez entrer une adresse');
+        return;
     }
     
-    console.warn('⚠️ Aucune donnée DVF trouvée');
-    return [];
+    hideError();
+    
+    // Le géocodage fait partie de l'analyse : annulé lui aussi par une nouvelle recherche
+    const analysis = beginAnalysis();
+    
+    try {
+        const place = await geocodeAddress(query, { signal: analysis.controller.signal });
+        if (!place) {
+            throw new Error('Adresse non trouvée');
+        }
+        
+        elements.addressInput.value = place.adresse;
+        elements.cityInput.value = place.city;
+        
+        await startAnalysis(place.citycode, {
+            adresse: place.adresse,
+            latitude: place.latitude,
+            longitude: place.longitude,
+            rayon: parseInt(elements.radiusSelect.value, 10)
+        }, { analysis });
+    } catch (error) {
+        if (!isCurrentAnalysis(analysis)) return;
+        console.error('Erreur géocodage:', error);
+        showError(error.message || 'Impossible de localiser cette adresse');
+    }
 }
 
-// Normaliser les données de l'API Etalab
-function normalizeTransactionEtalab(t) {
-    const surface = parseFloat(t.surface_reelle_bati) || parseFloat(t.surface_terrain) || 0;
-    const prix = parseFloat(t.valeur_fonciere) || 0;
-    return {
-        date: t.date_mutation,
-        type: normalizeType(t.type_local),
-        adresse: t.adresse_nom_voie || 'Non renseignée',
-        surface: surface,
-        prix: prix,
-        prixM2: surface > 0 ? Math.round(prix / surface) : 0,
-        pieces: parseInt(t.nombre_pieces_principales) || 0,
-        codePostal: t.code_postal,
-        idMutation: t.id_mutation
-    };
+// Transactions de la zone étudiée : toute la commune, ou seulement le secteur
+function getSecteurTransactions() {
+    return filterBySecteur(currentData.dvfTransactions, currentData.secteur);
 }
 
-// Normaliser les données des différentes APIs
-function normalizeTransactionCquest(t) {
-    return {
-        date: t.date_mutation,
-        type: normalizeType(t.type_local),
-        adresse: t.adresse_nom_voie || t.adresse || 'Non renseignée',
-        surface: parseFloat(t.surface_reelle_bati) || parseFloat(t.surface_terrain) || 0,
-        prix: parseFloat(t.valeur_fonciere) || 0,
-        prixM2: t.surface_reelle_bati > 0 ? Math.round(parseFloat(t.valeur_fonciere) / parseFloat(t.surface_reelle_bati)) : 0,
-        pieces: parseInt(t.nombre_pieces_principales) || 0
-    };
+// Transactions de la zone étudiée qui passent les filtres de l'explorateur
+function getFilteredTransactions() {
+    return getSecteurTransactions().filter(matchesExplorerFilters);
 }
 
-function normalizeTransactionODS(t) {
-    // OpenDataSoft a une structure légèrement différente
-    const surface = parseFloat(t.surface_reelle_bati) || parseFloat(t.surface_terrain) || 0;
-    const prix = parseFloat(t.valeur_fonciere) || 0;
-    return {
-        date: t.date_mutation,
-        type: normalizeType(t.type_local),
-        adresse: t.adresse_nom_voie || 'Non renseignée',
-        surface: surface,
-        prix: prix,
-        prixM2: surface > 0 ? Math.round(prix / surface) : 0,
-        pieces: parseInt(t.nombre_pieces_principales) || 0
-    };
+// Transactions retenues pour l'analyse : filtres de l'explorateur puis sélection sur la carte
+function getActiveTransactions() {
+    const transactions = getFilteredTransactions();
+    if (!mapSelection) return transactions;
+    return transactions.filter(t => mapSelection.has(t));
 }
 
-function normalizeTransactionCerema(t) {
-    const surface = parseFloat(t.sbati) || parseFloat(t.sterr) || 0;
-    const prix = parseFloat(t.valeur_fonciere) || 0;
-    return {
-        date: t.date_mutation,
-        type: normalizeType(t.libtypbien || t.type_local),
-        adresse: t.l_adresse?.join(', ') || 'Non renseignée',
-        surface: surface,
-        prix: prix,
-        prixM2: surface > 0 ? Math.round(prix / surface) : 0,
-        pieces: parseInt(t.nbpprinc) || 0
-    };
+// Recalcule les statistiques et rafraîchit l'affichage sans refaire les appels API
+function refreshResults() {
+    const transactions = getActiveTransactions();
+    currentData.stats = calculateStats(transactions, currentData.commune);
+    
+    displaySecteurInfo(currentData.secteur);
+    displayMainStats(currentData.stats);
+    displayPriceTable(currentData.stats.priceStats);
+    // La répartition INSEE / L'Internaute ne dépend pas des filtres : elle reste affichée
+    if (!getLogementHousing(currentData.logement)) {
+        displayHousingBars(currentData.stats.housingDist);
+    }
+    displayPriceChart(currentData.stats.yearlyStats);
+    displaySourceDivergence();
+    displayRentalYield();
+    displaySimulation();
+    displayDataQuality(currentData.stats.quality);
+    displayTransactions(transactions);
+    updateURL();
 }
 
-function normalizeType(type) {
-    if (!type) return 'Autre';
-    const t = type.toLowerCase();
-    if (t.includes('maison')) return 'Maison';
-    if (t.includes('appartement')) return 'Appartement';
-    if (t.includes('terrain') || t.includes('dépendance')) return 'Terrain';
-    if (t.includes('local') || t.includes('commerce')) return 'Commerce';
-    return 'Autre';
+function displaySecteurInfo(secteur) {
+    const el = document.getElementById('citySecteur');
+    if (!secteur) {
+        el.style.display = 'none';
+        return;
+    }
+    el.style.display = '';
+    el.textContent = `🎯 ${formatRadius(secteur.rayon)} autour de ${secteur.adresse}`;
 }
 
 // ============================================
-// SCRAPING MEILLEURSAGENTS
+// APPELS API
 // ============================================
 
-async function getMeilleursAgentsData(commune) {
-    // Construire l'URL MeilleursAgents
-    const citySlug = normalizeForUrl(commune.nom);
-    const codePostal = commune.codesPostaux?.[0] || '';
-    const maUrl = `${API_CONFIG.meilleursAgents}${citySlug}-${codePostal}/`;
+async function getCommuneByCode(code, options = {}) {
+    try {
+        return await withCache('geo', code, () => fetchCommuneByCode(code, options), options);
+    } catch (e) {
+        // Hors ligne : commune connue du fichier DVF importé
+        options.signal?.throwIfAborted();
+        const local = getLocalCommune(code);
+        if (local) return local;
+        throw e;
+    }
+}
+
+async function getCommuneByName(name, options = {}) {
+    try {
+        return await fetchCommuneByName(name, options);
+    } catch (e) {
+        // Hors ligne : commune connue du fichier DVF importé
+        options.signal?.throwIfAborted();
+        const local = findLocalCommunes(name, 1)[0];
+        if (local) return local;
+        throw e;
+    }
+}
+
+// options.onProgress({ source, loaded, total }) est appelé après chaque page chargée ;
+// options.sourceStatus reçoit le résultat de chaque source, y compris depuis le cache
+function getDVFTransactions(codeInsee, options = {}) {
+    // Fichier importé : déjà en mémoire, et ne doit pas masquer ni remplacer le cache des APIs
+    if (API_CONFIG.dvfLocalOnly && isLocalDVFLoaded()) {
+        return fetchDVFTransactions(codeInsee, options);
+    }
     
-    console.log('🔍 Tentative MeilleursAgents:', maUrl);
+    const merge = API_CONFIG.dvfMergeSources;
+    const cacheKey = merge ? `${codeInsee}:fusion` : codeInsee;
+    return withCache('dvf', cacheKey, () => (merge
+        ? fetchMergedDVFTransactions(codeInsee, options)
+        : fetchDVFTransactions(codeInsee, options)
+    ), options);
+}
+
+// ============================================
+// PROXY AUTO-HÉBERGÉ
+// ============================================
+
+// Si la page est servie par server/proxy.js, utiliser ce proxy en priorité
+async function detectOwnProxy() {
+    if (API_CONFIG.ownProxy || !location.protocol.startsWith('http')) return;
     
-    // Essayer chaque proxy CORS
-    for (const proxy of API_CONFIG.corsProxies) {
-        try {
-            const response = await fetch(proxy + encodeURIComponent(maUrl), {
-                headers: {
-                    'Accept': 'text/html',
-                },
-                timeout: 10000
-            });
-            
-            if (!response.ok) continue;
-            
-            const html = await response.text();
-            const data = parseMeilleursAgentsHTML(html);
-            
-            if (data && (data.appartement || data.maison)) {
-                data.url = maUrl;
-                console.log('✅ MeilleursAgents récupéré via', proxy);
-                return data;
-            }
-        } catch (e) {
-            console.warn('Proxy failed:', proxy, e.message);
-            continue;
+    try {
+        const response = await fetch(`${location.origin}/health`, {
+            signal: AbortSignal.timeout(2000)
+        });
+        if (!response.ok) return;
+        
+        const health = await response.json();
+        if (health.service === 'secteur-analyzer-proxy') {
+            API_CONFIG.ownProxy = `${location.origin}/proxy?url=`;
+            console.log('🔁 Proxy auto-hébergé détecté:', API_CONFIG.ownProxy);
         }
+    } catch (e) {
+        // Pas de proxy local : proxies publics uniquement
     }
-    
-    throw new Error('Tous les proxies ont échoué');
 }
 
-function normalizeForUrl(str) {
-    return str
-        .toLowerCase()
-        .normalize('NFD')
-        .replace(/[\u0300-\u036f]/g, '') // Enlever les accents
-        .replace(/[^a-z0-9]+/g, '-')     // Remplacer les caractères spéciaux par des tirets
-        .replace(/^-+|-+$/g, '');        // Enlever les tirets en début/fin
+// ============================================
+// IMPORT DVF LOCAL (HORS LIGNE)
+// ============================================
+
+elements.dvfFileInput.addEventListener('change', async () => {
+    const file = elements.dvfFileInput.files[0];
+    elements.dvfFileInput.value = '';
+    if (!file) return;
+    
+    try {
+        await importLocalDVF(file, ({ loaded, total, rows }) => {
+            const percent = total ? ` ${Math.round((loaded / total) * 100)}%` : '';
+            elements.dvfFileStatus.textContent = `Lecture de ${file.name}...${percent} (${formatNumber(rows)} lignes)`;
+        });
+    } catch (e) {
+        console.error('Erreur import DVF:', e);
+        clearLocalDVF();
+        showError(`Import impossible : ${e.message}`);
+    }
+    displayLocalDVFStatus();
+});
+
+elements.dvfFileClearBtn.addEventListener('click', () => {
+    clearLocalDVF();
+    displayLocalDVFStatus();
+});
+
+function displayLocalDVFStatus() {
+    const loaded = isLocalDVFLoaded();
+    elements.dvfFileClearBtn.style.display = loaded ? '' : 'none';
+    elements.dvfFileStatus.textContent = loaded
+        ? `${localDVF.fileName} (${LOCAL_DVF_FORMATS[localDVF.format].label}) : ${formatNumber(localDVF.rowCount)} lignes, ${formatNumber(localDVF.index.size)} communes${API_CONFIG.dvfLocalOnly ? ' — utilisé à la place des APIs DVF' : ''}`
+        : '';
 }
 
-function parseMeilleursAgentsHTML(html) {
-    const data = {
-        appartement: null,
-        maison: null,
-        loyer: null,
-        evolution: null
-    };
+// ============================================
+// IMPORT DU RECENSEMENT INSEE (BASE LOGEMENT)
+// ============================================
+
+elements.inseeFileInput.addEventListener('change', async () => {
+    const file = elements.inseeFileInput.files[0];
+    elements.inseeFileInput.value = '';
+    if (!file) return;
     
     try {
-        // Parser le HTML
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-        
-        // Méthode 1: Chercher les prix dans le texte de la page
-        const text = doc.body?.innerText || html;
-        
-        // Pattern pour les prix appartements
-        const apptMatch = text.match(/appartements[^€]*?(\d[\d\s]*)\s*€[^€]*?m²/i) 
-            || text.match(/prix\s+m²\s+moyen\s+des\s+appartements[^€]*?(\d[\d\s]*)\s*€/i)
-            || text.match(/appartement[^€]*?(\d[\d\s]*)\s*€\s*(?:\/\s*)?m²/i);
-        
-        // Pattern pour les prix maisons
-        const maisonMatch = text.match(/maisons[^€]*?(\d[\d\s]*)\s*€[^€]*?m²/i)
-            || text.match(/prix\s+(?:du\s+)?m²\s+(?:pour\s+les\s+)?maisons[^€]*?(\d[\d\s]*)\s*€/i)
-            || text.match(/maison[^€]*?(\d[\d\s]*)\s*€\s*(?:\/\s*)?m²/i);
-        
-        // Pattern pour les fourchettes de prix
-        const apptRangeMatch = text.match(/appartement[^€]*?entre\s*(\d[\d\s]*)\s*€\s*et\s*(\d[\d\s]*)\s*€/i)
-            || text.match(/appartement[^€]*?(\d[\d\s]*)\s*€[^€]*?(\d[\d\s]*)\s*€/i);
-        
-        const maisonRangeMatch = text.match(/maison[^€]*?entre\s*(\d[\d\s]*)\s*€\s*et\s*(\d[\d\s]*)\s*€/i)
-            || text.match(/maison[^€]*?(\d[\d\s]*)\s*€[^€]*?(\d[\d\s]*)\s*€/i);
-        
-        // Pattern pour les loyers
-        const loyerApptMatch = text.match(/loyer[^€]*?appartement[^€]*?(\d+(?:[.,]\d+)?)\s*€\s*(?:\/\s*)?m²/i)
-            || text.match(/appartement[^€]*?loyer[^€]*?(\d+(?:[.,]\d+)?)\s*€/i);
-        
-        const loyerMaisonMatch = text.match(/loyer[^€]*?maison[^€]*?(\d+(?:[.,]\d+)?)\s*€\s*(?:\/\s*)?m²/i)
-            || text.match(/maison[^€]*?loyer[^€]*?(\d+(?:[.,]\d+)?)\s*€/i);
-        
-        // Extraire les valeurs
-        if (apptMatch) {
-            data.appartement = {
-                prix: parsePrice(apptMatch[1]),
-                min: apptRangeMatch ? parsePrice(apptRangeMatch[1]) : null,
-                max: apptRangeMatch ? parsePrice(apptRangeMatch[2]) : null
-            };
-        }
-        
-        if (maisonMatch) {
-            data.maison = {
-                prix: parsePrice(maisonMatch[1]),
-                min: maisonRangeMatch ? parsePrice(maisonRangeMatch[1]) : null,
-                max: maisonRangeMatch ? parsePrice(maisonRangeMatch[2]) : null
-            };
-        }
-        
-        // Loyers
-        if (loyerApptMatch || loyerMaisonMatch) {
-            data.loyer = {
-                appartement: loyerApptMatch ? parseFloat(loyerApptMatch[1].replace(',', '.')) : null,
-                maison: loyerMaisonMatch ? parseFloat(loyerMaisonMatch[1].replace(',', '.')) : null
-            };
-        }
-        
-        // Méthode 2: Chercher dans les balises meta ou JSON-LD
-        const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
-        scripts.forEach(script => {
-            try {
-                const jsonData = JSON.parse(script.textContent);
-                // Extraire les données si disponibles
-                if (jsonData['@type'] === 'Product' || jsonData.offers) {
-                    // Traiter les données structurées
-                }
-            } catch (e) {}
+        await importINSEELogement(file, ({ loaded, total, communes }) => {
+            const percent = total ? ` ${Math.round((loaded / total) * 100)}%` : '';
+            elements.inseeFileStatus.textContent = `Lecture de ${file.name}...${percent} (${formatNumber(communes)} communes)`;
         });
-        
-        console.log('📊 Données MeilleursAgents parsées:', data);
-        
     } catch (e) {
-        console.error('Erreur parsing MeilleursAgents:', e);
+        console.error('Erreur import recensement:', e);
+        clearINSEELogement();
+        showError(`Import impossible : ${e.message}`);
+    }
+    displayINSEELogementStatus();
+});
+
+elements.inseeFileClearBtn.addEventListener('click', () => {
+    clearINSEELogement();
+    displayINSEELogementStatus();
+});
+
+function displayINSEELogementStatus() {
+    const loaded = isINSEELogementLoaded();
+    elements.inseeFileClearBtn.style.display = loaded ? '' : 'none';
+    elements.inseeFileStatus.textContent = loaded
+        ? `${localINSEELogement.fileName} : recensement ${localINSEELogement.annee}, ${formatNumber(localINSEELogement.communes.size)} communes`
+        : '';
+}
+
+// ============================================
+// CACHE PERSISTANT (INDEXEDDB)
+// ============================================
+
+let cacheDbPromise = null;
+
+function openCacheDB() {
+    if (cacheDbPromise) return cacheDbPromise;
+    
+    cacheDbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        const request = indexedDB.open(API_CONFIG.cache.dbName, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(API_CONFIG.cache.storeName, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            // Navigation privée, quota... : on continue sans cache
+            console.warn('⚠️ Cache IndexedDB indisponible:', request.error);
+            resolve(null);
+        };
+    });
+    
+    return cacheDbPromise;
+}
+
+async function cacheRead(key) {
+    const db = await openCacheDB();
+    if (!db) return null;
+    
+    return new Promise((resolve) => {
+        const request = db.transaction(API_CONFIG.cache.storeName, 'readonly')
+            .objectStore(API_CONFIG.cache.storeName)
+            .get(key);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+    });
+}
+
+async function cacheWrite(key, data, sourceStatus = null) {
+    const db = await openCacheDB();
+    if (!db) return;
+    
+    return new Promise((resolve) => {
+        const tx = db.transaction(API_CONFIG.cache.storeName, 'readwrite');
+        tx.objectStore(API_CONFIG.cache.storeName).put({ key, data, sourceStatus, cachedAt: Date.now() });
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => {
+            console.warn('⚠️ Écriture cache échouée:', tx.error);
+            resolve();
+        };
+    });
+}
+
+// Sert la réponse depuis le cache si elle est encore valide, sinon appelle fetcher et met en cache.
+// options.refresh force un nouvel appel (bouton "rafraîchir cette source") ; options.signal :
+// analyse annulée, la provenance n'est pas enregistrée dans currentData ; options.sourceStatus :
+// statut par source DVF rempli par fetcher, enregistré avec la réponse et restitué depuis le cache
+async function withCache(source, key, fetcher, { refresh = false, signal = null, sourceStatus = null } = {}) {
+    const cacheKey = `${source}:${key}`;
+    const ttl = API_CONFIG.cache.ttl[source] || 0;
+    
+    if (!refresh) {
+        const entry = await cacheRead(cacheKey);
+        signal?.throwIfAborted();
+        if (entry && Date.now() - entry.cachedAt < ttl) {
+            console.log(`💾 ${source} servi depuis le cache (${new Date(entry.cachedAt).toLocaleString('fr-FR')})`);
+            currentData.cacheInfo[source] = { cachedAt: new Date(entry.cachedAt), fromCache: true };
+            if (sourceStatus) Object.assign(sourceStatus, entry.sourceStatus);
+            return entry.data;
+        }
+    }
+    
+    const data = await fetcher();
+    
+    // Pas de mise en cache d'un échec silencieux (aucune transaction trouvée)
+    if (data && !(Array.isArray(data) && data.length === 0)) {
+        await cacheWrite(cacheKey, data, sourceStatus && { ...sourceStatus });
     }
+    signal?.throwIfAborted();
+    currentData.cacheInfo[source] = { cachedAt: new Date(), fromCache: false };
     
     return data;
 }
 
-function parsePrice(str) {
-    if (!str) return null;
-    return parseInt(str.replace(/\s/g, ''), 10);
+function renderCacheBadge(source) {
+    const info = currentData.cacheInfo[source];
+    if (!info) return '';
+    
+    const label = info.fromCache
+        ? `En cache du ${info.cachedAt.toLocaleDateString('fr-FR')} à ${info.cachedAt.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}`
+        : 'À jour';
+    
+    return `
+        <span class="cache-badge ${info.fromCache ? 'cached' : ''}" title="${label}">
+            ${info.fromCache ? '💾 ' + info.cachedAt.toLocaleDateString('fr-FR') : label}
+            <button type="button" class="cache-refresh" data-refresh-source="${source}" title="Rafraîchir cette source">↻</button>
+        </span>
+    `;
+}
+
+function updateCacheBadges() {
+    document.querySelectorAll('[data-cache-source]').forEach(slot => {
+        slot.innerHTML = renderCacheBadge(slot.dataset.cacheSource);
+    });
+}
+
+document.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-refresh-source]');
+    if (btn) refreshSource(btn.dataset.refreshSource);
+});
+
+async function refreshSource(source) {
+    const { commune } = currentData;
+    if (!commune) return;
+    
+    // Rafraîchissement rattaché à l'analyse affichée : annulé par une nouvelle recherche
+    const analysis = currentAnalysis;
+    const { signal } = analysis.controller;
+    console.log(`🔄 Rafraîchissement de la source ${source}`);
+    
+    if (source === 'meilleursAgents') {
+        await loadMeilleursAgents(commune, { refresh: true });
+        return;
+    }
+    if (source === 'insee' || source === 'linternaute') {
+        await loadLogement(commune, { refresh: true });
+        return;
+    }
+    
+    showLoading();
+    try {
+        if (source === 'geo') {
+            updateProgress(30, 'Actualisation de la commune...');
+            currentData.commune = await getCommuneByCode(commune.code, { refresh: true, signal });
+            displayCommuneHeader(currentData.commune);
+            displayDemographics(currentData.stats, currentData.commune);
+        } else if (source === 'dvf') {
+            updateProgress(30, 'Actualisation des données DVF...');
+            const dvfSourceStatus = {};
+            currentData.dvfTransactions = await getDVFTransactions(commune.code, {
+                refresh: true,
+                onProgress: reportDVFProgress,
+                sourceStatus: dvfSourceStatus,
+                signal
+            });
+            currentData.dvfSourceStatus = dvfSourceStatus;
+            currentData.mergeSources = API_CONFIG.dvfMergeSources;
+            clearMapSelection(false);
+            displaySourceCoverage();
+        }
+        updateProgress(100, 'Terminé !');
+        refreshResults();
+        displayTransactionMap();
+    } catch (error) {
+        if (!isCurrentAnalysis(analysis)) return;
+        console.error('Erreur rafraîchissement:', error);
+        showError(error.message || 'Impossible de rafraîchir cette source');
+    } finally {
+        if (isCurrentAnalysis(analysis)) {
+            hideLoading();
+            updateCacheBadges();
+        }
+    }
+}
+
+// ============================================
+// MEILLEURSAGENTS
+// ============================================
+
+function getMeilleursAgentsData(commune, options = {}) {
+    return withCache('meilleursAgents', commune.code, () => fetchMeilleursAgentsData(commune, options), options);
+}
+
+// Valeurs en fiabilité basse masquées tant que l'utilisateur ne les affiche pas
+let maShowLowConfidence = false;
+
+// Estimations MeilleursAgents affichées, utilisées par le rendement, la simulation et les exports
+function getMeilleursAgents() {
+    const data = currentData.meilleursAgents;
+    return maShowLowConfidence ? data : filterMeilleursAgentsConfidence(data);
+}
+
+function renderMAConfidence(data, field) {
+    const confidence = getMAConfidence(data, field);
+    const method = MA_EXTRACTORS.find(e => e.method === data.extraction?.[field]?.method);
+    return `<span class="ma-confidence ma-confidence-${confidence}" title="${method ? method.label : 'Méthode inconnue'}">${MA_CONFIDENCE_LABELS[confidence]}</span>`;
 }
 
 function displayMeilleursAgents(data, commune) {
@@ -589,26 +824,31 @@ function displayMeilleursAgents(data, commune) {
         return;
     }
     
+    const shown = maShowLowConfidence ? data : filterMeilleursAgentsConfidence(data);
+    const lowCount = countLowConfidenceMA(data);
+    
     let html = '<div class="ma-prices-grid">';
     
-    if (data.appartement) {
+    if (shown.appartement) {
         html += `
             <div class="ma-price-card">
                 <div class="type">Appartement</div>
-                <div class="price">${formatNumber(data.appartement.prix)} €/m²</div>
-                ${data.appartement.min && data.appartement.max ? 
-                    `<div class="range">${formatNumber(data.appartement.min)} € → ${formatNumber(data.appartement.max)} €</div>` : ''}
+                <div class="price">${formatNumber(shown.appartement.prix)} €/m²</div>
+                ${shown.appartement.min && shown.appartement.max ? 
+                    `<div class="range">${formatNumber(shown.appartement.min)} € → ${formatNumber(shown.appartement.max)} €</div>` : ''}
+                ${renderMAConfidence(data, 'appartement')}
             </div>
         `;
     }
     
-    if (data.maison) {
+    if (shown.maison) {
         html += `
             <div class="ma-price-card">
                 <div class="type">Maison</div>
-                <div class="price">${formatNumber(data.maison.prix)} €/m²</div>
-                ${data.maison.min && data.maison.max ? 
-                    `<div class="range">${formatNumber(data.maison.min)} € → ${formatNumber(data.maison.max)} €</div>` : ''}
+                <div class="price">${formatNumber(shown.maison.prix)} €/m²</div>
+                ${shown.maison.min && shown.maison.max ? 
+                    `<div class="range">${formatNumber(shown.maison.min)} € → ${formatNumber(shown.maison.max)} €</div>` : ''}
+                ${renderMAConfidence(data, 'maison')}
             </div>
         `;
     }
@@ -616,21 +856,23 @@ function displayMeilleursAgents(data, commune) {
     html += '</div>';
     
     // Loyers si disponibles
-    if (data.loyer && (data.loyer.appartement || data.loyer.maison)) {
+    if (shown.loyer && (shown.loyer.appartement || shown.loyer.maison)) {
         html += `
             <div class="ma-loyer">
                 <div style="font-size: 13px; color: var(--text-secondary); margin-bottom: 8px;">Loyers estimés</div>
                 <div class="ma-loyer-grid">
-                    ${data.loyer.appartement ? `
+                    ${shown.loyer.appartement ? `
                         <div class="ma-loyer-item">
                             <div class="label">Appartement</div>
-                            <div class="value">${data.loyer.appartement} €/m²</div>
+                            <div class="value">${shown.loyer.appartement} €/m²</div>
+                            ${renderMAConfidence(data, 'loyerAppartement')}
                         </div>
                     ` : ''}
-                    ${data.loyer.maison ? `
+                    ${shown.loyer.maison ? `
                         <div class="ma-loyer-item">
                             <div class="label">Maison</div>
-                            <div class="value">${data.loyer.maison} €/m²</div>
+                            <div class="value">${shown.loyer.maison} €/m²</div>
+                            ${renderMAConfidence(data, 'loyerMaison')}
                         </div>
                     ` : ''}
                 </div>
@@ -638,6 +880,17 @@ function displayMeilleursAgents(data, commune) {
         `;
     }
     
+    // Valeurs peu fiables (expressions régulières ou montants hors bornes), masquées par défaut
+    if (lowCount > 0) {
+        html += `
+            <button type="button" class="map-btn ma-low-toggle" id="maLowConfidenceBtn">
+                ${maShowLowConfidence
+                    ? 'Masquer les valeurs peu fiables'
+                    : `Afficher ${lowCount} valeur${lowCount > 1 ? 's' : ''} peu fiable${lowCount > 1 ? 's' : ''}`}
+            </button>
+        `;
+    }
+    
     // Lien vers MeilleursAgents
     if (data.url) {
         html += `
@@ -652,6 +905,14 @@ function displayMeilleursAgents(data, commune) {
     
     container.innerHTML = html;
     document.querySelector('#meilleursAgentsData .ma-loading').style.display = 'none';
+    
+    document.getElementById('maLowConfidenceBtn')?.addEventListener('click', () => {
+        maShowLowConfidence = !maShowLowConfidence;
+        displayMeilleursAgents(data, commune);
+        displaySourceDivergence();
+        displayRentalYield();
+        displaySimulation();
+    });
 }
 
 function displayMeilleursAgentsError(commune) {
@@ -675,177 +936,69 @@ function displayMeilleursAgentsError(commune) {
 }
 
 // ============================================
-// SCRAPING L'INTERNAUTE (INSEE)
+// DONNÉES LOGEMENT (RECENSEMENT INSEE)
 // ============================================
 
-async function getLInternauteData(commune) {
-    console.log("🏠 Récupération données L'Internaute pour:", commune.nom);
-    
-    const url = API_CONFIG.linternaute.buildUrl(commune.nom, commune.code);
-    console.log("📍 URL L'Internaute:", url);
-    
-    // Essayer chaque proxy CORS
-    for (const proxy of API_CONFIG.corsProxies) {
-        try {
-            console.log(`  → Essai proxy: ${proxy.substring(0, 30)}...`);
-            
-            const response = await fetch(proxy + encodeURIComponent(url), {
-                signal: AbortSignal.timeout(15000),
-                headers: {
-                    'Accept': 'text/html'
-                }
-            });
-            
-            if (!response.ok) continue;
-            
-            const html = await response.text();
-            
-            // Vérifier que c'est bien du HTML de L'Internaute
-            if (!html.includes('linternaute') && !html.includes('logement') && !html.includes('immobilier')) {
-                console.warn('  ✗ Contenu HTML non valide');
-                continue;
-            }
-            
-            const data = parseLInternauteHTML(html);
-            
-            if (data && (data.nbLogements || data.repartitionPieces || data.typesLogements)) {
-                data.url = url;
-                console.log("✓ Données L'Internaute récupérées:", data);
-                return data;
-            }
-            
-        } catch (e) {
-            console.warn(`  ✗ Proxy échoué:`, e.message);
-            continue;
+// Recensement INSEE en priorité ; L'Internaute seulement si la commune n'y figure pas
+// ou si aucun fichier du recensement n'est disponible
+async function getLogementData(commune, options = {}) {
+    try {
+        const census = await getINSEELogementData(commune, options);
+        if (census) {
+            console.log(`✓ Recensement INSEE ${census.annee} pour ${commune.nom}`);
+            return census;
         }
+        console.warn(`Commune ${commune.code} absente du recensement INSEE`);
+    } catch (e) {
+        options.signal?.throwIfAborted();
+        console.warn('Recensement INSEE non disponible:', e.message);
     }
     
-    console.warn("⚠️ L'Internaute non accessible via les proxies");
-    throw new Error("Données L'Internaute non disponibles");
+    // Pas de badge de cache pour un fichier du recensement qui n'a pas servi
+    delete currentData.cacheInfo.insee;
+    return getLInternauteData(commune, options);
 }
 
-function parseLInternauteHTML(html) {
-    const data = {
-        nbLogements: null,
-        residencesPrincipales: null,
-        residencesSecondaires: null,
-        logementsVacants: null,
-        typesLogements: null,  // Maisons vs Appartements
-        repartitionPieces: null,  // T1, T2, T3, etc.
-        proprietaires: null,
-        locataires: null,
-        anneeConstruction: null
-    };
+// Fichier importé, sinon JSON du département (mis en cache) ; null si la commune n'y est pas
+async function getINSEELogementData(commune, options = {}) {
+    if (isINSEELogementLoaded()) {
+        return getLocalINSEELogement(commune.code);
+    }
     
-    try {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-        const text = doc.body?.innerText || html;
-        
-        // Nombre total de logements
-        const nbLogMatch = text.match(/(\d[\d\s]*)\s*logements?\s*(?:au total|en\s*\d{4}|dans)/i)
-            || text.match(/nombre\s*(?:de\s*)?logements?\s*[:\s]*(\d[\d\s]*)/i)
-            || text.match(/parc\s*(?:de\s*)?logements?\s*[:\s]*(\d[\d\s]*)/i);
-        if (nbLogMatch) {
-            data.nbLogements = parseInt(nbLogMatch[1].replace(/\s/g, ''), 10);
-        }
-        
-        // Résidences principales
-        const rpMatch = text.match(/(\d[\d\s,]*)\s*résidences?\s*principales?/i)
-            || text.match(/résidences?\s*principales?\s*[:\s]*(\d[\d\s,]*)/i);
-        if (rpMatch) {
-            data.residencesPrincipales = parseInt(rpMatch[1].replace(/[\s,]/g, ''), 10);
-        }
-        
-        // Résidences secondaires
-        const rsMatch = text.match(/(\d[\d\s,]*)\s*résidences?\s*secondaires?/i)
-            || text.match(/résidences?\s*secondaires?\s*[:\s]*(\d[\d\s,]*)/i);
-        if (rsMatch) {
-            data.residencesSecondaires = parseInt(rsMatch[1].replace(/[\s,]/g, ''), 10);
-        }
-        
-        // Logements vacants
-        const lvMatch = text.match(/(\d[\d\s,]*)\s*logements?\s*vacants?/i)
-            || text.match(/logements?\s*vacants?\s*[:\s]*(\d[\d\s,]*)/i);
-        if (lvMatch) {
-            data.logementsVacants = parseInt(lvMatch[1].replace(/[\s,]/g, ''), 10);
-        }
-        
-        // Types de logements (Maisons vs Appartements)
-        const maisonsMatch = text.match(/(\d+(?:[.,]\d+)?)\s*%\s*(?:de\s*)?maisons/i)
-            || text.match(/maisons\s*[:\s]*(\d+(?:[.,]\d+)?)\s*%/i);
-        const apptsMatch = text.match(/(\d+(?:[.,]\d+)?)\s*%\s*(?:d['']?\s*)?appartements/i)
-            || text.match(/appartements\s*[:\s]*(\d+(?:[.,]\d+)?)\s*%/i);
-        
-        if (maisonsMatch || apptsMatch) {
-            data.typesLogements = {
-                maisons: maisonsMatch ? parseFloat(maisonsMatch[1].replace(',', '.')) : null,
-                appartements: apptsMatch ? parseFloat(apptsMatch[1].replace(',', '.')) : null
-            };
-        }
-        
-        // Répartition par nombre de pièces (T1, T2, T3, etc.)
-        data.repartitionPieces = {};
-        
-        // Pattern: "X% de 1 pièce" ou "1 pièce : X%"
-        const piecePatterns = [
-            { key: '1 pièce', regex: /(\d+(?:[.,]\d+)?)\s*%[^%]*?(?:de\s*)?1\s*pièce/i },
-            { key: '1 pièce', regex: /1\s*pièces?\s*[:\s]*(\d+(?:[.,]\d+)?)\s*%/i },
-            { key: '2 pièces', regex: /(\d+(?:[.,]\d+)?)\s*%[^%]*?(?:de\s*)?2\s*pièces/i },
-            { key: '2 pièces', regex: /2\s*pièces?\s*[:\s]*(\d+(?:[.,]\d+)?)\s*%/i },
-            { key: '3 pièces', regex: /(\d+(?:[.,]\d+)?)\s*%[^%]*?(?:de\s*)?3\s*pièces/i },
-            { key: '3 pièces', regex: /3\s*pièces?\s*[:\s]*(\d+(?:[.,]\d+)?)\s*%/i },
-            { key: '4 pièces', regex: /(\d+(?:[.,]\d+)?)\s*%[^%]*?(?:de\s*)?4\s*pièces/i },
-            { key: '4 pièces', regex: /4\s*pièces?\s*[:\s]*(\d+(?:[.,]\d+)?)\s*%/i },
-            { key: '5+ pièces', regex: /(\d+(?:[.,]\d+)?)\s*%[^%]*?(?:de\s*)?(?:5|plus\s*de\s*4)\s*pièces/i },
-            { key: '5+ pièces', regex: /(?:5|plus\s*de\s*4)\s*pièces?\s*[:\s]*(\d+(?:[.,]\d+)?)\s*%/i }
-        ];
-        
-        piecePatterns.forEach(({ key, regex }) => {
-            const match = text.match(regex);
-            if (match && !data.repartitionPieces[key]) {
-                data.repartitionPieces[key] = parseFloat(match[1].replace(',', '.'));
-            }
-        });
-        
-        // Propriétaires vs Locataires
-        const propMatch = text.match(/(\d+(?:[.,]\d+)?)\s*%\s*(?:de\s*)?propriétaires/i)
-            || text.match(/propriétaires\s*[:\s]*(\d+(?:[.,]\d+)?)\s*%/i);
-        const locMatch = text.match(/(\d+(?:[.,]\d+)?)\s*%\s*(?:de\s*)?locataires/i)
-            || text.match(/locataires\s*[:\s]*(\d+(?:[.,]\d+)?)\s*%/i);
-        
-        if (propMatch) data.proprietaires = parseFloat(propMatch[1].replace(',', '.'));
-        if (locMatch) data.locataires = parseFloat(locMatch[1].replace(',', '.'));
-        
-        // Année de construction
-        const constructionMatch = text.match(/construits?\s*(?:avant|après)\s*(\d{4})[^%]*?(\d+(?:[.,]\d+)?)\s*%/i);
-        if (constructionMatch) {
-            data.anneeConstruction = {
-                periode: constructionMatch[0].match(/avant|après/i)?.[0] + ' ' + constructionMatch[1],
-                pourcentage: parseFloat(constructionMatch[2].replace(',', '.'))
-            };
-        }
-        
-        console.log("📊 Données L'Internaute parsées:", data);
-        
-    } catch (e) {
-        console.error("Erreur parsing L'Internaute:", e);
-    }
-    
-    return data;
+    const departement = getDepartementCode(commune.code);
+    const census = await withCache('insee', departement, () => fetchINSEELogementDepartement(departement, options), options);
+    const row = census.communes[commune.code];
+    return row ? buildINSEELogementData(commune.code, row, census.annee) : null;
 }
 
-function displayLInternauteData(data) {
+// ============================================
+// L'INTERNAUTE (INSEE)
+// ============================================
+
+function getLInternauteData(commune, options = {}) {
+    return withCache('linternaute', commune.code, () => fetchLInternauteData(commune, options), options);
+}
+
+// Répartition par nombre de pièces (INSEE), au format de stats.housingDist, ou null
+function getLogementHousing(data) {
+    if (!data?.repartitionPieces || Object.keys(data.repartitionPieces).length === 0) return null;
+    return Object.entries(data.repartitionPieces).map(([label, percent]) => ({
+        label: label,
+        percent: percent
+    }));
+}
+
+// Recensement INSEE ou L'Internaute : même structure, seuls l'en-tête et le lien changent
+function displayLogementData(data) {
+    const census = data.source === 'insee';
+    
     // Mettre à jour la répartition des logements
-    if (data.repartitionPieces && Object.keys(data.repartitionPieces).length > 0) {
-        const housingData = Object.entries(data.repartitionPieces).map(([label, percent]) => ({
-            label: label,
-            percent: percent
-        }));
-        displayHousingBars(housingData, true);
+    const housingData = getLogementHousing(data);
+    if (housingData) {
+        displayHousingBars(housingData, census ? `INSEE ${data.annee}` : 'INSEE');
     }
     
-    // Ajouter une section L'Internaute si des données sont disponibles
+    // Ajouter une section logement si des données sont disponibles
     const inseeCard = document.getElementById('inseeData');
     if (!inseeCard) return;
     
@@ -918,140 +1071,56 @@ function displayLInternauteData(data) {
             </div>
         `;
     }
+    if (data.anneeConstruction) {
+        html += `
+            <div class="insee-stat">
+                <span class="label">Construits ${data.anneeConstruction.periode}</span>
+                <span class="value">${data.anneeConstruction.pourcentage}%</span>
+            </div>
+        `;
+    }
     
-    // Lien vers L'Internaute
+    // Lien vers le dossier INSEE ou L'Internaute
     if (data.url) {
         html += `
             <a href="${data.url}" target="_blank" class="ma-link" style="margin-top: 16px; display: inline-flex;">
                 <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
                 </svg>
-                Voir sur L'Internaute
+                ${census ? 'Voir le dossier complet INSEE' : "Voir sur L'Internaute"}
             </a>
         `;
     }
     
+    // Remplacer le bloc d'un chargement précédent (rafraîchissement de la source) et le lien
+    // de repli affiché si ce chargement avait échoué
+    inseeCard.querySelector('.insee-linternaute')?.remove();
+    document.querySelector('#demoGrid .linternaute-link')?.remove();
+    
     if (html) {
-        inseeCard.innerHTML += `
+        inseeCard.insertAdjacentHTML('beforeend', `
             <div class="insee-linternaute" style="margin-top: 16px; padding-top: 16px; border-top: 1px solid var(--border);">
                 <div style="font-size: 11px; text-transform: uppercase; color: var(--text-muted); margin-bottom: 12px; letter-spacing: 0.5px;">
-                    Données INSEE (L'Internaute)
+                    ${census ? `Recensement INSEE ${data.annee}` : "Données INSEE (L'Internaute)"}
                 </div>
                 <div class="insee-stats-grid" style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 12px;">
                     ${html}
                 </div>
             </div>
-        `;
+        `);
     }
 }
 
-function calculateStats(transactions, commune) {
-    const validTransactions = transactions.filter(t => t.prix > 0 && t.surface > 0);
-    
-    // Grouper par type
-    const byType = {};
-    validTransactions.forEach(t => {
-        if (!byType[t.type]) byType[t.type] = [];
-        byType[t.type].push(t);
-    });
-    
-    // Calculer stats par type
-    const priceStats = {};
-    Object.entries(byType).forEach(([type, trans]) => {
-        const prices = trans.map(t => t.prixM2).filter(p => p > 0);
-        if (prices.length > 0) {
-            priceStats[type] = {
-                count: trans.length,
-                min: Math.min(...prices),
-                max: Math.max(...prices),
-                avg: Math.round(prices.reduce((a, b) => a + b, 0) / prices.length),
-                median: median(prices)
-            };
-        }
-    });
-    
-    // Grouper par année pour le graphique
-    const byYear = {};
-    validTransactions.forEach(t => {
-        const year = new Date(t.date).getFullYear();
-        if (!byYear[year]) byYear[year] = [];
-        byYear[year].push(t);
-    });
-    
-    const yearlyStats = Object.entries(byYear)
-        .map(([year, trans]) => ({
-            year: parseInt(year),
-            count: trans.length,
-            avgPrice: Math.round(trans.reduce((a, t) => a + t.prixM2, 0) / trans.length)
-        }))
-        .sort((a, b) => a.year - b.year);
-    
-    // Répartition logements (simulation basée sur les transactions)
-    const housingDist = calculateHousingDistribution(validTransactions);
-    
-    return {
-        totalTransactions: transactions.length,
-        validTransactions: validTransactions.length,
-        priceStats,
-        yearlyStats,
-        housingDist,
-        population: commune.population,
-        surface: commune.surface,
-        density: commune.surface > 0 ? Math.round(commune.population / (commune.surface / 100)) : 0
-    };
-}
-
-function calculateHousingDistribution(transactions) {
-    // Simuler une répartition basée sur les surfaces
-    const surfaces = {
-        'Moins de 30m²': 0,
-        '30 à 60m²': 0,
-        '60 à 80m²': 0,
-        '80 à 100m²': 0,
-        '100 à 120m²': 0,
-        'Plus de 120m²': 0
-    };
-    
-    transactions.forEach(t => {
-        const s = t.surface;
-        if (s < 30) surfaces['Moins de 30m²']++;
-        else if (s < 60) surfaces['30 à 60m²']++;
-        else if (s < 80) surfaces['60 à 80m²']++;
-        else if (s < 100) surfaces['80 à 100m²']++;
-        else if (s < 120) surfaces['100 à 120m²']++;
-        else surfaces['Plus de 120m²']++;
-    });
-    
-    const total = transactions.length || 1;
-    return Object.entries(surfaces).map(([label, count]) => ({
-        label,
-        count,
-        percent: Math.round((count / total) * 100)
-    }));
-}
-
-function median(arr) {
-    const sorted = [...arr].sort((a, b) => a - b);
-    const mid = Math.floor(sorted.length / 2);
-    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
-}
-
 // ============================================
 // AFFICHAGE DES RÉSULTATS
 // ============================================
 
 function displayResults() {
-    const { commune, stats, dvfTransactions } = currentData;
-    
-    // Reset MeilleursAgents
-    document.querySelector('#meilleursAgentsData .ma-loading').style.display = 'block';
-    document.querySelector('#meilleursAgentsData .ma-content').innerHTML = '';
+    const { commune, stats } = currentData;
     
     // Header
-    document.getElementById('cityName').textContent = commune.nom;
-    document.getElementById('cityDept').innerHTML = `📍 ${commune.departement?.nom || ''} (${commune.departement?.code || ''})`;
-    document.getElementById('cityPop').innerHTML = `👥 ${formatNumber(commune.population)} habitants`;
-    document.getElementById('cityCode').innerHTML = `🏛️ INSEE: ${commune.code}`;
+    displayCommuneHeader(commune);
+    displaySecteurInfo(currentData.secteur);
     
     // Stats principales
     displayMainStats(stats);
@@ -1068,15 +1137,37 @@ function displayResults() {
     // Graphique évolution
     displayPriceChart(stats.yearlyStats);
     
+    // Écart DVF / MeilleursAgents, rendement locatif et simulation (complétés à l'arrivée de MeilleursAgents)
+    displaySourceDivergence();
+    displayRentalYield();
+    displaySimulation();
+    
+    // Qualité des données et couverture des sources DVF
+    displayDataQuality(stats.quality);
+    displaySourceCoverage();
+    
     // Transactions
-    displayTransactions(dvfTransactions);
+    displayTransactions(getActiveTransactions());
     
     // Liens sources
     displaySourceLinks(commune);
     
+    // Provenance des données (cache ou appel direct)
+    updateCacheBadges();
+    
     // Afficher la section résultats
     elements.results.classList.add('active');
     elements.results.scrollIntoView({ behavior: 'smooth' });
+    
+    // Carte (après affichage, Leaflet a besoin des dimensions du conteneur)
+    displayTransactionMap();
+}
+
+function displayCommuneHeader(commune) {
+    document.getElementById('cityName').textContent = commune.nom;
+    document.getElementById('cityDept').innerHTML = `📍 ${commune.departement?.nom || ''} (${commune.departement?.code || ''})`;
+    document.getElementById('cityPop').innerHTML = `👥 ${formatNumber(commune.population)} habitants`;
+    document.getElementById('cityCode').innerHTML = `🏛️ INSEE: ${commune.code}`;
 }
 
 function displayMainStats(stats) {
@@ -1093,7 +1184,7 @@ function displayMainStats(stats) {
         <div class="stat-card">
             <div class="stat-label">Transactions DVF</div>
             <div class="stat-value">${formatNumber(stats.totalTransactions)}</div>
-            <div class="stat-change">sur 5 ans</div>
+            <div class="stat-change">${formatPeriod(stats.period)}</div>
         </div>
         <div class="stat-card">
             <div class="stat-label">Population</div>
@@ -1116,12 +1207,9 @@ function displayMainStats(stats) {
     document.getElementById('statsGrid').innerHTML = statsHtml;
 }
 
-function calculateEvolution(yearlyStats) {
-    if (yearlyStats.length < 2) return null;
-    const first = yearlyStats[0].avgPrice;
-    const last = yearlyStats[yearlyStats.length - 1].avgPrice;
-    if (first === 0) return null;
-    return Math.round(((last - first) / first) * 100);
+function formatPeriod(period) {
+    if (!period) return '-';
+    return period.from === period.to ? `en ${period.from}` : `de ${period.from} à ${period.to}`;
 }
 
 function displayPriceTable(priceStats) {
@@ -1167,6 +1255,113 @@ function displayPriceTable(priceStats) {
     document.getElementById('priceTable').innerHTML = html;
 }
 
+function displayDataQuality(quality) {
+    const container = document.getElementById('dataQuality');
+    
+    document.getElementById('qualitySummary').textContent = quality.total > 0
+        ? `${formatNumber(quality.kept)} ventes retenues sur ${formatNumber(quality.total)} (${Math.round((quality.kept / quality.total) * 100)}%)`
+        : '-';
+    
+    const reasonsHtml = quality.reasons.length > 0
+        ? quality.reasons.map(r => `
+            <div class="price-row">
+                <span class="price-label">${r.label}</span>
+                <span class="price-value">${formatNumber(r.count)}</span>
+            </div>
+        `).join('')
+        : '<p style="color: var(--text-muted); font-size: 13px;">Aucune vente exclue</p>';
+    
+    const types = Object.keys(OUTLIER_CONFIG.byType);
+    const typesHtml = types.map(type => {
+        const report = quality.byType[type];
+        const method = OUTLIER_CONFIG.byType[type].method;
+        const options = Object.entries(OUTLIER_METHODS).map(([value, label]) => 
+            `<option value="${value}" ${value === method ? 'selected' : ''}>${label}</option>`
+        ).join('');
+        
+        return `
+            <tr>
+                <td>${type}</td>
+                <td><select data-outlier-type="${type}">${options}</select></td>
+                <td>${report ? formatNumber(report.candidates) : '-'}</td>
+                <td>${report ? formatNumber(report.rejected) : '-'}</td>
+                <td>${report?.bounds ? `${formatNumber(Math.max(report.bounds[0], 0))} → ${formatNumber(report.bounds[1])} €/m²` : '-'}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    container.innerHTML = `
+        <div>
+            <div class="quality-title">Exclusions par motif</div>
+            ${reasonsHtml}
+        </div>
+        <div>
+            <div class="quality-title">Rejet des valeurs aberrantes par type</div>
+            <table class="transactions-table quality-table">
+                <thead>
+                    <tr>
+                        <th>Type</th>
+                        <th>Méthode</th>
+                        <th>Ventes</th>
+                        <th>Rejetées</th>
+                        <th>Bornes retenues</th>
+                    </tr>
+                </thead>
+                <tbody>${typesHtml}</tbody>
+            </table>
+        </div>
+    `;
+    
+    container.querySelectorAll('select[data-outlier-type]').forEach(select => {
+        select.addEventListener('change', () => {
+            OUTLIER_CONFIG.byType[select.dataset.outlierType].method = select.value;
+            refreshResults();
+        });
+    });
+}
+
+function displaySourceCoverage() {
+    const container = document.getElementById('sourceCoverage');
+    const coverage = computeSourceCoverage(currentData.dvfTransactions, currentData.dvfSourceStatus);
+    const merged = currentData.dvfTransactions.some(t => t.sources?.length > 1) || API_CONFIG.dvfMergeSources;
+    
+    const statusLabels = {
+        ok: '<span style="color: var(--success)">Données reçues</span>',
+        empty: '<span style="color: var(--text-muted)">Aucune donnée</span>',
+        error: '<span style="color: var(--error)">Échec</span>',
+        unknown: '<span style="color: var(--text-muted)">Non interrogée</span>'
+    };
+    
+    container.innerHTML = `
+        <div class="quality-title">
+            Couverture des sources DVF
+            ${merged ? '' : '— mode première source disponible (cochez « Fusionner toutes les sources DVF » pour comparer)'}
+        </div>
+        <table class="transactions-table quality-table">
+            <thead>
+                <tr>
+                    <th>Source</th>
+                    <th>Statut</th>
+                    <th>Mutations</th>
+                    <th>Uniquement dans cette source</th>
+                    <th>Part du total</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${coverage.map(c => `
+                    <tr>
+                        <td>${c.label}</td>
+                        <td>${statusLabels[c.status] || statusLabels.unknown}</td>
+                        <td>${formatNumber(c.count)}</td>
+                        <td>${merged ? formatNumber(c.unique) : '-'}</td>
+                        <td>${c.share}%</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
 function displayDemographics(stats, commune) {
     const html = `
         <div class="demo-item">
@@ -1175,7 +1370,7 @@ function displayDemographics(stats, commune) {
         </div>
         <div class="demo-item">
             <div class="label">Superficie</div>
-            <div class="value">${(commune.surface / 100).toFixed(1)} km²</div>
+            <div class="value">${commune.surface ? (commune.surface / 100).toFixed(1) + ' km²' : '-'}</div>
         </div>
         <div class="demo-item">
             <div class="label">Densité</div>
@@ -1190,21 +1385,22 @@ function displayDemographics(stats, commune) {
     document.getElementById('demoGrid').innerHTML = html;
 }
 
-function displayHousingBars(housingDist, fromLInternaute = false) {
+// sourceLabel : source INSEE affichée dans le titre, à la place des surfaces des ventes DVF
+function displayHousingBars(housingDist, sourceLabel = null) {
     const container = document.getElementById('housingBars');
     
-    // Si les données viennent de L'Internaute, mettre à jour le titre
-    if (fromLInternaute) {
-        const title = document.querySelector('#housingBars')?.closest('.card')?.querySelector('h3');
-        if (title) {
-            title.innerHTML = `
-                <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
-                </svg>
+    // Titre selon la source : pièces (INSEE) ou titre par défaut pour les surfaces DVF
+    const title = container?.closest('.section-card')?.querySelector('.section-title');
+    if (title) {
+        title.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
+            </svg>
+            ${sourceLabel ? `
                 Répartition par Pièces
-                <span style="font-size: 10px; color: var(--accent); margin-left: 8px; font-weight: normal;">INSEE</span>
-            `;
-        }
+                <span style="font-size: 10px; color: var(--accent); margin-left: 8px; font-weight: normal;">${sourceLabel}</span>
+            ` : 'Répartition des Logements'}
+        `;
     }
     
     // Vérifier si on a des données
@@ -1215,7 +1411,7 @@ function displayHousingBars(housingDist, fromLInternaute = false) {
             <div style="text-align: center; padding: 20px; color: var(--text-muted);">
                 <p style="margin-bottom: 8px;">Données non disponibles</p>
                 <p style="font-size: 12px; opacity: 0.7;">
-                    Les données de répartition seront affichées si disponibles via L'Internaute
+                    Les données de répartition seront affichées si disponibles via le recensement INSEE ou L'Internaute
                 </p>
             </div>
         `;
@@ -1240,11 +1436,12 @@ function displayHousingBars(housingDist, fromLInternaute = false) {
 function displayLInternauteError(commune) {
     const url = API_CONFIG.linternaute.buildUrl(commune.nom, commune.code);
     
-    // Ajouter un lien dans la section démographie
+    // Ajouter un lien dans la section démographie (une seule fois, même après un rafraîchissement)
     const demoGrid = document.getElementById('demoGrid');
     if (demoGrid) {
+        demoGrid.querySelector('.linternaute-link')?.remove();
         const linkHtml = `
-            <div class="demo-item" style="grid-column: span 2;">
+            <div class="demo-item linternaute-link" style="grid-column: span 2;">
                 <a href="${url}" target="_blank" class="ma-link" style="font-size: 13px;">
                     <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
@@ -1263,6 +1460,7 @@ function displayPriceChart(yearlyStats) {
     // Détruire le graphique existant
     if (priceChart) {
         priceChart.destroy();
+        priceChart = null;
     }
     
     if (yearlyStats.length === 0) {
@@ -1341,28 +1539,59 @@ function displayPriceChart(yearlyStats) {
 }
 
 function displayTransactions(transactions) {
-    const recent = transactions
-        .filter(t => t.prix > 0)
-        .sort((a, b) => new Date(b.date) - new Date(a.date))
-        .slice(0, 50);
+    const { sort, pageSize } = explorerState;
+    const listed = sortTransactions(transactions.filter(t => t.prix > 0), sort);
+    
+    const pageCount = Math.max(1, Math.ceil(listed.length / pageSize));
+    explorerState.page = Math.min(explorerState.page, pageCount);
+    const start = (explorerState.page - 1) * pageSize;
+    const page = listed.slice(start, start + pageSize);
+    
+    const filtered = countActiveFilters() > 0 || mapSelection;
+    document.getElementById('transactionCount').textContent = listed.length > 0
+        ? `${start + 1}–${start + page.length} sur ${formatNumber(listed.length)} transactions${filtered ? ` (filtrées sur ${formatNumber(getSecteurTransactions().length)})` : ''}`
+        : `0 sur ${formatNumber(getSecteurTransactions().length)} transactions`;
+    
+    elements.pageInfo.textContent = `Page ${explorerState.page} / ${pageCount}`;
+    elements.prevPageBtn.disabled = explorerState.page <= 1;
+    elements.nextPageBtn.disabled = explorerState.page >= pageCount;
+    
+    document.querySelectorAll('.transactions-table th[data-sort]').forEach(th => {
+        th.classList.toggle('sorted', th.dataset.sort === sort.key);
+        th.classList.toggle('asc', th.dataset.sort === sort.key && sort.dir === 'asc');
+    });
     
-    document.getElementById('transactionCount').textContent = 
-        `${recent.length} sur ${transactions.length} transactions`;
+    // Motifs d'exclusion des statistiques, affichés sur chaque ligne concernée
+    const exclusions = new Map(
+        (currentData.stats.quality?.excluded || []).map(e => [e.transaction, EXCLUSION_REASONS[e.reason]])
+    );
     
-    const html = recent.map(t => `
-        <tr>
+    const html = page.map(t => `
+        <tr title="Source : ${(t.sources || [t.source]).filter(Boolean).join(', ') || '-'}">
             <td>${formatDate(t.date)}</td>
-            <td><span class="type-badge ${t.type.toLowerCase()}">${t.type}</span></td>
+            <td>
+                <span class="type-badge ${t.type.toLowerCase()}">${t.type}</span>
+                ${t.mixte ? '<span class="type-badge mixte" title="Vente de plusieurs usages, exclue des prix au m²">Mixte</span>' : ''}
+                ${exclusions.has(t) && !t.mixte ? `<span class="type-badge excluded" title="${exclusions.get(t)}">Exclue</span>` : ''}
+                ${t.nbLots > 1 ? `<span class="lots-count" title="Lots regroupés dans cette vente">${t.nbLots} lots</span>` : ''}
+            </td>
             <td style="max-width: 200px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${t.adresse}</td>
             <td>${t.surface > 0 ? t.surface + ' m²' : '-'}</td>
+            <td>${t.pieces > 0 ? t.pieces : '-'}</td>
             <td style="font-weight: 600;">${formatNumber(t.prix)} €</td>
             <td style="color: var(--accent);">${t.prixM2 > 0 ? formatNumber(t.prixM2) + ' €' : '-'}</td>
         </tr>
     `).join('');
     
-    document.getElementById('transactionsBody').innerHTML = html || `
+    const emptyMessage = filtered && getSecteurTransactions().length > 0 ? `
+        <tr>
+            <td colspan="7" style="text-align: center; padding: 40px 20px; color: var(--text-muted);">
+                Aucune transaction ne correspond aux filtres
+            </td>
+        </tr>
+    ` : `
         <tr>
-            <td colspan="6" style="text-align: center; padding: 40px 20px;">
+            <td colspan="7" style="text-align: center; padding: 40px 20px;">
                 <div style="color: var(--text-muted);">
                     <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" fill="none" viewBox="0 0 24 24" stroke="currentColor" style="margin-bottom: 12px; opacity: 0.5;">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
@@ -1373,214 +1602,1957 @@ function displayTransactions(transactions) {
             </td>
         </tr>
     `;
+    
+    document.getElementById('transactionsBody').innerHTML = html || emptyMessage;
 }
 
 // ============================================
-// AFFICHAGE DES LIENS SOURCES
+// ÉCART DVF / MEILLEURSAGENTS
 // ============================================
 
-function displaySourceLinks(commune) {
-    const container = document.getElementById('sourceLinks');
-    if (!container) return;
+// Seuil d'alerte (voir DIVERGENCE_DEFAULTS dans core.js), conservé d'une analyse à l'autre
+const divergenceSettings = { ...DIVERGENCE_DEFAULTS };
+
+const DIVERGENCE_POSITION_LABELS = {
+    dessous: 'Sous Q1',
+    dans: 'Dans Q1 – Q3',
+    dessus: 'Au-dessus de Q3'
+};
+
+const DIVERGENCE_TRUST_LABELS = {
+    coherent: 'Sources cohérentes',
+    dvf: 'Privilégier DVF (ventes réelles)',
+    meilleursAgents: 'Privilégier MeilleursAgents (peu de ventes)'
+};
+
+document.querySelectorAll('#divergenceSettings [data-divergence]').forEach(input => {
+    input.value = divergenceSettings[input.dataset.divergence];
+    input.addEventListener('input', () => {
+        const value = parseFloat(input.value);
+        divergenceSettings[input.dataset.divergence] = Number.isFinite(value) && value > 0 ? value : DIVERGENCE_DEFAULTS[input.dataset.divergence];
+        if (!currentData.commune) return;
+        displaySourceDivergence();
+    });
+});
+
+function displaySourceDivergence() {
+    const container = document.getElementById('sourceDivergence');
+    const summary = document.getElementById('divergenceSummary');
+    const meilleursAgents = getMeilleursAgents();
+    const rows = calculateSourceDivergence(currentData.stats, meilleursAgents, divergenceSettings.seuil);
     
-    const deptCode = commune.departement?.code || commune.code.substring(0, 2);
-    const cp = commune.codesPostaux?.[0] || '';
+    if (rows.length === 0) {
+        summary.textContent = '-';
+        container.innerHTML = `
+            <p style="color: var(--text-muted); font-size: 13px;">
+                ${currentData.meilleursAgents
+                    ? 'Pas de prix MeilleursAgents (fiable) pour les types de biens vendus dans cette zone.'
+                    : 'La comparaison nécessite les prix estimés par MeilleursAgents, indisponibles pour le moment.'}
+            </p>
+        `;
+        return;
+    }
     
-    const sources = [
-        {
-            name: 'DVF Etalab',
-            desc: 'Transactions immobilières officielles',
-            url: `https://app.dvf.etalab.gouv.fr/?code_departement=${deptCode}`,
-            icon: '🏛️'
-        },
-        {
-            name: 'Code source DVF',
-            desc: 'GitHub Etalab - Open Source',
-            url: 'https://github.com/etalab/DVF-app',
-            icon: '💻'
-        },
-        {
-            name: 'MeilleursAgents',
-            desc: 'Estimations et prix du marché',
-            url: API_CONFIG.sources.meilleursAgents.buildUrl(commune.nom, cp),
-            icon: '📊'
-        },
-        {
-            name: "L'Internaute",
-            desc: 'Données INSEE détaillées',
-            url: API_CONFIG.sources.linternaute.buildUrl(commune.nom, commune.code),
-            icon: '📰'
-        },
-        {
-            name: 'INSEE',
-            desc: 'Statistiques officielles',
-            url: API_CONFIG.sources.insee.buildUrl(commune.code),
-            icon: '📈'
-        },
-        {
-            name: 'Data.gouv.fr',
-            desc: 'Télécharger les données DVF brutes',
-            url: 'https://www.data.gouv.fr/fr/datasets/demandes-de-valeurs-foncieres/',
-            icon: '📁'
-        }
-    ];
+    const signedPercent = value => `${value > 0 ? '+' : ''}${value.toLocaleString('fr-FR')} %`;
+    const signedEuro = value => `${value > 0 ? '+' : ''}${formatNumber(value)} €/m²`;
     
-    const html = sources.map(s => `
-        <a href="${s.url}" target="_blank" class="source-link-card">
-            <div class="icon">${s.icon}</div>
-            <div class="info">
-                <div class="name">${s.name}</div>
-                <div class="desc">${s.desc}</div>
-            </div>
-            <svg class="arrow" xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
-            </svg>
-        </a>
-    `).join('');
+    summary.textContent = rows.map(r => `${r.type} : ${signedPercent(r.ecartPercent)}${r.alerte ? ' ⚠️' : ''}`).join(' · ');
     
-    container.innerHTML = html;
+    const alerts = rows.filter(r => r.alerte);
+    const alertHtml = alerts.length > 0 ? `
+        <div class="divergence-alert">
+            ${alerts.map(r => `
+                <div>⚠️ ${r.type} : MeilleursAgents ${r.ecart > 0 ? 'au-dessus' : 'en dessous'} de la médiane DVF de
+                ${Math.abs(r.ecartPercent).toLocaleString('fr-FR')} % (seuil ${divergenceSettings.seuil.toLocaleString('fr-FR')} %)
+                — ${DIVERGENCE_TRUST_LABELS[r.confiance]}</div>
+            `).join('')}
+        </div>
+    ` : '';
+    
+    container.innerHTML = `
+        ${alertHtml}
+        <table class="transactions-table quality-table">
+            <thead>
+                <tr>
+                    <th>Type</th>
+                    <th>Ventes DVF</th>
+                    <th>Médiane DVF</th>
+                    <th>Q1 – Q3 DVF</th>
+                    <th>Moyenne DVF</th>
+                    <th>MeilleursAgents</th>
+                    <th>Écart</th>
+                    <th>Position</th>
+                    <th>À retenir</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(r => `
+                    <tr>
+                        <td style="font-weight: 600;">${r.type}</td>
+                        <td>${formatNumber(r.count)}</td>
+                        <td>${formatNumber(r.median)} €/m²</td>
+                        <td>${formatNumber(r.q1)} – ${formatNumber(r.q3)} €/m²</td>
+                        <td>${formatNumber(r.avg)} €/m²</td>
+                        <td>${formatNumber(r.maPrice)} €/m² ${renderMAConfidence(meilleursAgents, MA_PRICE_KEYS[r.type])}</td>
+                        <td style="color: ${r.alerte ? 'var(--error)' : 'inherit'};">
+                            ${signedEuro(r.ecart)}<br>${signedPercent(r.ecartPercent)}
+                        </td>
+                        <td>${DIVERGENCE_POSITION_LABELS[r.position]}</td>
+                        <td>${DIVERGENCE_TRUST_LABELS[r.confiance]}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="yield-note">
+            Écart = prix MeilleursAgents - médiane des ventes DVF retenues (filtres et secteur appliqués).
+            Les ventes réelles font foi dès ${DIVERGENCE_MIN_SALES} ventes ; en deçà, la médiane DVF est trop instable
+            et l'estimation MeilleursAgents est plus représentative.
+        </p>
+    `;
 }
 
 // ============================================
-// EXPORT EXCEL
+// RENDEMENT LOCATIF
 // ============================================
 
-elements.exportBtn.addEventListener('click', exportToExcel);
+// Hypothèses de calcul (voir YIELD_DEFAULTS dans core.js), conservées d'une analyse à l'autre
+const yieldAssumptions = { ...YIELD_DEFAULTS };
+
+document.querySelectorAll('#yieldAssumptions [data-yield]').forEach(input => {
+    input.value = yieldAssumptions[input.dataset.yield];
+    input.addEventListener('input', () => {
+        const value = parseFloat(input.value);
+        yieldAssumptions[input.dataset.yield] = Number.isFinite(value) && value >= 0 ? value : 0;
+        if (!currentData.commune) return;
+        displayRentalYield();
+        displaySimulation();
+    });
+});
 
-function exportToExcel() {
-    const { commune, stats, dvfTransactions, meilleursAgents, linternaute } = currentData;
+function displayRentalYield() {
+    const container = document.getElementById('rentalYield');
+    const summary = document.getElementById('yieldSummary');
+    const yields = calculateRentalYield(currentData.stats, getMeilleursAgents()?.loyer, yieldAssumptions);
     
-    if (!commune) {
-        showError('Aucune donnée à exporter');
+    if (yields.length === 0) {
+        summary.textContent = '-';
+        container.innerHTML = `
+            <p style="color: var(--text-muted); font-size: 13px;">
+                ${currentData.meilleursAgents
+                    ? 'Pas de loyer MeilleursAgents (fiable) pour les types de biens vendus dans cette zone.'
+                    : 'Le rendement nécessite les loyers estimés par MeilleursAgents, indisponibles pour le moment.'}
+            </p>
+        `;
         return;
     }
     
-    const wb = XLSX.utils.book_new();
+    summary.textContent = yields.map(y => `${y.type} : ${formatYield(y.gross)} brut, ${formatYield(y.net)} net`).join(' · ');
+    
+    const rowHtml = (label, y, count, strong = false) => `
+        <tr${strong ? ' style="font-weight: 600;"' : ''}>
+            <td>${label}</td>
+            <td>${formatNumber(count)}</td>
+            <td>${formatNumber(y.priceM2)} €/m²</td>
+            <td>${formatNumber(y.annualRent)} €/m²</td>
+            <td>${formatNumber(y.netIncome)} €/m²</td>
+            <td>${formatYield(y.gross)}</td>
+            <td style="color: var(--accent);">${formatYield(y.net)}</td>
+        </tr>
+    `;
     
-    // Feuille 1: Synthèse
-    const syntheseData = [
-        ['ANALYSE DE SECTEUR - ' + commune.nom.toUpperCase()],
-        ['Généré le ' + new Date().toLocaleDateString('fr-FR')],
-        [''],
-        ['INFORMATIONS GÉNÉRALES'],
-        ['Commune', commune.nom],
-        ['Code INSEE', commune.code],
-        ['Département', commune.departement?.nom || ''],
-        ['Code postal', commune.codesPostaux?.join(', ') || ''],
-        ['Population', commune.population],
-        ['Superficie (km²)', (commune.surface / 100).toFixed(2)],
-        ['Densité (hab/km²)', stats.density],
-        [''],
-        ['PRIX AU M² (DVF - Transactions réelles)'],
-    ];
+    container.innerHTML = `
+        <table class="transactions-table quality-table">
+            <thead>
+                <tr>
+                    <th>Type / surface</th>
+                    <th>Ventes</th>
+                    <th>Prix médian</th>
+                    <th>Loyer annuel</th>
+                    <th>Revenu net</th>
+                    <th>Rendement brut</th>
+                    <th>Rendement net</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${yields.map(y => `
+                    ${rowHtml(`${y.type} (loyer ${formatNumber(y.rentM2)} €/m²/mois)`, y, currentData.stats.priceStats[y.type].count, true)}
+                    ${y.bands.map(band => rowHtml(`&nbsp;&nbsp;${band.label}`, band, band.count)).join('')}
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="yield-note">
+            Loyer MeilleursAgents identique pour toutes les surfaces : les petites surfaces, souvent louées plus cher au m²,
+            sont sous-estimées. Revenu net = loyer × (1 - vacance) × (1 - charges) - taxe foncière. Avant impôts et frais d'acquisition.
+        </p>
+    `;
+}
+
+function formatYield(value) {
+    return value === null || value === undefined ? '-' : `${value.toLocaleString('fr-FR')} %`;
+}
+
+// ============================================
+// SIMULATION D'INVESTISSEMENT
+// ============================================
+
+// Paramètres saisis (voir SIMULATION_DEFAULTS dans core.js), enregistrés dans l'URL de l'analyse
+let simulationState = { ...SIMULATION_DEFAULTS };
+
+// Champs laissés vides : valeur déduite du marché (prix, loyer, apport, revalorisation)
+const SIMULATION_AUTO_FIELDS = ['prix', 'loyer', 'apport', 'revalorisation'];
+
+let simulationTimeout = null;
+
+document.querySelectorAll('#simulationForm [data-sim]').forEach(input => {
+    const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+    input.addEventListener(eventName, () => {
+        simulationState[input.dataset.sim] = parseSimulationValue(input.dataset.sim, input.value);
+        
+        if (simulationTimeout) clearTimeout(simulationTimeout);
+        simulationTimeout = setTimeout(() => {
+            if (!currentData.commune) return;
+            displaySimulation();
+            updateURL();
+        }, eventName === 'input' ? 300 : 0);
+    });
+});
+
+syncSimulationInputs();
+
+function parseSimulationValue(key, raw) {
+    if (key === 'type') return raw === 'Maison' ? 'Maison' : 'Appartement';
     
-    Object.entries(stats.priceStats).forEach(([type, data]) => {
-        syntheseData.push([type, '', 'Moyen', data.avg + ' €', 'Min', data.min + ' €', 'Max', data.max + ' €', 'Nb', data.count]);
+    const value = parseFloat(String(raw).replace(',', '.'));
+    if (!Number.isFinite(value)) return SIMULATION_DEFAULTS[key];
+    if (key === 'revalorisation') return value;
+    if (key === 'duree' || key === 'detention') return Math.max(1, Math.round(value));
+    if (key === 'surface') return value > 0 ? value : SIMULATION_DEFAULTS.surface;
+    return Math.max(0, value);
+}
+
+function syncSimulationInputs() {
+    document.querySelectorAll('#simulationForm [data-sim]').forEach(input => {
+        input.value = simulationState[input.dataset.sim] ?? '';
+    });
+}
+
+// Simulation sur les prix de la zone analysée (filtres compris) et les loyers MeilleursAgents
+function runSimulation() {
+    const { type } = simulationState;
+    return simulateInvestment(simulationState, {
+        priceM2: currentData.stats.priceStats[type]?.median,
+        rentM2: getMeilleursAgents()?.loyer?.[YIELD_RENT_KEYS[type]],
+        yearlyStats: currentData.stats.yearlyStats,
+        assumptions: yieldAssumptions
     });
+}
+
+function displaySimulation() {
+    const container = document.getElementById('simulation');
+    const summary = document.getElementById('simulationSummary');
+    const sim = runSimulation();
     
-    // Ajouter données MeilleursAgents si disponibles
-    if (meilleursAgents && (meilleursAgents.appartement || meilleursAgents.maison)) {
-        syntheseData.push(['']);
-        syntheseData.push(['ESTIMATIONS MEILLEURSAGENTS']);
-        if (meilleursAgents.appartement) {
-            syntheseData.push(['Appartement', meilleursAgents.appartement.prix + ' €/m²', 
-                'Min', (meilleursAgents.appartement.min || '-') + ' €', 
-                'Max', (meilleursAgents.appartement.max || '-') + ' €']);
-        }
-        if (meilleursAgents.maison) {
-            syntheseData.push(['Maison', meilleursAgents.maison.prix + ' €/m²',
-                'Min', (meilleursAgents.maison.min || '-') + ' €', 
-                'Max', (meilleursAgents.maison.max || '-') + ' €']);
-        }
-        if (meilleursAgents.loyer) {
-            syntheseData.push(['']);
-            syntheseData.push(['LOYERS ESTIMÉS']);
-            if (meilleursAgents.loyer.appartement) {
-                syntheseData.push(['Loyer Appartement', meilleursAgents.loyer.appartement + ' €/m²']);
-            }
-            if (meilleursAgents.loyer.maison) {
-                syntheseData.push(['Loyer Maison', meilleursAgents.loyer.maison + ' €/m²']);
-            }
+    // Valeurs déduites du marché affichées en indication dans les champs vides
+    document.querySelectorAll('#simulationForm [data-sim]').forEach(input => {
+        if (SIMULATION_AUTO_FIELDS.includes(input.dataset.sim)) {
+            input.placeholder = sim ? `auto : ${formatNumber(sim[input.dataset.sim])}` : 'auto';
         }
+    });
+    
+    if (!sim) {
+        const missing = [
+            simulationState.prix === null && !currentData.stats.priceStats[simulationState.type]
+                && `le prix (aucune vente de type ${simulationState.type} retenue dans la zone)`,
+            simulationState.loyer === null && !getMeilleursAgents()?.loyer?.[YIELD_RENT_KEYS[simulationState.type]]
+                && 'le loyer mensuel (loyer MeilleursAgents indisponible)'
+        ].filter(Boolean);
+        summary.textContent = '-';
+        container.innerHTML = `
+            <p style="color: var(--text-muted); font-size: 13px;">Renseignez ${missing.join(' et ')} pour lancer la simulation.</p>
+        `;
+        return;
     }
     
-    // Ajouter données L'Internaute/INSEE si disponibles
-    if (linternaute) {
-        syntheseData.push(['']);
-        syntheseData.push(['DONNÉES INSEE (L\'INTERNAUTE)']);
-        
-        if (linternaute.nbLogements) {
-            syntheseData.push(['Nombre total de logements', linternaute.nbLogements]);
-        }
-        if (linternaute.residencesPrincipales) {
-            syntheseData.push(['Résidences principales', linternaute.residencesPrincipales]);
-        }
-        if (linternaute.residencesSecondaires) {
-            syntheseData.push(['Résidences secondaires', linternaute.residencesSecondaires]);
-        }
-        if (linternaute.logementsVacants) {
-            syntheseData.push(['Logements vacants', linternaute.logementsVacants]);
-        }
-        if (linternaute.typesLogements) {
-            if (linternaute.typesLogements.maisons) {
-                syntheseData.push(['Part maisons', linternaute.typesLogements.maisons + '%']);
-            }
-            if (linternaute.typesLogements.appartements) {
-                syntheseData.push(['Part appartements', linternaute.typesLogements.appartements + '%']);
+    const cashFlowColor = sim.cashFlowMensuel >= 0 ? 'var(--success)' : 'var(--error)';
+    summary.textContent = `Cash-flow ${formatNumber(sim.cashFlowMensuel)} €/mois · TRI ${sim.tri === null ? '-' : formatYield(sim.tri)}`;
+    
+    const figure = (label, value, style = '') => `
+        <div class="demo-item">
+            <div class="label">${label}</div>
+            <div class="value"${style ? ` style="${style}"` : ''}>${value}</div>
+        </div>
+    `;
+    
+    container.innerHTML = `
+        <div class="sim-figures">
+            ${figure('Coût total', `${formatNumber(sim.coutTotal)} €`)}
+            ${figure('Dont frais de notaire', `${formatNumber(sim.fraisNotaire)} €`)}
+            ${figure('Emprunt', `${formatNumber(sim.emprunt)} €`)}
+            ${figure('Mensualité + assurance', `${formatNumber(sim.mensualite + sim.assuranceMensuelle)} €`)}
+            ${figure('Loyer net mensuel', `${formatNumber(sim.revenuNetMensuel)} €`)}
+            ${figure('Cash-flow mensuel', `${formatNumber(sim.cashFlowMensuel)} €`, `color: ${cashFlowColor};`)}
+            ${figure(`Revente dans ${sim.params.detention} ans (${formatYield(sim.revalorisation)}/an)`, `${formatNumber(sim.valeurRevente)} €`)}
+            ${figure('TRI sur la détention', sim.tri === null ? '-' : formatYield(sim.tri), 'color: var(--accent);')}
+        </div>
+        <table class="transactions-table quality-table">
+            <thead>
+                <tr>
+                    <th>Année</th>
+                    <th>Loyers nets</th>
+                    <th>Crédit + assurance</th>
+                    <th>Cash-flow</th>
+                    <th>Capital restant dû</th>
+                    <th>Revente nette du prêt</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${sim.flux.map(f => `
+                    <tr>
+                        <td>${f.annee}</td>
+                        <td>${formatNumber(f.revenuNet)} €</td>
+                        <td>${formatNumber(f.credit)} €</td>
+                        <td style="color: ${f.cashFlow >= 0 ? 'var(--success)' : 'var(--error)'};">${formatNumber(f.cashFlow)} €</td>
+                        <td>${formatNumber(sim.amortissement[f.annee - 1]?.capitalRestant ?? 0)} €</td>
+                        <td>${f.revente ? `${formatNumber(f.revente)} €` : '-'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="yield-note">
+            Frais de notaire de ${NOTARY_FEES_RATE * 100} % (ancien). Charges, taxe foncière et vacance : hypothèses du rendement locatif.
+            Revente sans frais ni fiscalité sur la plus-value ; revenus locatifs avant impôts.
+        </p>
+    `;
+}
+
+// ============================================
+// CARTE DES TRANSACTIONS
+// ============================================
+
+const MAP_PRICE_COLORS = ['#22c55e', '#84cc16', '#f59e0b', '#f97316', '#ef4444'];
+
+let transactionMap = null;
+const mapLayers = { contour: null, secteur: null, markers: null, lasso: null, legend: null };
+const mapMarkers = new Map();   // transaction -> marqueur Leaflet
+let mapSelection = null;        // Set des transactions sélectionnées sur la carte, ou null
+let lassoMode = false;
+
+elements.lassoBtn.addEventListener('click', () => setLassoMode(!lassoMode));
+elements.clearSelectionBtn.addEventListener('click', () => clearMapSelection());
+
+function initTransactionMap() {
+    if (transactionMap) return transactionMap;
+    
+    transactionMap = L.map('transactionMap', { preferCanvas: true });
+    L.tileLayer(API_CONFIG.map.tileUrl, {
+        attribution: API_CONFIG.map.attribution,
+        maxZoom: API_CONFIG.map.maxZoom
+    }).addTo(transactionMap);
+    
+    mapLayers.markers = L.layerGroup().addTo(transactionMap);
+    setupLasso(transactionMap);
+    
+    return transactionMap;
+}
+
+function displayTransactionMap() {
+    if (typeof L === 'undefined') {
+        elements.mapInfo.textContent = 'Carte indisponible (Leaflet non chargé)';
+        return;
+    }
+    
+    const map = initTransactionMap();
+    const { commune, secteur } = currentData;
+    map.invalidateSize();
+    
+    // Contour de la commune
+    if (mapLayers.contour) map.removeLayer(mapLayers.contour);
+    mapLayers.contour = commune.contour
+        ? L.geoJSON(commune.contour, {
+            style: { color: '#f59e0b', weight: 2, fillOpacity: 0.03 },
+            interactive: false
+        }).addTo(map)
+        : null;
+    
+    // Cercle du secteur
+    if (mapLayers.secteur) map.removeLayer(mapLayers.secteur);
+    mapLayers.secteur = secteur
+        ? L.circle([secteur.latitude, secteur.longitude], {
+            radius: secteur.rayon,
+            color: '#3b82f6',
+            weight: 2,
+            fillOpacity: 0.05,
+            interactive: false
+        }).addTo(map)
+        : null;
+    
+    renderMapMarkers();
+    
+    // Cadrage : secteur, sinon commune, sinon transactions
+    const focus = mapLayers.secteur || mapLayers.contour;
+    const markerBounds = L.latLngBounds([...mapMarkers.values()].map(m => m.getLatLng()));
+    if (focus) {
+        map.fitBounds(focus.getBounds(), { padding: [10, 10] });
+    } else if (markerBounds.isValid()) {
+        map.fitBounds(markerBounds, { padding: [10, 10] });
+    } else if (commune.centre) {
+        map.setView([commune.centre.coordinates[1], commune.centre.coordinates[0]], 13);
+    }
+}
+
+function renderMapMarkers() {
+    mapLayers.markers.clearLayers();
+    mapMarkers.clear();
+    
+    const transactions = getFilteredTransactions();
+    const located = transactions.filter(hasCoordinates);
+    const scale = buildPriceScale(located.map(t => t.prixM2).filter(p => p > 0));
+    
+    located.forEach(t => {
+        const marker = L.circleMarker([t.latitude, t.longitude], {
+            radius: 5,
+            color: '#0a0a0b',
+            fillColor: scale.colorFor(t.prixM2)
+        });
+        marker.bindPopup(buildTransactionPopup(t));
+        marker.on('click', (e) => {
+            const additive = e.originalEvent.ctrlKey || e.originalEvent.metaKey || e.originalEvent.shiftKey;
+            // Un clic sélectionne toutes les ventes du même point (même immeuble / parcelle)
+            selectMapTransactions(
+                located.filter(o => o.latitude === t.latitude && o.longitude === t.longitude),
+                additive
+            );
+        });
+        marker.addTo(mapLayers.markers);
+        mapMarkers.set(t, marker);
+    });
+    
+    updateMarkerStyles();
+    updateMapLegend(scale);
+    
+    elements.mapInfo.textContent = located.length < transactions.length
+        ? `${formatNumber(located.length)} transactions géolocalisées sur ${formatNumber(transactions.length)}`
+        : `${formatNumber(located.length)} transactions géolocalisées`;
+}
+
+function updateMarkerStyles() {
+    mapMarkers.forEach((marker, t) => {
+        const selected = !mapSelection || mapSelection.has(t);
+        marker.setStyle({
+            weight: selected ? 1 : 0,
+            opacity: selected ? 1 : 0.3,
+            fillOpacity: selected ? 0.85 : 0.15
+        });
+    });
+}
+
+// Échelle de couleurs par quintiles de prix au m²
+function buildPriceScale(prices) {
+    const sorted = [...prices].sort((a, b) => a - b);
+    const breaks = [0.2, 0.4, 0.6, 0.8].map(q => sorted[Math.floor(q * (sorted.length - 1))] || 0);
+    return {
+        breaks,
+        colorFor: (prixM2) => {
+            if (!prixM2) return '#71717a';
+            const index = breaks.findIndex(b => prixM2 <= b);
+            return MAP_PRICE_COLORS[index === -1 ? MAP_PRICE_COLORS.length - 1 : index];
+        }
+    };
+}
+
+function updateMapLegend(scale) {
+    if (mapLayers.legend) transactionMap.removeControl(mapLayers.legend);
+    
+    mapLayers.legend = L.control({ position: 'bottomright' });
+    mapLayers.legend.onAdd = () => {
+        const div = L.DomUtil.create('div', 'map-legend');
+        const labels = MAP_PRICE_COLORS.map((color, i) => {
+            const from = i === 0 ? null : scale.breaks[i - 1];
+            const to = scale.breaks[i] ?? null;
+            const text = from === null ? `< ${formatNumber(to)} €/m²`
+                : to === null ? `> ${formatNumber(from)} €/m²`
+                : `${formatNumber(from)} – ${formatNumber(to)} €/m²`;
+            return `<i style="background: ${color}"></i>${text}`;
+        });
+        div.innerHTML = labels.join('<br>');
+        return div;
+    };
+    mapLayers.legend.addTo(transactionMap);
+}
+
+function buildTransactionPopup(t) {
+    return `
+        <div class="map-popup">
+            <div><strong>${formatDate(t.date)}</strong> • ${t.type}${t.mixte ? ' (mixte)' : ''}${t.nbLots > 1 ? ` • ${t.nbLots} lots` : ''}</div>
+            <div>${t.adresse}</div>
+            <div>${t.surface > 0 ? t.surface + ' m²' : '-'} • ${formatNumber(t.prix)} €</div>
+            <div class="price">${t.prixM2 > 0 ? formatNumber(t.prixM2) + ' €/m²' : '-'}</div>
+            <div style="font-size: 11px; color: var(--text-muted);">Source : ${(t.sources || [t.source]).filter(Boolean).join(', ') || '-'}</div>
+        </div>
+    `;
+}
+
+function selectMapTransactions(transactions, additive = false) {
+    if (additive && mapSelection) {
+        transactions.forEach(t => mapSelection.add(t));
+    } else {
+        mapSelection = new Set(transactions);
+    }
+    onMapSelectionChange();
+}
+
+function clearMapSelection(refresh = true) {
+    mapSelection = null;
+    if (mapLayers.lasso && transactionMap) {
+        transactionMap.removeLayer(mapLayers.lasso);
+        mapLayers.lasso = null;
+    }
+    if (refresh) onMapSelectionChange();
+}
+
+function onMapSelectionChange() {
+    elements.clearSelectionBtn.style.display = mapSelection ? '' : 'none';
+    updateMarkerStyles();
+    refreshResults();
+}
+
+function setLassoMode(active) {
+    lassoMode = active;
+    elements.lassoBtn.classList.toggle('active', active);
+    document.getElementById('transactionMap').classList.toggle('lasso-mode', active);
+    if (!transactionMap) return;
+    if (active) {
+        transactionMap.dragging.disable();
+    } else {
+        transactionMap.dragging.enable();
+    }
+}
+
+// Sélection à main levée : on trace en maintenant le clic, la zone se ferme au relâchement
+function setupLasso(map) {
+    let points = null;
+    
+    map.on('mousedown', (e) => {
+        if (!lassoMode) return;
+        if (mapLayers.lasso) map.removeLayer(mapLayers.lasso);
+        points = [e.latlng];
+        mapLayers.lasso = L.polyline(points, { color: '#3b82f6', weight: 2, dashArray: '4 4' }).addTo(map);
+    });
+    
+    map.on('mousemove', (e) => {
+        if (!points) return;
+        points.push(e.latlng);
+        mapLayers.lasso.setLatLngs(points);
+    });
+    
+    map.on('mouseup', () => {
+        if (!points) return;
+        const polygon = points;
+        points = null;
+        
+        map.removeLayer(mapLayers.lasso);
+        mapLayers.lasso = null;
+        setLassoMode(false);
+        
+        if (polygon.length < 3) return;
+        
+        mapLayers.lasso = L.polygon(polygon, {
+            color: '#3b82f6',
+            weight: 2,
+            fillOpacity: 0.08,
+            interactive: false
+        }).addTo(map);
+        
+        const inside = [...mapMarkers.keys()].filter(t => 
+            pointInPolygon(t.latitude, t.longitude, polygon)
+        );
+        selectMapTransactions(inside);
+    });
+}
+
+// Algorithme du lancer de rayon sur les coordonnées lat/lng
+function pointInPolygon(lat, lng, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.lat > lat) !== (b.lat > lat) &&
+            lng < (b.lng - a.lng) * (lat - a.lat) / (b.lat - a.lat) + a.lng) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// ============================================
+// EXPLORATEUR DE TRANSACTIONS (FILTRES, TRI, PAGINATION)
+// ============================================
+
+const EMPTY_EXPLORER_FILTERS = {
+    type: '',
+    pieces: '',
+    dateFrom: '',
+    dateTo: '',
+    surfaceMin: '',
+    surfaceMax: '',
+    prixMin: '',
+    prixMax: '',
+    adresse: ''
+};
+
+const explorerState = {
+    filters: { ...EMPTY_EXPLORER_FILTERS },
+    sort: { key: 'date', dir: 'desc' },
+    page: 1,
+    pageSize: 50
+};
+
+let filterTimeout = null;
+
+elements.explorerFilters.querySelectorAll('[data-filter]').forEach(input => {
+    const eventName = input.tagName === 'SELECT' || input.type === 'date' ? 'change' : 'input';
+    input.addEventListener(eventName, () => {
+        explorerState.filters[input.dataset.filter] = input.value.trim();
+        
+        // Même anti-rebond que la recherche de communes pour la saisie au clavier
+        if (filterTimeout) clearTimeout(filterTimeout);
+        filterTimeout = setTimeout(onExplorerFiltersChange, eventName === 'input' ? 300 : 0);
+    });
+});
+
+elements.resetFiltersBtn.addEventListener('click', () => {
+    explorerState.filters = { ...EMPTY_EXPLORER_FILTERS };
+    syncExplorerInputs();
+    onExplorerFiltersChange();
+});
+
+// Colonnes triables de l'explorateur, d'après les en-têtes du tableau
+const EXPLORER_SORT_KEYS = [...document.querySelectorAll('.transactions-table th[data-sort]')].map(th => th.dataset.sort);
+
+document.querySelectorAll('.transactions-table th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => {
+        const key = th.dataset.sort;
+        const { sort } = explorerState;
+        if (sort.key === key) {
+            sort.dir = sort.dir === 'asc' ? 'desc' : 'asc';
+        } else {
+            sort.key = key;
+            // Textes en ordre alphabétique, nombres et dates du plus grand au plus petit
+            sort.dir = key === 'adresse' || key === 'type' ? 'asc' : 'desc';
+        }
+        displayTransactions(getActiveTransactions());
+        updateURL();
+    });
+});
+
+elements.pageSizeSelect.addEventListener('change', () => {
+    explorerState.pageSize = parseInt(elements.pageSizeSelect.value, 10);
+    explorerState.page = 1;
+    displayTransactions(getActiveTransactions());
+    updateURL();
+});
+
+elements.prevPageBtn.addEventListener('click', () => changeExplorerPage(-1));
+elements.nextPageBtn.addEventListener('click', () => changeExplorerPage(1));
+
+function changeExplorerPage(delta) {
+    explorerState.page = Math.max(1, explorerState.page + delta);
+    displayTransactions(getActiveTransactions());
+}
+
+// Les filtres pilotent aussi les statistiques, le graphique et la carte
+function onExplorerFiltersChange() {
+    if (!currentData.commune) return;
+    explorerState.page = 1;
+    refreshResults();
+    if (transactionMap) renderMapMarkers();
+}
+
+function syncExplorerInputs() {
+    elements.explorerFilters.querySelectorAll('[data-filter]').forEach(input => {
+        input.value = explorerState.filters[input.dataset.filter] ?? '';
+    });
+}
+
+function countActiveFilters() {
+    return Object.values(explorerState.filters).filter(v => v !== '').length;
+}
+
+function matchesExplorerFilters(t) {
+    const f = explorerState.filters;
+    
+    if (f.type && t.type !== f.type) return false;
+    if (f.pieces) {
+        const pieces = parseInt(f.pieces, 10);
+        if (pieces >= 5 ? t.pieces < 5 : t.pieces !== pieces) return false;
+    }
+    // Dates DVF au format ISO (AAAA-MM-JJ) : comparaison lexicographique
+    if (f.dateFrom && (!t.date || t.date < f.dateFrom)) return false;
+    if (f.dateTo && (!t.date || t.date > f.dateTo)) return false;
+    if (f.surfaceMin !== '' && t.surface < parseFloat(f.surfaceMin)) return false;
+    if (f.surfaceMax !== '' && t.surface > parseFloat(f.surfaceMax)) return false;
+    if (f.prixMin !== '' && t.prix < parseFloat(f.prixMin)) return false;
+    if (f.prixMax !== '' && t.prix > parseFloat(f.prixMax)) return false;
+    if (f.adresse && !normalizeSearchText(t.adresse).includes(normalizeSearchText(f.adresse))) return false;
+    
+    return true;
+}
+
+function sortTransactions(transactions, { key, dir }) {
+    const factor = dir === 'asc' ? 1 : -1;
+    return [...transactions].sort((a, b) => {
+        const va = a[key];
+        const vb = b[key];
+        if (typeof va === 'string' || typeof vb === 'string') {
+            return factor * String(va || '').localeCompare(String(vb || ''), 'fr');
+        }
+        return factor * ((va || 0) - (vb || 0));
+    });
+}
+
+// ============================================
+// AFFICHAGE DES LIENS SOURCES
+// ============================================
+
+function displaySourceLinks(commune) {
+    const container = document.getElementById('sourceLinks');
+    if (!container) return;
+    
+    const html = buildSourceLinks(commune).map(s => `
+        <a href="${s.url}" target="_blank" class="source-link-card">
+            <div class="icon">${s.icon}</div>
+            <div class="info">
+                <div class="name">${s.name}</div>
+                <div class="desc">${s.desc}</div>
+            </div>
+            <svg class="arrow" xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
+            </svg>
+        </a>
+    `).join('');
+    
+    container.innerHTML = html;
+}
+
+// Sources consultables pour une commune (liens affichés et rapport PDF)
+function buildSourceLinks(commune) {
+    const deptCode = commune.departement?.code || commune.code.substring(0, 2);
+    const cp = commune.codesPostaux?.[0] || '';
+    
+    return [
+        {
+            name: 'DVF Etalab',
+            desc: 'Transactions immobilières officielles',
+            url: `https://app.dvf.etalab.gouv.fr/?code_departement=${deptCode}`,
+            icon: '🏛️'
+        },
+        {
+            name: 'Code source DVF',
+            desc: 'GitHub Etalab - Open Source',
+            url: 'https://github.com/etalab/DVF-app',
+            icon: '💻'
+        },
+        {
+            name: 'MeilleursAgents',
+            desc: 'Estimations et prix du marché',
+            url: API_CONFIG.sources.meilleursAgents.buildUrl(commune.nom, cp),
+            icon: '📊'
+        },
+        {
+            name: "L'Internaute",
+            desc: 'Données INSEE détaillées',
+            url: API_CONFIG.sources.linternaute.buildUrl(commune.nom, commune.code),
+            icon: '📰'
+        },
+        {
+            name: 'INSEE',
+            desc: 'Statistiques officielles',
+            url: API_CONFIG.sources.insee.buildUrl(commune.code),
+            icon: '📈'
+        },
+        {
+            name: 'Data.gouv.fr',
+            desc: 'Télécharger les données DVF brutes',
+            url: 'https://www.data.gouv.fr/fr/datasets/demandes-de-valeurs-foncieres/',
+            icon: '📁'
+        }
+    ];
+}
+
+// ============================================
+// MODE COMPARAISON
+// ============================================
+
+elements.pinBtn.addEventListener('click', pinCurrentCommune);
+
+function pinCurrentCommune() {
+    const { commune, stats } = currentData;
+    if (!commune) return;
+    
+    const existing = comparisonList.findIndex(c => c.commune.code === commune.code);
+    const entry = { commune, stats, secteur: currentData.secteur, pinnedAt: new Date() };
+    
+    if (existing >= 0) {
+        // Déjà épinglée : on met à jour avec la dernière analyse
+        comparisonList[existing] = entry;
+    } else {
+        if (comparisonList.length >= MAX_COMPARED_COMMUNES) {
+            showError(`Maximum ${MAX_COMPARED_COMMUNES} communes en comparaison`);
+            return;
+        }
+        comparisonList.push(entry);
+    }
+    
+    hideError();
+    displayComparison();
+    elements.comparison.scrollIntoView({ behavior: 'smooth' });
+}
+
+function unpinCommune(code) {
+    comparisonList = comparisonList.filter(c => c.commune.code !== code);
+    displayComparison();
+}
+
+function displayComparison() {
+    if (comparisonList.length === 0) {
+        elements.comparison.classList.remove('active');
+        if (comparisonChart) {
+            comparisonChart.destroy();
+            comparisonChart = null;
+        }
+        return;
+    }
+    
+    elements.comparison.classList.add('active');
+    document.getElementById('comparisonCount').textContent = 
+        `${comparisonList.length} / ${MAX_COMPARED_COMMUNES} communes`;
+    
+    // Puces des communes épinglées
+    const chips = document.getElementById('comparisonChips');
+    chips.innerHTML = comparisonList.map((c, i) => `
+        <span class="comparison-chip">
+            <span class="dot" style="background: ${COMPARISON_COLORS[i % COMPARISON_COLORS.length]}"></span>
+            ${c.commune.nom} (${c.commune.departement?.code || ''})${c.secteur ? ` • ${formatRadius(c.secteur.rayon)}` : ''}
+            <button type="button" data-code="${c.commune.code}" title="Retirer de la comparaison">×</button>
+        </span>
+    `).join('');
+    
+    chips.querySelectorAll('button[data-code]').forEach(btn => {
+        btn.addEventListener('click', () => unpinCommune(btn.dataset.code));
+    });
+    
+    displayComparisonTable();
+    displayComparisonChart();
+}
+
+function buildComparisonRows() {
+    const types = ['Appartement', 'Maison', 'Terrain', 'Commerce'];
+    const rows = [];
+    
+    rows.push({ group: 'Prix moyen au m² (DVF)' });
+    types.forEach(type => {
+        rows.push({
+            label: type,
+            unit: '€/m²',
+            values: comparisonList.map(c => c.stats.priceStats[type]?.avg ?? null)
+        });
+    });
+    
+    rows.push({ group: 'Prix médian au m² (DVF)' });
+    types.forEach(type => {
+        rows.push({
+            label: type,
+            unit: '€/m²',
+            values: comparisonList.map(c => c.stats.priceStats[type]?.median ?? null)
+        });
+    });
+    
+    rows.push({ group: 'Marché' });
+    rows.push({
+        label: 'Évolution prix',
+        unit: '%',
+        values: comparisonList.map(c => calculateEvolution(c.stats.yearlyStats))
+    });
+    rows.push({
+        label: 'Transactions DVF',
+        unit: '',
+        values: comparisonList.map(c => c.stats.totalTransactions)
+    });
+    rows.push({
+        label: 'Transactions exploitables',
+        unit: '',
+        values: comparisonList.map(c => c.stats.validTransactions)
+    });
+    
+    rows.push({ group: 'Démographie' });
+    rows.push({
+        label: 'Population',
+        unit: 'hab.',
+        values: comparisonList.map(c => c.stats.population)
+    });
+    rows.push({
+        label: 'Densité',
+        unit: 'hab/km²',
+        values: comparisonList.map(c => c.stats.density)
+    });
+    
+    return rows;
+}
+
+function displayComparisonTable() {
+    const rows = buildComparisonRows();
+    
+    const header = `
+        <thead>
+            <tr>
+                <th>Indicateur</th>
+                ${comparisonList.map(c => `<th>${c.commune.nom}</th>`).join('')}
+            </tr>
+        </thead>
+    `;
+    
+    const body = rows.map(row => {
+        if (row.group) {
+            return `<tr class="group-row"><td colspan="${comparisonList.length + 1}">${row.group}</td></tr>`;
+        }
+        return `
+            <tr>
+                <td>${row.label}</td>
+                ${row.values.map(v => `<td>${formatComparisonValue(v, row.unit)}</td>`).join('')}
+            </tr>
+        `;
+    }).join('');
+    
+    document.getElementById('comparisonTable').innerHTML = `${header}<tbody>${body}</tbody>`;
+}
+
+function formatComparisonValue(value, unit) {
+    if (value === null || value === undefined) return '<span style="color: var(--text-muted)">-</span>';
+    if (unit === '%') {
+        const cls = value >= 0 ? 'var(--success)' : 'var(--error)';
+        return `<span style="color: ${cls}">${value >= 0 ? '+' : ''}${value}%</span>`;
+    }
+    return `${formatNumber(value)}${unit ? ' ' + unit : ''}`;
+}
+
+function displayComparisonChart() {
+    const ctx = document.getElementById('comparisonChart').getContext('2d');
+    
+    if (comparisonChart) {
+        comparisonChart.destroy();
+    }
+    
+    // Union des années de toutes les communes épinglées
+    const years = [...new Set(comparisonList.flatMap(c => c.stats.yearlyStats.map(s => s.year)))]
+        .sort((a, b) => a - b);
+    
+    comparisonChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: years,
+            datasets: comparisonList.map((c, i) => {
+                const color = COMPARISON_COLORS[i % COMPARISON_COLORS.length];
+                const byYear = Object.fromEntries(c.stats.yearlyStats.map(s => [s.year, s.avgPrice]));
+                return {
+                    label: c.commune.nom,
+                    data: years.map(y => byYear[y] ?? null),
+                    borderColor: color,
+                    backgroundColor: color,
+                    fill: false,
+                    tension: 0.4,
+                    pointRadius: 4,
+                    spanGaps: true
+                };
+            })
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                intersect: false,
+                mode: 'index'
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        color: '#a1a1aa',
+                        font: { family: 'DM Sans' }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { color: 'rgba(255,255,255,0.05)' },
+                    ticks: { color: '#71717a' }
+                },
+                y: {
+                    grid: { color: 'rgba(255,255,255,0.05)' },
+                    ticks: { 
+                        color: '#a1a1aa',
+                        callback: v => formatNumber(v) + ' €'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// ============================================
+// EXPORT EXCEL
+// ============================================
+
+elements.exportBtn.addEventListener('click', exportToExcel);
+
+// Formats de nombre Excel (les cellules restent numériques, seul l'affichage change)
+const EXCEL_FORMATS = {
+    integer: '#,##0',
+    decimal: '#,##0.00',
+    euro: '#,##0 "€"',
+    euroM2: '#,##0 "€/m²"',
+    euroM2Decimal: '#,##0.0 "€/m²"',
+    surface: '#,##0 "m²"',
+    percent: '0"%"',
+    percentDecimal: '0.0"%"',
+    date: 'dd/mm/yyyy'
+};
+
+const TRANSACTION_COLUMNS = [
+    { header: 'Date', width: 12, value: t => xlDate(t.date) },
+    { header: 'Type', width: 14, value: t => t.type },
+    { header: 'Adresse', width: 40, value: t => t.adresse },
+    { header: 'Code postal', width: 11, value: t => t.codePostal || '' },
+    { header: 'Surface (m²)', width: 13, value: t => xlNumber(t.surface, EXCEL_FORMATS.surface) },
+    { header: 'Terrain (m²)', width: 13, value: t => xlNumber(t.surfaceTerrain, EXCEL_FORMATS.surface) },
+    { header: 'Pièces', width: 8, value: t => xlNumber(t.pieces, EXCEL_FORMATS.integer) },
+    { header: 'Prix (€)', width: 14, value: t => xlNumber(t.prix, EXCEL_FORMATS.euro) },
+    { header: 'Prix/m² (€)', width: 13, value: t => xlNumber(t.prixM2, EXCEL_FORMATS.euroM2) },
+    { header: 'Lots', width: 6, value: t => xlNumber(t.nbLots || 1, EXCEL_FORMATS.integer) },
+    { header: 'Latitude', width: 11, value: t => t.latitude ?? '' },
+    { header: 'Longitude', width: 11, value: t => t.longitude ?? '' },
+    { header: 'Sources', width: 16, value: t => (t.sources || [t.source]).filter(Boolean).join(', ') }
+];
+
+function exportToExcel() {
+    const { commune, stats, logement, secteur } = currentData;
+    const meilleursAgents = getMeilleursAgents();
+    const dvfTransactions = getActiveTransactions();
+    
+    if (!commune) {
+        showError('Aucune donnée à exporter');
+        return;
+    }
+    
+    const wb = XLSX.utils.book_new();
+    const types = Object.keys(stats.priceStats);
+    
+    // Feuille 1: Synthèse
+    const syntheseData = [
+        ['ANALYSE DE SECTEUR - ' + commune.nom.toUpperCase()],
+        ['Généré le', xlDate(new Date())],
+        [''],
+        ['INFORMATIONS GÉNÉRALES'],
+        ['Commune', commune.nom],
+        ['Code INSEE', commune.code],
+        ['Département', commune.departement?.nom || ''],
+        ['Code postal', commune.codesPostaux?.join(', ') || ''],
+        ['Population', xlNumber(commune.population, EXCEL_FORMATS.integer)],
+        ['Superficie (km²)', xlNumber(commune.surface ? commune.surface / 100 : null, EXCEL_FORMATS.decimal)],
+        ['Densité (hab/km²)', xlNumber(stats.density, EXCEL_FORMATS.integer)],
+        ...(secteur ? [['Secteur', `${formatRadius(secteur.rayon)} autour de ${secteur.adresse}`]] : []),
+        [''],
+        ['PRIX AU M² (DVF - Transactions réelles)'],
+        ['Type', 'Ventes', 'Prix moyen', 'Médiane', 'Q1', 'Q3', 'Min', 'Max']
+    ];
+    
+    Object.entries(stats.priceStats).forEach(([type, data]) => {
+        syntheseData.push([
+            type,
+            xlNumber(data.count, EXCEL_FORMATS.integer),
+            ...[data.avg, data.median, data.q1, data.q3, data.min, data.max].map(v => xlNumber(v, EXCEL_FORMATS.euroM2))
+        ]);
+    });
+    
+    // Ajouter données MeilleursAgents si disponibles
+    if (meilleursAgents && (meilleursAgents.appartement || meilleursAgents.maison)) {
+        syntheseData.push(['']);
+        syntheseData.push(['ESTIMATIONS MEILLEURSAGENTS']);
+        syntheseData.push(['Type', 'Prix moyen', 'Min', 'Max']);
+        ['appartement', 'maison'].forEach(key => {
+            const estimate = meilleursAgents[key];
+            if (!estimate) return;
+            syntheseData.push([
+                key === 'appartement' ? 'Appartement' : 'Maison',
+                ...[estimate.prix, estimate.min, estimate.max].map(v => xlNumber(v, EXCEL_FORMATS.euroM2))
+            ]);
+        });
+        if (meilleursAgents.loyer) {
+            syntheseData.push(['']);
+            syntheseData.push(['LOYERS ESTIMÉS']);
+            if (meilleursAgents.loyer.appartement) {
+                syntheseData.push(['Loyer Appartement', xlNumber(meilleursAgents.loyer.appartement, EXCEL_FORMATS.euroM2Decimal)]);
+            }
+            if (meilleursAgents.loyer.maison) {
+                syntheseData.push(['Loyer Maison', xlNumber(meilleursAgents.loyer.maison, EXCEL_FORMATS.euroM2Decimal)]);
             }
         }
-        if (linternaute.proprietaires) {
-            syntheseData.push(['Propriétaires', linternaute.proprietaires + '%']);
-        }
-        if (linternaute.locataires) {
-            syntheseData.push(['Locataires', linternaute.locataires + '%']);
-        }
+    }
+    
+    // Ajouter données logement (recensement INSEE ou L'Internaute) si disponibles
+    if (logement) {
+        syntheseData.push(['']);
+        syntheseData.push([logement.source === 'insee' ? `RECENSEMENT INSEE ${logement.annee}` : 'DONNÉES INSEE (L\'INTERNAUTE)']);
+        
+        [
+            ['Nombre total de logements', logement.nbLogements, EXCEL_FORMATS.integer],
+            ['Résidences principales', logement.residencesPrincipales, EXCEL_FORMATS.integer],
+            ['Résidences secondaires', logement.residencesSecondaires, EXCEL_FORMATS.integer],
+            ['Logements vacants', logement.logementsVacants, EXCEL_FORMATS.integer],
+            ['Part maisons', logement.typesLogements?.maisons, EXCEL_FORMATS.percent],
+            ['Part appartements', logement.typesLogements?.appartements, EXCEL_FORMATS.percent],
+            ['Propriétaires', logement.proprietaires, EXCEL_FORMATS.percent],
+            ['Locataires', logement.locataires, EXCEL_FORMATS.percent]
+        ].forEach(([label, value, format]) => {
+            if (value) syntheseData.push([label, xlNumber(value, format)]);
+        });
         
         // Répartition par pièces
-        if (linternaute.repartitionPieces && Object.keys(linternaute.repartitionPieces).length > 0) {
+        if (logement.repartitionPieces && Object.keys(logement.repartitionPieces).length > 0) {
             syntheseData.push(['']);
             syntheseData.push(['RÉPARTITION PAR NOMBRE DE PIÈCES']);
-            Object.entries(linternaute.repartitionPieces).forEach(([pieces, percent]) => {
-                syntheseData.push([pieces, percent + '%']);
+            Object.entries(logement.repartitionPieces).forEach(([pieces, percent]) => {
+                syntheseData.push([pieces, xlNumber(percent, EXCEL_FORMATS.percent)]);
             });
         }
     }
     
     const wsSynthese = XLSX.utils.aoa_to_sheet(syntheseData);
+    wsSynthese['!cols'] = [{ wch: 28 }, ...Array(7).fill({ wch: 13 })];
     XLSX.utils.book_append_sheet(wb, wsSynthese, 'Synthèse');
     
-    // Feuille 2: Transactions DVF
-    const transHeaders = ['Date', 'Type', 'Adresse', 'Surface (m²)', 'Prix (€)', 'Prix/m² (€)', 'Nb pièces'];
-    const transData = [transHeaders, ...dvfTransactions.map(t => [
-        t.date,
-        t.type,
-        t.adresse,
-        t.surface,
-        t.prix,
-        t.prixM2,
-        t.pieces
-    ])];
-    
-    const wsDVF = XLSX.utils.aoa_to_sheet(transData);
-    XLSX.utils.book_append_sheet(wb, wsDVF, 'Transactions DVF');
+    // Feuille 2: Transactions DVF (tous types), puis une feuille par type
+    XLSX.utils.book_append_sheet(wb, buildTransactionSheet(dvfTransactions), 'Transactions DVF');
+    types.forEach(type => {
+        const ofType = dvfTransactions.filter(t => t.type === type);
+        if (ofType.length > 0) {
+            XLSX.utils.book_append_sheet(wb, buildTransactionSheet(ofType), excelSheetName(type, wb));
+        }
+    });
     
     // Feuille 3: Évolution annuelle
-    const evolHeaders = ['Année', 'Nb transactions', 'Prix moyen €/m²'];
-    const evolData = [evolHeaders, ...stats.yearlyStats.map(s => [s.year, s.count, s.avgPrice])];
+    XLSX.utils.book_append_sheet(wb, buildTableSheet(
+        ['Année', 'Nb transactions', 'Prix moyen €/m²', 'Prix médian €/m²'],
+        stats.yearlyStats.map(s => [
+            s.year,
+            xlNumber(s.count, EXCEL_FORMATS.integer),
+            xlNumber(s.avgPrice, EXCEL_FORMATS.euroM2),
+            xlNumber(s.medianPrice, EXCEL_FORMATS.euroM2)
+        ])
+    ), 'Évolution');
+    
+    // Feuille 4: Évolution par type, en tableau croisé (années x types) prêt à tracer
+    const years = [...new Set(Object.values(stats.yearlyByType).flat().map(s => s.year))].sort((a, b) => a - b);
+    const yearOf = (type, year) => stats.yearlyByType[type].find(s => s.year === year);
+    XLSX.utils.book_append_sheet(wb, buildTableSheet(
+        ['Année', ...types.map(type => `${type} €/m²`), ...types.map(type => `${type} ventes`)],
+        years.map(year => [
+            year,
+            ...types.map(type => xlNumber(yearOf(type, year)?.avgPrice, EXCEL_FORMATS.euroM2)),
+            ...types.map(type => xlNumber(yearOf(type, year)?.count, EXCEL_FORMATS.integer))
+        ])
+    ), 'Évolution par type');
+    
+    // Feuille 5: mêmes données à plat, une ligne par année et par type (source de tableau croisé dynamique)
+    XLSX.utils.book_append_sheet(wb, buildTableSheet(
+        ['Année', 'Type', 'Ventes', 'Prix moyen €/m²', 'Prix médian €/m²'],
+        types.flatMap(type => stats.yearlyByType[type].map(s => [
+            s.year,
+            type,
+            xlNumber(s.count, EXCEL_FORMATS.integer),
+            xlNumber(s.avgPrice, EXCEL_FORMATS.euroM2),
+            xlNumber(s.medianPrice, EXCEL_FORMATS.euroM2)
+        ]))
+    ), 'Données pivot');
+    
+    // Feuille 6: Répartition surfaces
+    XLSX.utils.book_append_sheet(wb, buildTableSheet(
+        ['Tranche de surface', 'Nombre', 'Pourcentage'],
+        stats.housingDist.map(h => [h.label, xlNumber(h.count, EXCEL_FORMATS.integer), xlNumber(h.percent, EXCEL_FORMATS.percent)])
+    ), 'Répartition surfaces');
+    
+    // Feuille 7: Rendement locatif (si MeilleursAgents a fourni des loyers)
+    const yields = calculateRentalYield(stats, meilleursAgents?.loyer, yieldAssumptions);
+    if (yields.length > 0) {
+        const yieldRow = (type, label, count, y, rentM2) => [
+            type,
+            label,
+            xlNumber(count, EXCEL_FORMATS.integer),
+            xlNumber(y.priceM2, EXCEL_FORMATS.euroM2),
+            xlNumber(rentM2, EXCEL_FORMATS.euroM2Decimal),
+            xlNumber(y.annualRent, EXCEL_FORMATS.euroM2),
+            xlNumber(y.netIncome, EXCEL_FORMATS.euroM2),
+            xlNumber(y.gross, EXCEL_FORMATS.percentDecimal),
+            xlNumber(y.net, EXCEL_FORMATS.percentDecimal)
+        ];
+        
+        const yieldData = [
+            ['HYPOTHÈSES'],
+            ['Charges non récupérables (% des loyers)', xlNumber(yieldAssumptions.charges, EXCEL_FORMATS.percentDecimal)],
+            ['Taxe foncière (€/m²/an)', xlNumber(yieldAssumptions.taxeFonciere, EXCEL_FORMATS.euroM2Decimal)],
+            ['Vacance locative (% de l\'année)', xlNumber(yieldAssumptions.vacance, EXCEL_FORMATS.percentDecimal)],
+            ['Loyers', 'MeilleursAgents (€/m²/mois, identiques pour toutes les surfaces)'],
+            [''],
+            ['Type', 'Tranche de surface', 'Ventes', 'Prix médian', 'Loyer mensuel', 'Loyer annuel', 'Revenu net annuel', 'Rendement brut', 'Rendement net'],
+            ...yields.flatMap(y => [
+                yieldRow(y.type, 'Toutes surfaces', stats.priceStats[y.type].count, y, y.rentM2),
+                ...y.bands.map(band => yieldRow(y.type, band.label, band.count, band, y.rentM2))
+            ])
+        ];
+        
+        const wsYield = XLSX.utils.aoa_to_sheet(yieldData);
+        wsYield['!cols'] = [{ wch: 38 }, { wch: 18 }, ...Array(7).fill({ wch: 16 })];
+        XLSX.utils.book_append_sheet(wb, wsYield, 'Rendement locatif');
+    }
     
-    const wsEvol = XLSX.utils.aoa_to_sheet(evolData);
-    XLSX.utils.book_append_sheet(wb, wsEvol, 'Évolution');
+    // Feuille 8: Simulation d'investissement
+    const sim = runSimulation();
+    if (sim) {
+        const { params } = sim;
+        const euro = value => xlNumber(value, EXCEL_FORMATS.euro);
+        const simData = [
+            ['PARAMÈTRES'],
+            ['Type de bien', params.type],
+            ['Surface', xlNumber(params.surface, EXCEL_FORMATS.surface)],
+            ['Prix d\'achat', euro(sim.prix), params.prix === null ? 'Prix médian au m² × surface' : ''],
+            ['Travaux', euro(sim.travaux)],
+            ['Loyer mensuel hors charges', euro(sim.loyer), params.loyer === null ? 'Loyer MeilleursAgents × surface' : ''],
+            ['Apport', euro(sim.apport), params.apport === null ? 'Frais de notaire' : ''],
+            ['Taux nominal', xlNumber(params.taux, EXCEL_FORMATS.percentDecimal)],
+            ['Durée du prêt (ans)', params.duree],
+            ['Assurance emprunteur (%/an)', xlNumber(params.assurance, '0.00"%"')],
+            ['Durée de détention (ans)', params.detention],
+            ['Revalorisation annuelle', xlNumber(sim.revalorisation, EXCEL_FORMATS.percentDecimal), params.revalorisation === null ? 'Tendance des prix médians annuels' : ''],
+            [''],
+            ['RÉSULTATS'],
+            ['Frais de notaire', euro(sim.fraisNotaire), `${NOTARY_FEES_RATE * 100} % du prix (ancien)`],
+            ['Coût total', euro(sim.coutTotal)],
+            ['Emprunt', euro(sim.emprunt)],
+            ['Mensualité hors assurance', euro(sim.mensualite)],
+            ['Assurance mensuelle', euro(sim.assuranceMensuelle)],
+            ['Loyer net mensuel', euro(sim.revenuNetMensuel), 'Après vacance, charges et taxe foncière'],
+            ['Cash-flow mensuel', euro(sim.cashFlowMensuel)],
+            ['Valeur de revente', euro(sim.valeurRevente)],
+            ['Capital restant dû à la revente', euro(sim.capitalRestantRevente)],
+            ['TRI', sim.tri === null ? '-' : xlNumber(sim.tri, EXCEL_FORMATS.percentDecimal)],
+            [''],
+            ['FLUX ANNUELS'],
+            ['Année', 'Loyers nets', 'Crédit + assurance', 'Cash-flow', 'Revente nette du prêt', 'Flux total'],
+            [0, '', '', '', '', euro(-sim.apport)],
+            ...sim.flux.map(f => [f.annee, euro(f.revenuNet), euro(f.credit), euro(f.cashFlow), euro(f.revente), euro(f.total)]),
+            [''],
+            ['TABLEAU D\'AMORTISSEMENT'],
+            ['Année', 'Mensualités', 'Intérêts', 'Capital remboursé', 'Assurance', 'Capital restant dû'],
+            ...sim.amortissement.map(a => [a.annee, euro(a.mensualites), euro(a.interets), euro(a.capital), euro(a.assurance), euro(a.capitalRestant)])
+        ];
+        
+        const wsSim = XLSX.utils.aoa_to_sheet(simData);
+        wsSim['!cols'] = [{ wch: 32 }, { wch: 16 }, { wch: 34 }, ...Array(3).fill({ wch: 18 })];
+        XLSX.utils.book_append_sheet(wb, wsSim, 'Simulation');
+    }
     
-    // Feuille 4: Répartition surfaces
-    const distHeaders = ['Tranche de surface', 'Nombre', 'Pourcentage'];
-    const distData = [distHeaders, ...stats.housingDist.map(h => [h.label, h.count, h.percent + '%'])];
+    // Feuille 9: Qualité des données
+    const { quality } = stats;
+    const qualityData = [
+        ['QUALITÉ DES DONNÉES'],
+        ['Ventes analysées', quality.total],
+        ['Ventes retenues pour les prix', quality.kept],
+        ['Ventes exclues', quality.excludedCount],
+        [''],
+        ['EXCLUSIONS PAR MOTIF'],
+        ['Motif', 'Nombre'],
+        ...quality.reasons.map(r => [r.label, r.count]),
+        [''],
+        ['REJET DES VALEURS ABERRANTES PAR TYPE'],
+        ['Type', 'Méthode', 'Ventes', 'Rejetées', 'Borne basse €/m²', 'Borne haute €/m²', 'Min absolu €/m²', 'Max absolu €/m²'],
+        ...Object.entries(OUTLIER_CONFIG.byType).map(([type, rules]) => {
+            const report = quality.byType[type];
+            return [
+                type,
+                OUTLIER_METHODS[rules.method],
+                report?.candidates ?? 0,
+                report?.rejected ?? 0,
+                report?.bounds ? xlNumber(Math.max(report.bounds[0], 0), EXCEL_FORMATS.euroM2) : '',
+                report?.bounds ? xlNumber(report.bounds[1], EXCEL_FORMATS.euroM2) : '',
+                xlNumber(rules.minPrixM2, EXCEL_FORMATS.euroM2),
+                xlNumber(rules.maxPrixM2, EXCEL_FORMATS.euroM2)
+            ];
+        }),
+        [''],
+        ['Seuil prix symbolique (€)', xlNumber(OUTLIER_CONFIG.minPrix, EXCEL_FORMATS.euro)],
+        ['Nombre de lots max (vente en bloc)', OUTLIER_CONFIG.maxLots],
+        ['Facteur IQR', OUTLIER_CONFIG.iqrFactor],
+        ['Percentiles conservés', `${OUTLIER_CONFIG.percentiles[0]} – ${OUTLIER_CONFIG.percentiles[1]}`]
+    ];
     
-    const wsDist = XLSX.utils.aoa_to_sheet(distData);
-    XLSX.utils.book_append_sheet(wb, wsDist, 'Répartition surfaces');
+    const wsQuality = XLSX.utils.aoa_to_sheet(qualityData);
+    wsQuality['!cols'] = [{ wch: 34 }, ...Array(7).fill({ wch: 16 })];
+    XLSX.utils.book_append_sheet(wb, wsQuality, 'Qualité données');
+    
+    // Feuille 10: Comparaison des communes épinglées
+    if (comparisonList.length > 0) {
+        const compData = [['Indicateur', 'Unité', ...comparisonList.map(c => c.commune.nom)]];
+        compData.push(['Code INSEE', '', ...comparisonList.map(c => c.commune.code)]);
+        buildComparisonRows().forEach(row => {
+            if (row.group) {
+                compData.push(['']);
+                compData.push([row.group.toUpperCase()]);
+            } else {
+                compData.push([row.label, row.unit, ...row.values.map(v => v ?? '')]);
+            }
+        });
+        
+        // Prix moyen annuel, une colonne par commune
+        const years = [...new Set(comparisonList.flatMap(c => c.stats.yearlyStats.map(s => s.year)))]
+            .sort((a, b) => a - b);
+        compData.push(['']);
+        compData.push(['ÉVOLUTION DU PRIX MOYEN €/M²']);
+        years.forEach(year => {
+            compData.push([year, '€/m²', ...comparisonList.map(c => 
+                xlNumber(c.stats.yearlyStats.find(s => s.year === year)?.avgPrice, EXCEL_FORMATS.euroM2))]);
+        });
+        
+        const wsComp = XLSX.utils.aoa_to_sheet(compData);
+        wsComp['!cols'] = [{ wch: 30 }, { wch: 10 }, ...comparisonList.map(() => ({ wch: 16 }))];
+        XLSX.utils.book_append_sheet(wb, wsComp, 'Comparaison');
+    }
     
     // Télécharger
-    const filename = `Analyse_Secteur_${commune.nom.replace(/\s+/g, '_')}_${new Date().toISOString().slice(0, 10)}.xlsx`;
-    XLSX.writeFile(wb, filename);
+    writeWorkbook(wb, buildExportFilename('Analyse_Secteur', commune, 'xlsx'));
+}
+
+function buildTransactionSheet(transactions) {
+    return buildTableSheet(
+        TRANSACTION_COLUMNS.map(c => c.header),
+        transactions.map(t => TRANSACTION_COLUMNS.map(c => c.value(t))),
+        TRANSACTION_COLUMNS.map(c => c.width)
+    );
+}
+
+// Tableau avec en-tête figé, filtres automatiques et largeurs de colonnes (calculées si absentes)
+function buildTableSheet(headers, rows, widths = null) {
+    const ws = XLSX.utils.aoa_to_sheet([headers, ...rows]);
+    
+    ws['!cols'] = headers.map((header, i) => ({
+        wch: widths?.[i] ?? Math.min(Math.max(
+            String(header).length,
+            ...rows.map(row => String(row[i]?.v ?? row[i] ?? '').length + 4)
+        ) + 2, 50)
+    }));
+    if (rows.length > 0) {
+        ws['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: headers.length - 1 } }) };
+    }
+    ws['!freeze'] = { rows: 1 };
+    
+    return ws;
+}
+
+// Cellule numérique formatée, vide si la valeur manque
+function xlNumber(value, format) {
+    if (value === null || value === undefined || value === '' || !Number.isFinite(Number(value))) return '';
+    return { v: Number(value), t: 'n', z: format };
+}
+
+// Date Excel (numéro de série) à partir d'une date ISO 'YYYY-MM-DD' ou d'un objet Date
+function xlDate(value) {
+    if (!value) return '';
+    const date = value instanceof Date ? value : new Date(`${value}T00:00:00`);
+    if (isNaN(date)) return '';
+    const serial = (Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - Date.UTC(1899, 11, 30)) / 86400000;
+    return { v: serial, t: 'n', z: EXCEL_FORMATS.date };
+}
+
+// Noms de feuilles : 31 caractères max, sans : \ / ? * [ ], uniques dans le classeur
+function excelSheetName(name, wb) {
+    const base = name.replace(/[:\\/?*[\]]/g, '-').substring(0, 31);
+    let candidate = base;
+    for (let i = 2; wb.SheetNames.includes(candidate); i++) {
+        candidate = `${base.substring(0, 28)} (${i})`;
+    }
+    return candidate;
+}
+
+// SheetJS (édition communautaire) n'écrit pas les volets figés : on écrit le classeur en
+// mémoire puis on ajoute le volet dans le XML des feuilles marquées '!freeze'
+function writeWorkbook(wb, filename) {
+    const data = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+    const zip = XLSX.CFB.read(new Uint8Array(data), { type: 'array' });
+    
+    wb.SheetNames.forEach((name, i) => {
+        const rows = wb.Sheets[name]['!freeze']?.rows;
+        if (!rows) return;
+        
+        const index = zip.FullPaths.findIndex(p => p.endsWith(`/xl/worksheets/sheet${i + 1}.xml`));
+        if (index < 0) return;
+        
+        const file = zip.FileIndex[index];
+        const pane = `<pane ySplit="${rows}" topLeftCell="A${rows + 1}" activePane="bottomLeft" state="frozen"/>`;
+        const xml = new TextDecoder().decode(file.content)
+            .replace(/<sheetView ([^>]*?)\/>/, `<sheetView $1>${pane}</sheetView>`);
+        file.content = new TextEncoder().encode(xml);
+        file.size = file.content.length;
+    });
+    
+    const output = XLSX.CFB.write(zip, { fileType: 'zip', type: 'array' });
+    downloadBlob(new Blob([output], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), filename);
+}
+
+// ============================================
+// EXPORT PDF
+// ============================================
+
+elements.pdfBtn.addEventListener('click', exportToPDF);
+
+const PDF_STYLE = {
+    margin: 15,
+    accent: [245, 158, 11],
+    dark: [26, 26, 30],
+    text: [39, 39, 42],
+    muted: [113, 113, 122],
+    light: [244, 244, 245]
+};
+
+const PDF_RECENT_TRANSACTIONS = 25;
+
+const PDF_DISCLAIMER = "Rapport établi à partir de données publiques (DVF, INSEE) et d'estimations de sites tiers, " +
+    "telles que disponibles à la date de génération. Il est fourni à titre indicatif et ne constitue ni une " +
+    "expertise ni une évaluation immobilière.";
+
+function exportToPDF() {
+    const { commune, stats, logement, secteur } = currentData;
+    
+    if (!commune) {
+        showError('Aucune donnée à exporter');
+        return;
+    }
+    if (!window.jspdf) {
+        showError('Génération PDF indisponible (bibliothèque non chargée)');
+        return;
+    }
+    
+    const doc = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4' });
+    const { margin } = PDF_STYLE;
+    const generatedAt = new Date().toLocaleDateString('fr-FR', { day: '2-digit', month: 'long', year: 'numeric' });
+    
+    let y = drawPdfHeader(doc, commune, secteur);
+    y = drawPdfStatCards(doc, stats, y);
+    
+    // Prix par type
+    y = drawPdfTitle(doc, 'Prix au m² (ventes DVF)', y);
+    const priceRows = Object.entries(stats.priceStats).map(([type, p]) => [
+        type, pdfNumber(p.count), pdfNumber(p.avg) + ' €', pdfNumber(p.median) + ' €',
+        pdfNumber(p.min) + ' €', pdfNumber(p.max) + ' €'
+    ]);
+    doc.autoTable({
+        startY: y,
+        head: [['Type', 'Ventes', 'Prix moyen', 'Médiane', 'Min', 'Max']],
+        body: priceRows.length > 0 ? priceRows : [['Données DVF non disponibles', '', '', '', '', '']],
+        ...pdfTableStyle()
+    });
+    y = doc.lastAutoTable.finalY + 10;
+    
+    // Graphique d'évolution : Chart.js dessine sur fond transparent, prévu pour le thème sombre
+    y = drawPdfTitle(doc, 'Évolution du prix moyen au m²', y);
+    if (priceChart?.canvas) {
+        const canvas = priceChart.canvas;
+        const width = doc.internal.pageSize.getWidth() - 2 * margin;
+        const height = Math.min(width * canvas.height / canvas.width, 80);
+        y = ensurePdfSpace(doc, y, height);
+        doc.setFillColor(...PDF_STYLE.dark);
+        doc.roundedRect(margin, y, width, height, 2, 2, 'F');
+        doc.addImage(priceChart.toBase64Image(), 'PNG', margin + 2, y + 2, width - 4, height - 4);
+        y += height + 10;
+    } else {
+        y = drawPdfNote(doc, "Pas assez de données pour tracer l'évolution", y);
+    }
+    
+    // Répartition des logements : INSEE si disponible, sinon surfaces des ventes DVF
+    const insee = getLogementHousing(logement);
+    const inseeLabel = logement?.source === 'insee' ? `INSEE ${logement.annee}` : 'INSEE';
+    y = drawPdfTitle(doc, insee ? `Répartition des logements par pièces (${inseeLabel})` : 'Répartition des ventes par surface', y);
+    y = drawPdfBars(doc, insee || stats.housingDist, y);
+    
+    // Dernières transactions retenues
+    const recent = sortTransactions(getActiveTransactions().filter(t => t.prix > 0), { key: 'date', dir: 'desc' })
+        .slice(0, PDF_RECENT_TRANSACTIONS);
+    y = drawPdfTitle(doc, `Transactions récentes (${recent.length} dernières)`, y);
+    doc.autoTable({
+        startY: y,
+        head: [['Date', 'Type', 'Adresse', 'Surface', 'Prix', 'Prix/m²']],
+        body: recent.map(t => [
+            formatDate(t.date), t.type, t.adresse,
+            t.surface ? `${pdfNumber(t.surface)} m²` : '-',
+            pdfNumber(t.prix) + ' €',
+            t.prixM2 > 0 ? pdfNumber(t.prixM2) + ' €' : '-'
+        ]),
+        columnStyles: { 2: { cellWidth: 65 } },
+        ...pdfTableStyle()
+    });
+    y = doc.lastAutoTable.finalY + 10;
+    
+    // Sources
+    y = drawPdfTitle(doc, 'Sources', y);
+    buildSourceLinks(commune).forEach(source => {
+        y = ensurePdfSpace(doc, y, 10);
+        doc.setFontSize(10);
+        doc.setTextColor(...PDF_STYLE.text);
+        doc.text(`${source.name} - ${source.desc}`, margin, y);
+        doc.setFontSize(8);
+        doc.setTextColor(...PDF_STYLE.accent);
+        doc.textWithLink(source.url, margin, y + 4, { url: source.url });
+        y += 10;
+    });
+    
+    // Avertissement
+    y = ensurePdfSpace(doc, y + 4, 20);
+    doc.setFontSize(8);
+    doc.setTextColor(...PDF_STYLE.muted);
+    doc.text(doc.splitTextToSize(PDF_DISCLAIMER, doc.internal.pageSize.getWidth() - 2 * margin), margin, y);
+    
+    drawPdfFooters(doc, generatedAt);
+    
+    doc.save(buildExportFilename('Rapport_Secteur', commune, 'pdf'));
+}
+
+function drawPdfHeader(doc, commune, secteur) {
+    const { margin } = PDF_STYLE;
+    const width = doc.internal.pageSize.getWidth();
+    
+    doc.setFillColor(...PDF_STYLE.dark);
+    doc.rect(0, 0, width, 38, 'F');
+    doc.setFillColor(...PDF_STYLE.accent);
+    doc.rect(0, 38, width, 1.5, 'F');
+    
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(...PDF_STYLE.accent);
+    doc.text('RAPPORT DE SECTEUR', margin, 12);
+    
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(22);
+    doc.setTextColor(255, 255, 255);
+    doc.text(commune.nom, margin, 23);
+    
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.setTextColor(212, 212, 216);
+    const details = [
+        `${commune.departement?.nom || ''} (${commune.departement?.code || ''})`,
+        `INSEE ${commune.code}`,
+        `${pdfNumber(commune.population)} habitants`
+    ];
+    doc.text(details.join('   -   '), margin, 31);
+    
+    let y = 50;
+    const notes = [];
+    if (secteur) notes.push(`Secteur : ${formatRadius(secteur.rayon)} autour de ${secteur.adresse}`);
+    if (countActiveFilters() > 0) notes.push(`Filtres de l'explorateur actifs : ${countActiveFilters()}`);
+    if (mapSelection) notes.push(`Sélection sur la carte : ${mapSelection.size} transactions`);
+    notes.forEach(note => {
+        y = drawPdfNote(doc, note, y) - 6;
+    });
+    
+    return y + (notes.length > 0 ? 6 : 0);
+}
+
+function drawPdfStatCards(doc, stats, y) {
+    const { margin } = PDF_STYLE;
+    const avgPrice = Object.values(stats.priceStats)[0]?.avg || 0;
+    const evolution = calculateEvolution(stats.yearlyStats);
+    
+    const cards = [
+        { label: 'Prix moyen au m²', value: `${pdfNumber(avgPrice)} €` },
+        { label: 'Transactions DVF', value: pdfNumber(stats.totalTransactions), sub: formatPeriod(stats.period) },
+        { label: 'Population', value: pdfNumber(stats.population) },
+        { label: 'Densité', value: pdfNumber(stats.density), sub: 'hab/km²' },
+        ...(evolution !== null ? [{ label: 'Évolution prix', value: `${evolution >= 0 ? '+' : ''}${evolution}%`, sub: 'sur la période' }] : [])
+    ];
+    
+    const gap = 4;
+    const width = (doc.internal.pageSize.getWidth() - 2 * margin - gap * (cards.length - 1)) / cards.length;
+    cards.forEach((card, i) => {
+        const x = margin + i * (width + gap);
+        doc.setFillColor(...PDF_STYLE.light);
+        doc.roundedRect(x, y, width, 24, 2, 2, 'F');
+        doc.setFontSize(7.5);
+        doc.setTextColor(...PDF_STYLE.muted);
+        doc.text(card.label.toUpperCase(), x + 3, y + 6);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(13);
+        doc.setTextColor(...(i === 0 ? PDF_STYLE.accent : PDF_STYLE.text));
+        doc.text(card.value, x + 3, y + 14);
+        doc.setFont('helvetica', 'normal');
+        if (card.sub) {
+            doc.setFontSize(7.5);
+            doc.setTextColor(...PDF_STYLE.muted);
+            doc.text(card.sub, x + 3, y + 20);
+        }
+    });
+    
+    return y + 34;
+}
+
+function drawPdfBars(doc, distribution, y) {
+    const { margin } = PDF_STYLE;
+    if (!distribution?.some(h => h.percent > 0)) {
+        return drawPdfNote(doc, 'Données non disponibles', y);
+    }
+    
+    const labelWidth = 40;
+    const trackWidth = doc.internal.pageSize.getWidth() - 2 * margin - labelWidth - 15;
+    const maxPercent = Math.max(...distribution.map(h => h.percent), 1);
+    
+    distribution.forEach(h => {
+        y = ensurePdfSpace(doc, y, 8);
+        doc.setFontSize(9);
+        doc.setTextColor(...PDF_STYLE.text);
+        doc.text(String(h.label), margin, y + 3.5);
+        doc.setFillColor(...PDF_STYLE.light);
+        doc.roundedRect(margin + labelWidth, y, trackWidth, 5, 1, 1, 'F');
+        doc.setFillColor(...PDF_STYLE.accent);
+        doc.roundedRect(margin + labelWidth, y, Math.max(trackWidth * h.percent / maxPercent, 1), 5, 1, 1, 'F');
+        doc.text(`${h.percent}%`, margin + labelWidth + trackWidth + 3, y + 3.5);
+        y += 8;
+    });
+    
+    return y + 6;
+}
+
+function drawPdfTitle(doc, title, y) {
+    y = ensurePdfSpace(doc, y, 20);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.setTextColor(...PDF_STYLE.text);
+    doc.text(title, PDF_STYLE.margin, y);
+    doc.setFont('helvetica', 'normal');
+    return y + 5;
+}
+
+function drawPdfNote(doc, text, y) {
+    doc.setFontSize(9);
+    doc.setTextColor(...PDF_STYLE.muted);
+    doc.text(text, PDF_STYLE.margin, y + 3);
+    return y + 12;
+}
+
+// Nouvelle page si la hauteur demandée ne tient pas avant le pied de page
+function ensurePdfSpace(doc, y, height) {
+    if (y + height <= doc.internal.pageSize.getHeight() - 20) return y;
+    doc.addPage();
+    return PDF_STYLE.margin + 5;
+}
+
+function drawPdfFooters(doc, generatedAt) {
+    const pageCount = doc.getNumberOfPages();
+    const width = doc.internal.pageSize.getWidth();
+    const height = doc.internal.pageSize.getHeight();
+    
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setFontSize(8);
+        doc.setTextColor(...PDF_STYLE.muted);
+        doc.text(`Secteur Analyzer - généré le ${generatedAt}`, PDF_STYLE.margin, height - 10);
+        doc.text(`${page} / ${pageCount}`, width - PDF_STYLE.margin, height - 10, { align: 'right' });
+    }
+}
+
+function pdfTableStyle() {
+    return {
+        margin: { left: PDF_STYLE.margin, right: PDF_STYLE.margin },
+        styles: { font: 'helvetica', fontSize: 8.5, textColor: PDF_STYLE.text, cellPadding: 2 },
+        headStyles: { fillColor: PDF_STYLE.dark, textColor: 255, fontStyle: 'bold' },
+        alternateRowStyles: { fillColor: PDF_STYLE.light }
+    };
+}
+
+// Les polices standard de jsPDF n'ont pas l'espace fine insécable des nombres formatés en fr-FR
+function pdfNumber(num) {
+    return formatNumber(num).replace(/[\u202f\u00a0]/g, ' ');
+}
+
+// ============================================
+// EXPORTS CSV, JSON ET GEOJSON
+// ============================================
+
+// Formats machine : toujours les transactions retenues par les filtres et la sélection sur la carte
+elements.exportFormatSelect.addEventListener('change', () => {
+    const format = elements.exportFormatSelect.value;
+    elements.exportFormatSelect.value = '';
+    
+    if (format === 'csv-fr') exportToCSV('fr');
+    else if (format === 'csv-en') exportToCSV('en');
+    else if (format === 'json') exportToJSON();
+    else if (format === 'geojson') exportToGeoJSON();
+});
+
+// Transactions retenues, au format des exports (voir exporters.js)
+function buildExportTransactions() {
+    return buildExportRecords(getActiveTransactions(), currentData.stats.quality);
+}
+
+function exportToCSV(language = 'fr') {
+    if (!currentData.commune) {
+        showError('Aucune donnée à exporter');
+        return;
+    }
+    
+    downloadBlob(
+        new Blob([buildCSV(buildExportTransactions(), language)], { type: 'text/csv;charset=utf-8' }),
+        buildExportFilename('Transactions_DVF', currentData.commune, 'csv')
+    );
+}
+
+// Schéma documenté dans docs/export-schema.json
+function exportToJSON() {
+    const { commune, stats, meilleursAgents, logement, secteur, cacheInfo, dvfSourceStatus } = currentData;
+    
+    if (!commune) {
+        showError('Aucune donnée à exporter');
+        return;
+    }
+    
+    const data = buildAnalysisExport({
+        commune,
+        stats,
+        query: {
+            url: location.href,
+            secteur,
+            filters: Object.fromEntries(Object.entries(explorerState.filters).filter(([, v]) => v !== '')),
+            mapSelection: mapSelection ? mapSelection.size : null
+        },
+        sources: { dvfTransactions: currentData.dvfTransactions, dvfSourceStatus, cache: cacheInfo },
+        meilleursAgents,
+        logement,
+        simulation: runSimulation(),
+        records: buildExportTransactions()
+    });
+    
+    downloadBlob(
+        new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }),
+        buildExportFilename('Analyse_Secteur', commune, 'json')
+    );
+}
+
+function exportToGeoJSON() {
+    if (!currentData.commune) {
+        showError('Aucune donnée à exporter');
+        return;
+    }
+    
+    const geojson = buildGeoJSON(buildExportTransactions(), currentData.commune.code);
+    if (!geojson) {
+        showError('Aucune transaction géolocalisée à exporter pour cette source');
+        return;
+    }
+    
+    downloadBlob(
+        new Blob([JSON.stringify(geojson)], { type: 'application/geo+json' }),
+        buildExportFilename('Transactions_DVF', currentData.commune, 'geojson')
+    );
+}
+
+// ============================================
+// LIENS PARTAGEABLES (URL)
+// ============================================
+
+// Filtres de l'explorateur <-> paramètres d'URL
+// ex: ?insee=69383&type=Appartement&du=2021&au=2024
+const URL_FILTER_PARAMS = {
+    type: 'type',
+    pieces: 'pieces',
+    dateFrom: 'du',
+    dateTo: 'au',
+    surfaceMin: 'smin',
+    surfaceMax: 'smax',
+    prixMin: 'pmin',
+    prixMax: 'pmax',
+    adresse: 'q'
+};
+
+const DEFAULT_OUTLIER_METHODS = Object.fromEntries(
+    Object.entries(OUTLIER_CONFIG.byType).map(([type, rules]) => [type, rules.method])
+);
+
+elements.shareBtn.addEventListener('click', async () => {
+    try {
+        await navigator.clipboard.writeText(location.href);
+        elements.shareBtn.querySelector('span').textContent = 'Lien copié !';
+        setTimeout(() => {
+            elements.shareBtn.querySelector('span').textContent = 'Copier le lien';
+        }, 2000);
+    } catch (e) {
+        // Presse-papiers refusé : l'URL de la barre d'adresse reste partageable
+        prompt('Lien vers cette analyse :', location.href);
+    }
+});
+
+window.addEventListener('popstate', () => {
+    const state = readAnalysisFromURL();
+    if (!state.codeInsee) return;
+    
+    applyViewState(state);
+    
+    // Autre commune, ou transactions chargées avec un autre mode de sources : nouvelle analyse
+    if (state.codeInsee !== currentData.commune?.code || state.mergeSources !== currentData.mergeSources) {
+        startAnalysis(state.codeInsee, state.secteur, { historyMode: 'none' });
+        return;
+    }
+    
+    // Même commune, mêmes sources : seuls le secteur ou les filtres changent
+    currentData.secteur = state.secteur;
+    clearMapSelection(false);
+    refreshResults();
+    displayTransactionMap();
+});
+
+function buildAnalysisParams() {
+    const params = new URLSearchParams();
+    const { commune, secteur } = currentData;
+    if (!commune) return params;
+    
+    params.set('insee', commune.code);
+    
+    if (secteur) {
+        params.set('adresse', secteur.adresse);
+        params.set('lat', secteur.latitude.toFixed(6));
+        params.set('lon', secteur.longitude.toFixed(6));
+        params.set('rayon', secteur.rayon);
+    }
+    
+    Object.entries(URL_FILTER_PARAMS).forEach(([key, param]) => {
+        const value = explorerState.filters[key];
+        if (value !== '') params.set(param, value);
+    });
+    
+    const { sort, pageSize } = explorerState;
+    if (sort.key !== 'date' || sort.dir !== 'desc') params.set('tri', `${sort.key}:${sort.dir}`);
+    if (pageSize !== 50) params.set('parPage', pageSize);
+    
+    const methods = Object.entries(OUTLIER_CONFIG.byType)
+        .filter(([type, rules]) => rules.method !== DEFAULT_OUTLIER_METHODS[type])
+        .map(([type, rules]) => `${type}:${rules.method}`);
+    if (methods.length > 0) params.set('aberrants', methods.join(','));
+    
+    if (API_CONFIG.dvfMergeSources) params.set('fusion', '1');
+    
+    // Simulation : seuls les paramètres modifiés, ex: sim=surface:65,prix:210000,taux:3.2
+    const simulation = Object.entries(simulationState)
+        .filter(([key, value]) => value !== SIMULATION_DEFAULTS[key])
+        .map(([key, value]) => `${key}:${value}`);
+    if (simulation.length > 0) params.set('sim', simulation.join(','));
+    
+    return params;
+}
+
+// mode : 'push' pour une nouvelle analyse, 'replace' pour un changement de filtre ou de vue
+function updateURL(mode = 'replace') {
+    if (!currentData.commune) return;
+    
+    const url = `${location.pathname}?${buildAnalysisParams().toString()}${location.hash}`;
+    if (url === `${location.pathname}${location.search}${location.hash}`) return;
+    
+    const state = { insee: currentData.commune.code };
+    const previousInsee = new URLSearchParams(location.search).get('insee');
+    
+    if (mode === 'push' && previousInsee !== currentData.commune.code) {
+        history.pushState(state, '', url);
+    } else {
+        history.replaceState(state, '', url);
+    }
+}
+
+// Paramètre numérique limité aux options du menu correspondant, sinon valeur par défaut
+function readSelectParam(params, name, select, fallback) {
+    const value = parseInt(params.get(name), 10);
+    const options = [...select.querySelectorAll('option')].map(option => parseInt(option.value, 10));
+    return options.includes(value) ? value : fallback;
+}
+
+function readAnalysisFromURL(search = location.search) {
+    const params = new URLSearchParams(search);
+    
+    const latitude = parseFloat(params.get('lat'));
+    const longitude = parseFloat(params.get('lon'));
+    const secteur = Number.isFinite(latitude) && Number.isFinite(longitude)
+        ? {
+            adresse: params.get('adresse') || `${latitude}, ${longitude}`,
+            latitude,
+            longitude,
+            rayon: readSelectParam(params, 'rayon', elements.radiusSelect, 500)
+        }
+        : null;
+    
+    const filters = { ...EMPTY_EXPLORER_FILTERS };
+    Object.entries(URL_FILTER_PARAMS).forEach(([key, param]) => {
+        const value = params.get(param);
+        if (value !== null) filters[key] = value;
+    });
+    // Une année seule couvre l'année entière : du=2021&au=2024
+    if (/^\d{4}$/.test(filters.dateFrom)) filters.dateFrom += '-01-01';
+    if (/^\d{4}$/.test(filters.dateTo)) filters.dateTo += '-12-31';
+    
+    // Tri inconnu (colonne ou sens) : tri par défaut, date décroissante
+    const [sortKey, sortDir] = (params.get('tri') || '').split(':');
+    const sort = EXPLORER_SORT_KEYS.includes(sortKey) && ['asc', 'desc'].includes(sortDir)
+        ? { key: sortKey, dir: sortDir }
+        : { key: 'date', dir: 'desc' };
+    
+    const methods = {};
+    (params.get('aberrants') || '').split(',').filter(Boolean).forEach(entry => {
+        const [type, method] = entry.split(':');
+        if (OUTLIER_CONFIG.byType[type] && OUTLIER_METHODS[method]) methods[type] = method;
+    });
+    
+    const simulation = { ...SIMULATION_DEFAULTS };
+    (params.get('sim') || '').split(',').filter(Boolean).forEach(entry => {
+        const [key, value] = entry.split(':');
+        if (key in SIMULATION_DEFAULTS) simulation[key] = parseSimulationValue(key, value);
+    });
+    
+    return {
+        codeInsee: params.get('insee'),
+        secteur,
+        filters,
+        sort,
+        pageSize: readSelectParam(params, 'parPage', elements.pageSizeSelect, 50),
+        methods,
+        mergeSources: params.get('fusion') === '1',
+        simulation
+    };
+}
+
+function applyViewState(state) {
+    explorerState.filters = state.filters;
+    explorerState.sort = state.sort;
+    explorerState.pageSize = state.pageSize;
+    explorerState.page = 1;
+    syncExplorerInputs();
+    elements.pageSizeSelect.value = String(state.pageSize);
+    
+    Object.entries(OUTLIER_CONFIG.byType).forEach(([type, rules]) => {
+        rules.method = state.methods[type] || DEFAULT_OUTLIER_METHODS[type];
+    });
+    
+    API_CONFIG.dvfMergeSources = state.mergeSources;
+    elements.mergeSourcesToggle.checked = state.mergeSources;
+    
+    simulationState = state.simulation;
+    syncSimulationInputs();
+    
+    if (state.secteur) {
+        elements.addressInput.value = state.secteur.adresse;
+        elements.radiusSelect.value = String(state.secteur.rayon);
+    }
 }
 
 // ============================================
@@ -1598,6 +3570,22 @@ function formatDate(dateStr) {
     return date.toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit', year: 'numeric' });
 }
 
+function formatRadius(meters) {
+    return meters >= 1000 ? `${meters / 1000} km` : `${meters} m`;
+}
+
+// Téléchargement d'un fichier généré côté client
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function showLoading() {
     elements.loadingOverlay.classList.add('active');
     elements.searchBtn.disabled = true;
@@ -1631,4 +3619,13 @@ function hideError() {
 // Focus sur l'input au chargement
 elements.cityInput.focus();
 
+// Lien partagé : relancer l'analyse décrite dans l'URL, une fois le proxy local détecté
+const initialState = readAnalysisFromURL();
+detectOwnProxy().then(() => {
+    if (initialState.codeInsee) {
+        applyViewState(initialState);
+        startAnalysis(initialState.codeInsee, initialState.secteur, { historyMode: 'replace' });
+    }
+});
+
 console.log('🏠 Secteur Analyzer chargé');
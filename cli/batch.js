@@ -0,0 +1,389 @@
+#!/usr/bin/env node
+/**
+ * Secteur Analyzer - Analyse d'une liste de communes en ligne de commande
+ * Réutilise le moteur du navigateur (core.js) : sources DVF, normalisation, calculateStats.
+ *
+ * Usage : node cli/batch.js [options] <commune...>
+ * Voir --aide pour la liste des options.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import XLSX from 'xlsx';
+import {
+    API_CONFIG,
+    fetchCommuneByCode,
+    fetchCommuneByName,
+    fetchDVFTransactions,
+    fetchMergedDVFTransactions,
+    importLocalDVF,
+    isLocalDVFLoaded,
+    getLocalCommune,
+    findLocalCommunes,
+    calculateStats,
+    calculateEvolution
+} from '../core.js';
+
+const USAGE = `Usage : node cli/batch.js [options] <commune...>
+
+  <commune>                     code INSEE (ex. 69123) ou nom de commune
+  -f, --fichier <chemin>        liste de communes, une par ligne (# pour commenter ;
+                                pour un CSV, la première colonne est utilisée)
+  -o, --sortie <chemin>         résultats .xlsx ou .csv (défaut : analyse-communes.xlsx)
+  -c, --concurrence <n>         analyses simultanées (défaut : 3)
+      --progression <chemin>    fichier de reprise (défaut : <sortie>.progress.json)
+      --recommencer             ignorer la progression déjà enregistrée
+      --fusion                  fusionner toutes les sources DVF au lieu de la première qui répond
+      --dvf <chemin>            fichier DVF local (valeursfoncieres-YYYY.txt, CSV géolocalisé)
+                                utilisé à la place des APIs
+      --sans-detail             pas de feuille de détail par commune (XLSX)
+  -v, --verbeux                 afficher le détail des appels aux sources
+  -h, --aide                    afficher cette aide
+`;
+
+const MAIN_TYPES = ['Appartement', 'Maison'];
+
+// ============================================
+// OPTIONS
+// ============================================
+
+function readOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            fichier: { type: 'string', short: 'f' },
+            sortie: { type: 'string', short: 'o', default: 'analyse-communes.xlsx' },
+            concurrence: { type: 'string', short: 'c', default: '3' },
+            progression: { type: 'string' },
+            recommencer: { type: 'boolean', default: false },
+            fusion: { type: 'boolean', default: false },
+            dvf: { type: 'string' },
+            'sans-detail': { type: 'boolean', default: false },
+            verbeux: { type: 'boolean', short: 'v', default: false },
+            aide: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const inputs = [...positionals];
+    if (values.fichier) {
+        inputs.push(...readCommuneList(values.fichier));
+    }
+
+    return {
+        inputs: [...new Set(inputs)],
+        output: values.sortie,
+        concurrency: Math.max(1, parseInt(values.concurrence, 10) || 1),
+        progressFile: values.progression || `${values.sortie}.progress.json`,
+        restart: values.recommencer,
+        merge: values.fusion,
+        dvfFile: values.dvf,
+        details: !values['sans-detail'],
+        verbose: values.verbeux,
+        help: values.aide
+    };
+}
+
+function readCommuneList(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.replace(/^\uFEFF/, '').split(/[;,\t]/)[0].trim().replace(/^"|"$/g, ''))
+        .filter(line => line && !line.startsWith('#'))
+        // En-tête d'un export CSV (code_insee, commune...)
+        .filter((line, i) => i > 0 || !/^(code|insee|commune|nom)/i.test(line));
+}
+
+// ============================================
+// PROGRESSION (REPRISE)
+// ============================================
+
+// { results: { [entrée]: résultat } } ; seules les analyses réussies sont sautées à la reprise
+function loadProgress(options) {
+    if (options.restart || !fs.existsSync(options.progressFile)) {
+        return { merge: options.merge, results: {} };
+    }
+
+    const progress = JSON.parse(fs.readFileSync(options.progressFile, 'utf8'));
+    if (progress.merge !== options.merge) {
+        throw new Error(`${options.progressFile} a été créé avec un autre mode de sources : utiliser --recommencer`);
+    }
+    return progress;
+}
+
+function saveProgress(file, progress) {
+    // Écriture atomique : un arrêt brutal ne laisse jamais un fichier tronqué
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(progress));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+// ============================================
+// ANALYSE D'UNE COMMUNE
+// ============================================
+
+async function resolveCommune(input) {
+    const isCode = /^\d[\dAB]\d{3}$/i.test(input);
+
+    try {
+        const commune = isCode
+            ? await fetchCommuneByCode(input.toUpperCase())
+            : await fetchCommuneByName(input);
+        if (commune) return commune;
+    } catch (e) {
+        if (!isLocalDVFLoaded()) throw e;
+    }
+
+    // Hors ligne : communes connues du fichier DVF local
+    const local = isCode ? getLocalCommune(input.toUpperCase()) : findLocalCommunes(input, 1)[0];
+    if (!local) throw new Error('Commune non trouvée');
+    return local;
+}
+
+async function analyzeCommune(input, options) {
+    const commune = await resolveCommune(input);
+    const sourceStatus = {};
+    const fetchTransactions = options.merge ? fetchMergedDVFTransactions : fetchDVFTransactions;
+    const transactions = await fetchTransactions(commune.code, { sourceStatus });
+    const summary = {
+        code: commune.code,
+        nom: commune.nom,
+        departement: commune.departement || null,
+        codesPostaux: commune.codesPostaux || [],
+        population: commune.population ?? null,
+        surface: commune.surface ?? null
+    };
+
+    // Les sources en échec renvoient [] : sans réponse d'aucune, la commune reste à retenter
+    const statuses = Object.values(sourceStatus);
+    if (statuses.length === 0 || statuses.every(status => status === 'error')) {
+        return {
+            status: 'error',
+            error: 'Aucune source DVF n\'a répondu',
+            commune: summary,
+            sourceStatus
+        };
+    }
+
+    const stats = calculateStats(transactions, commune);
+
+    // Résumé sérialisable : les transactions ne sont pas conservées dans la progression
+    return {
+        status: 'ok',
+        commune: summary,
+        sourceStatus,
+        stats: {
+            totalTransactions: stats.totalTransactions,
+            validTransactions: stats.validTransactions,
+            mixedTransactions: stats.mixedTransactions,
+            excluded: stats.quality.excludedCount,
+            period: stats.period,
+            priceStats: stats.priceStats,
+            yearlyStats: stats.yearlyStats,
+            housingDist: stats.housingDist,
+            density: stats.density,
+            evolution: calculateEvolution(stats.yearlyStats)
+        },
+        analyzedAt: new Date().toISOString()
+    };
+}
+
+// File de travail à concurrence limitée ; onResult est appelé à chaque commune terminée
+async function runPool(inputs, concurrency, worker, onResult) {
+    let next = 0;
+
+    async function lane() {
+        while (next < inputs.length) {
+            const input = inputs[next++];
+            let result;
+            try {
+                result = await worker(input);
+            } catch (e) {
+                result = { status: 'error', error: e.message };
+            }
+            onResult(input, result);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, inputs.length) }, lane));
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+const SUMMARY_HEADERS = [
+    'Entrée', 'Code INSEE', 'Commune', 'Département', 'Population', 'Superficie (km²)', 'Densité (hab/km²)',
+    'Mutations DVF', 'Ventes retenues', 'Ventes exclues', 'Période début', 'Période fin',
+    ...MAIN_TYPES.flatMap(type => [
+        `${type} - ventes`,
+        `${type} - prix médian (€/m²)`,
+        `${type} - prix moyen (€/m²)`,
+        `${type} - Q1 (€/m²)`,
+        `${type} - Q3 (€/m²)`
+    ]),
+    'Évolution prix moyen (%)', 'Sources DVF', 'Statut', 'Erreur'
+];
+
+function buildSummaryRow(input, result) {
+    if (!result || result.status !== 'ok') {
+        return [input, ...Array(SUMMARY_HEADERS.length - 3).fill(''), 'Erreur', result?.error || 'Non analysée'];
+    }
+
+    const { commune, stats, sourceStatus } = result;
+    return [
+        input,
+        commune.code,
+        commune.nom,
+        commune.departement?.nom || commune.departement?.code || '',
+        commune.population ?? '',
+        commune.surface ? Math.round(commune.surface) / 100 : '',
+        stats.density || '',
+        stats.totalTransactions,
+        stats.validTransactions,
+        stats.excluded,
+        stats.period?.from || '',
+        stats.period?.to || '',
+        ...MAIN_TYPES.flatMap(type => {
+            const p = stats.priceStats[type];
+            return p ? [p.count, p.median, p.avg, p.q1, p.q3] : [0, '', '', '', ''];
+        }),
+        stats.evolution ?? '',
+        Object.entries(sourceStatus).map(([name, status]) => `${name}: ${status}`).join(', '),
+        'OK',
+        ''
+    ];
+}
+
+function buildDetailSheet(input, { commune, stats, sourceStatus }) {
+    const rows = [
+        ['Commune', commune.nom],
+        ['Code INSEE', commune.code],
+        ['Département', commune.departement?.nom || commune.departement?.code || ''],
+        ['Codes postaux', commune.codesPostaux.join(', ')],
+        ['Population', commune.population ?? ''],
+        ['Mutations DVF', stats.totalTransactions],
+        ['Ventes retenues', stats.validTransactions],
+        ['Ventes exclues', stats.excluded],
+        ['Période', stats.period ? `${stats.period.from} - ${stats.period.to}` : ''],
+        ['Sources DVF', Object.entries(sourceStatus).map(([name, status]) => `${name}: ${status}`).join(', ')],
+        [],
+        ['Prix par type', 'Ventes', 'Min (€/m²)', 'Q1 (€/m²)', 'Médiane (€/m²)', 'Moyenne (€/m²)', 'Q3 (€/m²)', 'Max (€/m²)'],
+        ...Object.entries(stats.priceStats).map(([type, p]) => [type, p.count, p.min, p.q1, p.median, p.avg, p.q3, p.max]),
+        [],
+        ['Année', 'Ventes', 'Prix moyen (€/m²)'],
+        ...stats.yearlyStats.map(y => [y.year, y.count, y.avgPrice]),
+        [],
+        ['Logements', 'Ventes', 'Part (%)'],
+        ...stats.housingDist.map(h => [h.label, h.count, h.percent])
+    ];
+
+    return XLSX.utils.aoa_to_sheet(rows);
+}
+
+// Noms de feuilles Excel : 31 caractères max, sans : \ / ? * [ ], uniques
+function sheetName(commune, used) {
+    const base = `${commune.code} ${commune.nom}`.replace(/[:\\/?*[\]]/g, '-').substring(0, 31);
+    let name = base;
+    for (let i = 2; used.has(name); i++) {
+        name = `${base.substring(0, 31 - String(i).length - 1)}~${i}`;
+    }
+    used.add(name);
+    return name;
+}
+
+function writeResults(options, inputs, results) {
+    const summary = XLSX.utils.aoa_to_sheet([
+        SUMMARY_HEADERS,
+        ...inputs.map(input => buildSummaryRow(input, results[input]))
+    ]);
+
+    if (path.extname(options.output).toLowerCase() === '.csv') {
+        // BOM : accents corrects à l'ouverture dans Excel
+        fs.writeFileSync(options.output, '\uFEFF' + XLSX.utils.sheet_to_csv(summary, { FS: ';' }));
+        return;
+    }
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, summary, 'Synthèse');
+
+    if (options.details) {
+        const used = new Set(['Synthèse']);
+        inputs
+            .filter(input => results[input]?.status === 'ok')
+            .forEach(input => {
+                const result = results[input];
+                XLSX.utils.book_append_sheet(wb, buildDetailSheet(input, result), sheetName(result.commune, used));
+            });
+    }
+
+    XLSX.writeFile(wb, options.output);
+}
+
+// ============================================
+// PROGRAMME PRINCIPAL
+// ============================================
+
+async function main() {
+    const options = readOptions(process.argv.slice(2));
+
+    if (options.help || options.inputs.length === 0) {
+        process.stdout.write(USAGE);
+        process.exitCode = options.help ? 0 : 1;
+        return;
+    }
+
+    // Pas de contrainte CORS hors navigateur : les sources sont appelées directement
+    API_CONFIG.useCorsProxies = false;
+
+    // Le moteur trace chaque appel de source : utile en mode verbeux seulement
+    if (!options.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+    const report = (message) => process.stderr.write(message + '\n');
+
+    if (options.dvfFile) {
+        const blob = await fs.openAsBlob(options.dvfFile);
+        blob.name = options.dvfFile;
+        report(`📂 Lecture de ${options.dvfFile}...`);
+        await importLocalDVF(blob);
+    }
+
+    const progress = loadProgress(options);
+    const pending = options.inputs.filter(input => progress.results[input]?.status !== 'ok');
+    const resumed = options.inputs.length - pending.length;
+
+    report(`🏠 ${options.inputs.length} communes${resumed > 0 ? `, dont ${resumed} déjà analysées (reprise)` : ''}`);
+
+    let done = resumed;
+    await runPool(pending, options.concurrency, input => analyzeCommune(input, options), (input, result) => {
+        progress.results[input] = result;
+        saveProgress(options.progressFile, progress);
+        done++;
+
+        const prefix = `[${done}/${options.inputs.length}]`;
+        report(result.status === 'ok'
+            ? `${prefix} ✓ ${result.commune.code} ${result.commune.nom} : ${result.stats.totalTransactions} mutations`
+            : `${prefix} ✗ ${input} : ${result.error}`);
+    });
+
+    writeResults(options, options.inputs, progress.results);
+
+    const failed = options.inputs.filter(input => progress.results[input]?.status !== 'ok');
+    report(`✅ Résultats écrits dans ${options.output}`);
+    if (failed.length > 0) {
+        report(`⚠️ ${failed.length} commune(s) en erreur : relancer la même commande pour les retenter`);
+        process.exitCode = 2;
+    }
+}
+
+// Lancé directement (node cli/batch.js), et non importé par un test
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch(e => {
+        process.stderr.write(`Erreur : ${e.message}\n`);
+        process.exitCode = 1;
+    });
+}
+
+export { analyzeCommune };
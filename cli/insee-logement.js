@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Secteur Analyzer - Découpage de la base Logement du recensement INSEE par département
+ * Lit base-cc-logement-YYYY.CSV (insee.fr) et écrit un fichier JSON par département,
+ * chargé par l'application à l'analyse d'une commune (API_CONFIG.inseeLogement).
+ *
+ * Usage : node cli/insee-logement.js [options] <base-cc-logement.CSV>
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { localINSEELogement, importINSEELogement, getDepartementCode } from '../core.js';
+
+const USAGE = `Usage : node cli/insee-logement.js [options] <base-cc-logement.CSV>
+
+  <base-cc-logement.CSV>        base communale Logement du recensement (séparateur ;),
+                                éventuellement compressée (.gz)
+  -o, --sortie <dossier>        dossier des fichiers par département
+                                (défaut : data/insee/logement)
+  -h, --aide                    afficher cette aide
+`;
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            sortie: { type: 'string', short: 'o', default: path.join('data', 'insee', 'logement') },
+            aide: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.aide || positionals.length !== 1) {
+        process.stdout.write(USAGE);
+        process.exitCode = values.aide ? 0 : 1;
+        return;
+    }
+
+    console.log = () => {};
+    const report = (message) => process.stderr.write(message + '\n');
+
+    const blob = await fs.openAsBlob(positionals[0]);
+    blob.name = positionals[0];
+    report(`📂 Lecture de ${positionals[0]}...`);
+    await importINSEELogement(blob);
+
+    // Effectifs arrondis au dixième : pondérés par l'INSEE, ils n'ont pas plus de précision utile
+    const departements = new Map();
+    localINSEELogement.communes.forEach((row, code) => {
+        const departement = getDepartementCode(code);
+        if (!departements.has(departement)) departements.set(departement, {});
+        departements.get(departement)[code] = Object.fromEntries(Object.entries(row)
+            .map(([field, value]) => [field, value === null ? null : Math.round(value * 10) / 10]));
+    });
+
+    fs.mkdirSync(values.sortie, { recursive: true });
+    departements.forEach((communes, departement) => {
+        fs.writeFileSync(
+            path.join(values.sortie, `${departement}.json`),
+            JSON.stringify({ annee: localINSEELogement.annee, communes })
+        );
+    });
+
+    report(`✅ Recensement ${localINSEELogement.annee} : ${localINSEELogement.communes.size} communes, ${departements.size} départements écrits dans ${values.sortie}`);
+}
+
+main().catch(e => {
+    process.stderr.write(`Erreur : ${e.message}\n`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,1909 @@
+/**
+ * Secteur Analyzer - Moteur d'analyse
+ * Configuration, récupération des sources (DVF, API Géo, recensement, pages scrapées),
+ * normalisation des données DVF, statistiques. Aucune dépendance au DOM : importé par
+ * app.js dans le navigateur, par la CLI (cli/) et par les tests (test/) sous Node.
+ */
+
+import { parseLInternauteHTML, parseMeilleursAgentsHTML } from './parsers.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+export const API_CONFIG = {
+    geo: 'https://geo.api.gouv.fr',
+    // Base Adresse Nationale pour le géocodage des adresses (mode secteur)
+    adresse: 'https://api-adresse.data.gouv.fr',
+    // Sources DVF, dans l'ordre de repli. Chaque nom correspond à un adaptateur
+    // enregistré via registerDVFAdapter() (voir ADAPTATEURS DE SOURCES DVF).
+    // 'cerema' est enregistré mais pas activé par défaut (voir son adaptateur)
+    dvfSources: ['etalab', 'cquest', 'opendatasoft'],
+    // Sources paginées : nombre maximal de transactions chargées par commune,
+    // et garde-fou sur le nombre de pages
+    dvfMaxRecords: 10000,
+    dvfMaxPages: 200,
+    // OpenDataSoft : 100 enregistrements max par page, offset + limit <= 10 000
+    opendatasoftPageSize: 100,
+    // true : interroger toutes les sources en parallèle et fusionner leurs mutations,
+    // false : première source qui répond (plus rapide)
+    dvfMergeSources: false,
+    // Fichier DVF importé (mode hors ligne) : l'utiliser seul, sans interroger les APIs
+    dvfLocalOnly: true,
+    // Recensement INSEE (base Logement), source prioritaire des données logement :
+    // JSON par département générés par cli/insee-logement.js. L'Internaute sert de repli
+    inseeLogement: {
+        baseUrl: 'data/insee/logement/'
+    },
+    // Sources sans en-têtes CORS (cquest...) : passer par les proxies. Inutile hors navigateur (CLI)
+    useCorsProxies: true,
+    // Proxy auto-hébergé (server/proxy.js), toujours essayé avant les proxies publics,
+    // ex. 'http://localhost:8787/proxy?url='. Surchargeable via localStorage
+    // ('secteur-analyzer.proxy') ; détecté automatiquement si l'app est servie par le proxy
+    ownProxy: '',
+    // Proxies CORS publics de repli (en ordre de fiabilité)
+    corsProxies: [
+        'https://api.allorigins.win/raw?url=',
+        'https://corsproxy.io/?',
+        'https://api.codetabs.com/v1/proxy?quest='
+    ],
+    // Cache persistant (IndexedDB) des réponses, avec une durée de validité par source
+    cache: {
+        dbName: 'secteur-analyzer',
+        storeName: 'responses',
+        ttl: {
+            geo: 30 * 24 * 3600 * 1000,             // Découpage communal : quasi stable
+            dvf: 7 * 24 * 3600 * 1000,              // DVF publié semestriellement
+            meilleursAgents: 3 * 24 * 3600 * 1000,  // Estimations mises à jour en continu
+            insee: 30 * 24 * 3600 * 1000,           // Recensement publié une fois par an
+            linternaute: 30 * 24 * 3600 * 1000      // Recensement INSEE annuel
+        }
+    },
+    // Fond de carte des transactions : remplacer tileUrl par un serveur de tuiles local
+    // (ex: 'http://localhost:8080/tiles/{z}/{x}/{y}.png') pour travailler hors ligne
+    map: {
+        tileUrl: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>',
+        maxZoom: 19
+    },
+    // URLs des sources pour liens manuels
+    sources: {
+        dvfEtalab: {
+            name: 'DVF Etalab',
+            baseUrl: 'https://app.dvf.etalab.gouv.fr/',
+            buildUrl: (deptCode) => `https://app.dvf.etalab.gouv.fr/?code_departement=${deptCode}`,
+            github: 'https://github.com/etalab/DVF-app'
+        },
+        meilleursAgents: {
+            name: 'MeilleursAgents',
+            baseUrl: 'https://www.meilleursagents.com/prix-immobilier/',
+            buildUrl: (nom, cp) => {
+                const slug = nom.toLowerCase()
+                    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+                    .replace(/[^a-z0-9]+/g, '-')
+                    .replace(/^-|-$/g, '');
+                return `https://www.meilleursagents.com/prix-immobilier/${slug}-${cp}/`;
+            }
+        },
+        linternaute: {
+            name: "L'Internaute",
+            baseUrl: 'https://www.linternaute.com/ville/',
+            buildUrl: (nom, code) => {
+                const slug = nom.toLowerCase()
+                    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+                    .replace(/[^a-z0-9]+/g, '-')
+                    .replace(/^-|-$/g, '');
+                return `https://www.linternaute.com/ville/${slug}/ville-${code}/immobilier`;
+            }
+        },
+        insee: {
+            name: 'INSEE',
+            baseUrl: 'https://www.insee.fr/fr/statistiques/zones/2011101',
+            buildUrl: (code) => `https://www.insee.fr/fr/statistiques/2011101?geo=COM-${code}`
+        },
+        dataGouv: {
+            name: 'Data.gouv.fr',
+            baseUrl: 'https://www.data.gouv.fr/fr/datasets/demandes-de-valeurs-foncieres/',
+            buildUrl: () => 'https://www.data.gouv.fr/fr/datasets/demandes-de-valeurs-foncieres/'
+        }
+    },
+    meilleursAgents: 'https://www.meilleursagents.com/prix-immobilier/',
+    // L'Internaute pour données INSEE détaillées
+    linternaute: {
+        baseUrl: 'https://www.linternaute.com/ville/',
+        // URL pattern: /ville/{nom-commune}/ville-{code}/immobilier
+        buildUrl: (nom, code) => {
+            const slug = nom.toLowerCase()
+                .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-|-$/g, '');
+            return `https://www.linternaute.com/ville/${slug}/ville-${code}/immobilier`;
+        }
+    }
+};
+
+// ============================================
+// ANNULATION DES REQUÊTES
+// ============================================
+
+// Chaque fonction de récupération accepte options.signal (AbortController de l'analyse en cours) :
+// une requête annulée n'essaie ni les autres proxies ni les sources de repli
+
+// Signal d'une requête : annulation par l'appelant ou délai dépassé
+function requestSignal(signal, timeout) {
+    return signal ? AbortSignal.any([signal, AbortSignal.timeout(timeout)]) : AbortSignal.timeout(timeout);
+}
+
+// ============================================
+// API GÉO (COMMUNES)
+// ============================================
+
+export async function fetchCommuneByCode(code, { signal } = {}) {
+    const response = await fetch(
+        `${API_CONFIG.geo}/communes/${code}?fields=nom,code,codesPostaux,population,surface,departement,region,centre,contour`,
+        { signal }
+    );
+    if (!response.ok) throw new Error('Commune non trouvée');
+    return response.json();
+}
+
+export async function fetchCommuneByName(name, { signal } = {}) {
+    const response = await fetch(
+        `${API_CONFIG.geo}/communes?nom=${encodeURIComponent(name)}&fields=nom,code,codesPostaux,population,surface,departement,region,centre,contour&limit=1&boost=population`,
+        { signal }
+    );
+    if (!response.ok) throw new Error('Erreur recherche');
+    const communes = await response.json();
+    return communes[0] || null;
+}
+
+// ============================================
+// API ADRESSE (GÉOCODAGE)
+// ============================================
+
+export async function geocodeAddress(query, { signal } = {}) {
+    const response = await fetch(
+        `${API_CONFIG.adresse}/search/?q=${encodeURIComponent(query)}&limit=1`,
+        { signal }
+    );
+    if (!response.ok) throw new Error('Erreur géocodage');
+    
+    const data = await response.json();
+    const feature = data.features?.[0];
+    if (!feature) return null;
+    
+    // GeoJSON : coordonnées dans l'ordre [longitude, latitude]
+    const [longitude, latitude] = feature.geometry.coordinates;
+    return {
+        adresse: feature.properties.label,
+        city: feature.properties.city,
+        citycode: feature.properties.citycode,
+        latitude,
+        longitude
+    };
+}
+
+// ============================================
+// RÉCUPÉRATION DES DONNÉES DVF
+// ============================================
+
+// options.sourceStatus reçoit le résultat de chaque source interrogée : 'ok', 'empty' ou 'error'
+export async function fetchDVFTransactions(codeInsee, { onProgress, sourceStatus = {}, signal } = {}) {
+    console.log('🔍 Recherche DVF pour code INSEE:', codeInsee);
+    
+    // Essayer chaque source DVF, dans l'ordre configuré
+    for (const adapter of getActiveDVFAdapters()) {
+        console.log(`📡 Tentative source ${adapter.name}...`);
+        
+        try {
+            const mutations = await fetchSourceMutations(adapter, codeInsee, onProgress, signal);
+            
+            if (mutations.length > 0) {
+                sourceStatus[adapter.name] = 'ok';
+                return mutations;
+            }
+            
+            sourceStatus[adapter.name] = 'empty';
+            console.warn(`  ✗ Source ${adapter.name} - aucune transaction`);
+        } catch (e) {
+            signal?.throwIfAborted();
+            sourceStatus[adapter.name] = 'error';
+            console.warn(`  ✗ Erreur source ${adapter.name}:`, e.message);
+            continue;
+        }
+    }
+    
+    console.warn('⚠️ Aucune donnée DVF trouvée');
+    return [];
+}
+
+// Mode fusion : toutes les sources en parallèle, mutations dédoublonnées entre sources
+export async function fetchMergedDVFTransactions(codeInsee, { onProgress, sourceStatus = {}, signal } = {}) {
+    console.log('🔍 Recherche DVF (fusion des sources) pour code INSEE:', codeInsee);
+    
+    const adapters = getActiveDVFAdapters();
+    const progress = {};
+    const reportProgress = onProgress && (({ source, loaded, total }) => {
+        progress[source] = { loaded, total };
+        const all = Object.values(progress);
+        onProgress({
+            source: `${all.length} sources`,
+            loaded: all.reduce((sum, p) => sum + p.loaded, 0),
+            total: all.every(p => p.total) ? all.reduce((sum, p) => sum + p.total, 0) : null
+        });
+    });
+    
+    const results = await Promise.allSettled(
+        adapters.map(adapter => fetchSourceMutations(adapter, codeInsee, reportProgress, signal))
+    );
+    signal?.throwIfAborted();
+    
+    const lists = [];
+    results.forEach((result, i) => {
+        const adapter = adapters[i];
+        if (result.status === 'rejected') {
+            sourceStatus[adapter.name] = 'error';
+            console.warn(`  ✗ Erreur source ${adapter.name}:`, result.reason?.message);
+        } else {
+            sourceStatus[adapter.name] = result.value.length > 0 ? 'ok' : 'empty';
+            lists.push(result.value);
+        }
+    });
+    
+    const merged = mergeSourceMutations(lists);
+    console.log(`  ✓ ${merged.length} mutations après fusion de ${lists.length} sources`);
+    return merged;
+}
+
+// Lignes d'une source -> mutations normalisées, marquées avec leur source
+async function fetchSourceMutations(adapter, codeInsee, onProgress, signal) {
+    const rows = await fetchAdapterRows(adapter, codeInsee, onProgress, signal);
+    const transactions = rows.map(row => ({ ...adapter.normalize(row), source: adapter.name }));
+    if (transactions.length === 0) return [];
+    
+    console.log(`  ✓ ${transactions.length} transactions via ${adapter.label}`);
+    const mutations = groupMutations(transactions).map(t => ({ ...t, sources: [adapter.name] }));
+    console.log(`  ✓ ${transactions.length} lignes regroupées en ${mutations.length} mutations`);
+    return mutations;
+}
+
+// Récupère toutes les lignes brutes d'une source, page par page si elle est paginée
+async function fetchAdapterRows(adapter, codeInsee, onProgress = null, signal = null) {
+    // Sources hors HTTP (fichier local...) : l'adaptateur fournit ses lignes lui-même
+    if (adapter.fetchRows) {
+        return adapter.fetchRows(codeInsee);
+    }
+    
+    const rows = [];
+    let page = null;
+    let pageCount = 0;
+    let total = null;
+    
+    do {
+        const url = adapter.buildUrl(codeInsee, page);
+        const data = await fetchDVFJson(url, adapter.capabilities.needsCors, signal);
+        const pageRows = adapter.extract(data) || [];
+        rows.push(...pageRows);
+        pageCount++;
+        
+        if (total === null && adapter.totalCount) {
+            total = Math.min(adapter.totalCount(data) ?? Infinity, API_CONFIG.dvfMaxRecords);
+        }
+        if (onProgress) {
+            onProgress({ source: adapter.label, loaded: rows.length, total });
+        }
+        
+        page = adapter.capabilities.pagination && pageRows.length > 0 && rows.length < API_CONFIG.dvfMaxRecords
+            ? adapter.nextPage(data, page, pageRows)
+            : null;
+    } while (page !== null && page !== undefined && pageCount < API_CONFIG.dvfMaxPages);
+    
+    if (page !== null && page !== undefined) {
+        console.warn(`  ⚠️ ${adapter.name} : limite atteinte, ${rows.length} lignes chargées sur ${total ?? '?'}`);
+    }
+    
+    return rows.slice(0, API_CONFIG.dvfMaxRecords);
+}
+
+async function fetchDVFJson(url, needsCors, signal = null) {
+    let response;
+    
+    if (needsCors && API_CONFIG.useCorsProxies) {
+        // Essayer avec chaque proxy CORS
+        for (const proxy of getCorsProxies()) {
+            try {
+                console.log(`  → Proxy: ${proxy.substring(0, 30)}...`);
+                response = await fetch(proxy + encodeURIComponent(url), {
+                    signal: requestSignal(signal, 15000)
+                });
+                if (response.ok) break;
+            } catch (e) {
+                signal?.throwIfAborted();
+                console.warn(`  ✗ Proxy échoué:`, e.message);
+                continue;
+            }
+        }
+    } else {
+        response = await fetch(url, {
+            signal: requestSignal(signal, 15000)
+        });
+    }
+    
+    if (!response || !response.ok) {
+        throw new Error('pas de réponse valide');
+    }
+    
+    return response.json();
+}
+
+// ============================================
+// PROXIES CORS
+// ============================================
+
+const OWN_PROXY_STORAGE_KEY = 'secteur-analyzer.proxy';
+
+// Proxy auto-hébergé en premier, puis les proxies publics
+export function getCorsProxies() {
+    let own = API_CONFIG.ownProxy;
+    try {
+        own = localStorage.getItem(OWN_PROXY_STORAGE_KEY) || own;
+    } catch (e) {
+        // localStorage indisponible (navigation privée, file://)
+    }
+    
+    return [own, ...API_CONFIG.corsProxies].filter((p, i, all) => p && all.indexOf(p) === i);
+}
+
+// ============================================
+// ADAPTATEURS DE SOURCES DVF
+// ============================================
+
+/*
+ * Un adaptateur décrit une source DVF :
+ * {
+ *   name: 'etalab',                  identifiant, référencé dans API_CONFIG.dvfSources
+ *   label: 'DVF Etalab',             libellé affiché
+ *   capabilities: {
+ *     needsCors: false,              passer par les proxies CORS
+ *     pagination: false,             appeler nextPage() jusqu'à obtenir null
+ *     geolocation: true,             transactions avec latitude/longitude
+ *     mutationId: true               identifiant de mutation fourni
+ *   },
+ *   buildUrl(codeInsee, page),       URL de la page (page = null pour la première)
+ *   extract(data),                   lignes brutes d'une réponse JSON
+ *   nextPage(data, page, rows),      curseur de la page suivante, ou null
+ *   totalCount(data),                optionnel : nombre total de lignes annoncé (progression)
+ *   normalize(row),                  ligne brute -> transaction (voir createTransaction)
+ *   fetchRows(codeInsee)             optionnel : remplace buildUrl/extract (source locale)
+ * }
+ */
+const DVF_ADAPTERS = new Map();
+
+const DEFAULT_ADAPTER_CAPABILITIES = {
+    needsCors: false,
+    pagination: false,
+    geolocation: false,
+    mutationId: false
+};
+
+export function registerDVFAdapter(adapter) {
+    if (!adapter.name || typeof adapter.normalize !== 'function') {
+        throw new Error('Adaptateur DVF invalide : name et normalize() sont requis');
+    }
+    if (!adapter.fetchRows && (typeof adapter.buildUrl !== 'function' || typeof adapter.extract !== 'function')) {
+        throw new Error(`Adaptateur DVF ${adapter.name} : buildUrl() et extract() ou fetchRows() sont requis`);
+    }
+    
+    DVF_ADAPTERS.set(adapter.name, {
+        label: adapter.name,
+        nextPage: () => null,
+        ...adapter,
+        capabilities: { ...DEFAULT_ADAPTER_CAPABILITIES, ...adapter.capabilities }
+    });
+}
+
+export function getActiveDVFAdapters() {
+    if (API_CONFIG.dvfLocalOnly && isLocalDVFLoaded()) {
+        return [DVF_ADAPTERS.get('local')];
+    }
+    
+    return API_CONFIG.dvfSources
+        .map(name => DVF_ADAPTERS.get(name))
+        .filter(Boolean);
+}
+
+// API Etalab officielle (la plus fiable, mais nécessite section cadastrale)
+registerDVFAdapter({
+    name: 'etalab',
+    label: 'DVF Etalab',
+    capabilities: { geolocation: true, mutationId: true },
+    buildUrl: (code) => `https://app.dvf.etalab.gouv.fr/api/mutations3/${code}`,
+    // L'API Etalab retourne { mutations: [...] }
+    extract: (data) => Array.isArray(data.mutations) ? data.mutations : [],
+    normalize: normalizeTransactionEtalab
+});
+
+// API cquest (complète, par code commune)
+registerDVFAdapter({
+    name: 'cquest',
+    label: 'cquest',
+    capabilities: { needsCors: true, geolocation: true },
+    buildUrl: (code) => `https://api.cquest.org/dvf?code_commune=${code}`,
+    extract: (data) => Array.isArray(data.resultats) ? data.resultats : [],
+    normalize: normalizeTransactionCquest
+});
+
+// API OpenDataSoft (backup fiable), paginée par offset
+registerDVFAdapter({
+    name: 'opendatasoft',
+    label: 'OpenDataSoft',
+    capabilities: { pagination: true, geolocation: true, mutationId: true },
+    buildUrl: (code, offset) => `https://data.opendatasoft.com/api/explore/v2.1/catalog/datasets/buildingref-france-demande-de-valeurs-foncieres-geolocalisee-millesime@public/records?where=code_commune%3D%22${code}%22&limit=${API_CONFIG.opendatasoftPageSize}&offset=${offset || 0}&order_by=date_mutation%20desc`,
+    extract: (data) => Array.isArray(data.results) ? data.results : [],
+    totalCount: (data) => data.total_count,
+    nextPage: (data, offset, rows) => {
+        const next = (offset || 0) + rows.length;
+        // L'API records refuse offset + limit au-delà de 10 000
+        const max = Math.min(data.total_count ?? 0, 10000);
+        return next < max ? next : null;
+    },
+    normalize: normalizeTransactionODS
+});
+
+// API Cerema DV3F open data (une ligne par mutation, paginée via l'URL "next").
+// Sur option : hôte de préproduction et ventes sans coordonnées (absentes de la carte
+// et du lasso). À ajouter à dvfSources, et à PROXY_ALLOWED_HOSTS pour le proxy local
+registerDVFAdapter({
+    name: 'cerema',
+    label: 'Cerema DVF+',
+    capabilities: { pagination: true, mutationId: true },
+    buildUrl: (code, page) => page || `https://apidf-preprod.cerema.fr/dvf_opendata/mutations/?code_insee=${code}&page_size=500`,
+    extract: (data) => Array.isArray(data.results) ? data.results : [],
+    nextPage: (data) => data.next || null,
+    normalize: normalizeTransactionCerema
+});
+
+// Fichier DVF importé par l'utilisateur (voir IMPORT DVF LOCAL)
+registerDVFAdapter({
+    name: 'local',
+    label: 'Fichier DVF local',
+    fetchRows: getLocalDVFRows,
+    normalize: normalizeTransactionEtalab
+});
+
+// ============================================
+// IMPORT DVF LOCAL (HORS LIGNE)
+// ============================================
+
+/*
+ * Fichiers data.gouv.fr acceptés, éventuellement compressés (.gz) :
+ * - valeursfoncieres-YYYY.txt (DGFiP) : séparateur '|', en-têtes en français,
+ *   décimales à virgule, dates jj/mm/aaaa, sans coordonnées
+ * - DVF géolocalisées (full.csv ou extrait départemental) : séparateur ',',
+ *   mêmes colonnes que l'API Etalab (id_mutation, date_mutation...)
+ * Les lignes brutes sont indexées par code commune et décodées à l'analyse :
+ * un fichier national pèse plusieurs centaines de Mo, préférer un extrait départemental.
+ */
+export const localDVF = {
+    fileName: null,
+    format: null,           // 'dgfip' ou 'geo'
+    separator: ',',
+    headers: [],
+    index: new Map(),       // code commune -> lignes brutes
+    communes: new Map(),    // code commune -> { code, nom, codesPostaux, departement }
+    rowCount: 0
+};
+
+export const LOCAL_DVF_FORMATS = {
+    dgfip: { label: 'DVF DGFiP (valeursfoncieres)', separator: '|' },
+    geo: { label: 'DVF géolocalisées', separator: ',' }
+};
+
+export async function importLocalDVF(file, onProgress = null) {
+    clearLocalDVF();
+    console.log('📂 Import DVF local:', file.name);
+    
+    let columns = null;
+    
+    await forEachFileLine(file, (line) => {
+        if (!columns) {
+            columns = detectLocalDVFFormat(line);
+            return;
+        }
+        
+        const values = splitDVFLine(line, localDVF.separator);
+        const commune = localDVFCommune(values, columns);
+        if (!commune) return;
+        
+        if (!localDVF.index.has(commune.code)) {
+            localDVF.index.set(commune.code, []);
+            localDVF.communes.set(commune.code, { ...commune, codesPostaux: [] });
+        }
+        localDVF.index.get(commune.code).push(line);
+        
+        const known = localDVF.communes.get(commune.code);
+        if (commune.codePostal && !known.codesPostaux.includes(commune.codePostal)) {
+            known.codesPostaux.push(commune.codePostal);
+        }
+        localDVF.rowCount++;
+    }, (loaded, total) => onProgress?.({ loaded, total, rows: localDVF.rowCount }));
+    
+    if (!columns) throw new Error('fichier vide');
+    
+    localDVF.fileName = file.name;
+    console.log(`✅ ${localDVF.rowCount} lignes, ${localDVF.index.size} communes`);
+}
+
+export function clearLocalDVF() {
+    Object.assign(localDVF, {
+        fileName: null,
+        format: null,
+        separator: ',',
+        headers: [],
+        index: new Map(),
+        communes: new Map(),
+        rowCount: 0
+    });
+}
+
+export function isLocalDVFLoaded() {
+    return localDVF.rowCount > 0;
+}
+
+// Lecture ligne à ligne en flux : le fichier n'est jamais chargé d'un bloc en mémoire
+async function forEachFileLine(file, onLine, onProgress = null) {
+    let loaded = 0;
+    let stream = file.stream().pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            loaded += chunk.byteLength;
+            controller.enqueue(chunk);
+        }
+    }));
+    if (file.name.endsWith('.gz')) {
+        stream = stream.pipeThrough(new DecompressionStream('gzip'));
+    }
+    
+    const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        
+        buffer += value;
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(line => {
+            if (line) onLine(line);
+        });
+        onProgress?.(loaded, file.size);
+    }
+    
+    if (buffer) onLine(buffer);
+}
+
+// Détecte le format d'après la ligne d'en-tête et retourne les colonnes utiles à l'indexation
+function detectLocalDVFFormat(headerLine) {
+    const line = headerLine.replace(/^\uFEFF/, '');
+    
+    if (line.includes('|') && line.includes('Valeur fonciere')) {
+        localDVF.format = 'dgfip';
+    } else if (line.includes('id_mutation') && line.includes('code_commune')) {
+        localDVF.format = 'geo';
+    } else {
+        throw new Error('format de fichier DVF non reconnu (valeursfoncieres-YYYY.txt ou DVF géolocalisées attendus)');
+    }
+    
+    localDVF.separator = LOCAL_DVF_FORMATS[localDVF.format].separator;
+    localDVF.headers = splitDVFLine(line, localDVF.separator);
+    
+    const column = (name) => localDVF.headers.indexOf(name);
+    return localDVF.format === 'dgfip'
+        ? { departement: column('Code departement'), commune: column('Code commune'), nom: column('Commune'), codePostal: column('Code postal') }
+        : { code: column('code_commune'), nom: column('nom_commune'), codePostal: column('code_postal') };
+}
+
+function localDVFCommune(values, columns) {
+    const code = localDVF.format === 'dgfip'
+        ? buildDGFiPCodeCommune(values[columns.departement], values[columns.commune])
+        : values[columns.code];
+    if (!code) return null;
+    
+    const codePostal = values[columns.codePostal];
+    return {
+        code,
+        nom: values[columns.nom] || code,
+        codePostal: codePostal ? codePostal.padStart(5, '0') : null,
+        departement: { code: code.startsWith('97') ? code.substring(0, 3) : code.substring(0, 2) }
+    };
+}
+
+// Code INSEE = département sur 2 caractères + code commune sur 3 (97 + 105 pour 97105)
+function buildDGFiPCodeCommune(departement, commune) {
+    if (!departement || !commune) return null;
+    return departement.padStart(2, '0').substring(0, 2) + commune.padStart(3, '0');
+}
+
+// Découpe une ligne en tenant compte des champs entre guillemets (CSV géolocalisé)
+function splitDVFLine(line, separator) {
+    if (!line.includes('"')) return line.split(separator);
+    
+    const values = [];
+    let current = '';
+    let quoted = false;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (quoted && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (char === separator && !quoted) {
+            values.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    values.push(current);
+    
+    return values;
+}
+
+// fetchRows de l'adaptateur 'local' : lignes de la commune au format de l'API Etalab
+function getLocalDVFRows(codeInsee) {
+    if (!isLocalDVFLoaded()) {
+        throw new Error('aucun fichier DVF importé');
+    }
+    
+    return (localDVF.index.get(codeInsee) || []).map(line => {
+        const values = splitDVFLine(line, localDVF.separator);
+        const row = Object.fromEntries(localDVF.headers.map((h, i) => [h, values[i] ?? '']));
+        return localDVF.format === 'dgfip' ? dgfipRowToEtalab(row) : row;
+    });
+}
+
+// Ligne valeursfoncieres (DGFiP) -> champs de l'API Etalab, pour normalizeTransactionEtalab
+function dgfipRowToEtalab(row) {
+    const codeCommune = buildDGFiPCodeCommune(row['Code departement'], row['Code commune']);
+    const [jour, mois, annee] = (row['Date mutation'] || '').split('/');
+    const section = row['Section'] ? row['Section'].padStart(2, '0') : null;
+    
+    return {
+        date_mutation: annee ? `${annee}-${mois}-${jour}` : null,
+        nature_mutation: row['Nature mutation'],
+        valeur_fonciere: parseFrenchDecimal(row['Valeur fonciere']),
+        adresse_numero: row['No voie'],
+        adresse_suffixe: row['B/T/Q'],
+        adresse_nom_voie: [row['Type de voie'], row['Voie']].filter(Boolean).join(' '),
+        code_postal: row['Code postal'] ? row['Code postal'].padStart(5, '0') : null,
+        code_commune: codeCommune,
+        nom_commune: row['Commune'],
+        id_parcelle: section
+            ? `${codeCommune}${(row['Prefixe de section'] || '000').padStart(3, '0')}${section}${(row['No plan'] || '').padStart(4, '0')}`
+            : null,
+        lot1_numero: row['1er lot'],
+        type_local: row['Type local'],
+        surface_reelle_bati: parseFrenchDecimal(row['Surface reelle bati']),
+        nombre_pieces_principales: row['Nombre pieces principales'],
+        surface_terrain: parseFrenchDecimal(row['Surface terrain'])
+    };
+}
+
+function parseFrenchDecimal(value) {
+    if (!value) return null;
+    const number = parseFloat(value.replace(/\s/g, '').replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+}
+
+// Commune minimale tirée du fichier, quand l'API Géo n'est pas joignable
+export function getLocalCommune(code) {
+    const commune = localDVF.communes.get(code);
+    if (!commune) return null;
+    
+    return {
+        code: commune.code,
+        nom: commune.nom,
+        codesPostaux: commune.codesPostaux,
+        population: null,
+        surface: null,
+        departement: { code: commune.departement.code, nom: `Département ${commune.departement.code}` }
+    };
+}
+
+export function findLocalCommunes(query, limit = 8) {
+    const search = normalizeSearchText(query);
+    return [...localDVF.communes.keys()]
+        .filter(code => normalizeSearchText(localDVF.communes.get(code).nom).includes(search))
+        .sort((a, b) => localDVF.index.get(b).length - localDVF.index.get(a).length)
+        .slice(0, limit)
+        .map(getLocalCommune);
+}
+
+// ============================================
+// RECENSEMENT INSEE (BASE LOGEMENT)
+// ============================================
+
+/*
+ * Base communale "Logement" du recensement (base-cc-logement-YYYY.CSV, insee.fr) :
+ * séparateur ';', une ligne par commune (CODGEO), colonnes préfixées par le millésime
+ * (P20_LOG, P20_RP...). Effectifs pondérés, donc décimaux. Deux façons de la fournir :
+ * - import du CSV dans le navigateur ou la CLI (importINSEELogement) ;
+ * - fichiers JSON par département { annee, communes: { CODGEO: { LOG, RP... } } },
+ *   générés par cli/insee-logement.js et servis sous API_CONFIG.inseeLogement.baseUrl.
+ */
+const INSEE_LOGEMENT_FIELDS = [
+    'LOG', 'RP', 'RSECOCC', 'LOGVAC', 'MAISON', 'APPART',
+    'RP_1P', 'RP_2P', 'RP_3P', 'RP_4P', 'RP_5PP',
+    'RP_PROP', 'RP_LOC',
+    'RP_ACHTOT', 'RP_ACH19', 'RP_ACH45'    // Résidences principales achevées avant 2018, avant 1919, de 1919 à 1945
+];
+
+// Tranches de pièces, mêmes libellés que les données L'Internaute
+const INSEE_PIECES = {
+    '1 pièce': 'RP_1P',
+    '2 pièces': 'RP_2P',
+    '3 pièces': 'RP_3P',
+    '4 pièces': 'RP_4P',
+    '5+ pièces': 'RP_5PP'
+};
+
+export const localINSEELogement = {
+    fileName: null,
+    annee: null,
+    communes: new Map()     // CODGEO -> { LOG, RP... }
+};
+
+export async function importINSEELogement(file, onProgress = null) {
+    clearINSEELogement();
+    console.log('📂 Import recensement INSEE:', file.name);
+    
+    let columns = null;
+    let annee = null;
+    const communes = new Map();
+    
+    await forEachFileLine(file, (line) => {
+        const values = splitDVFLine(line, ';');
+        if (!columns) {
+            ({ columns, annee } = detectINSEELogementColumns(values));
+            return;
+        }
+        
+        const code = values[columns.CODGEO]?.trim();
+        if (!code) return;
+        
+        communes.set(code, Object.fromEntries(INSEE_LOGEMENT_FIELDS
+            .filter(field => columns[field] !== undefined)
+            .map(field => [field, parseFrenchDecimal(values[columns[field]])])));
+    }, (loaded, total) => onProgress?.({ loaded, total, communes: communes.size }));
+    
+    if (!columns) throw new Error('fichier vide');
+    
+    Object.assign(localINSEELogement, { fileName: file.name, annee, communes });
+    console.log(`✅ Recensement ${annee} : ${communes.size} communes`);
+}
+
+export function clearINSEELogement() {
+    Object.assign(localINSEELogement, {
+        fileName: null,
+        annee: null,
+        communes: new Map()
+    });
+}
+
+export function isINSEELogementLoaded() {
+    return localINSEELogement.communes.size > 0;
+}
+
+// En-tête CODGEO;P20_LOG;P20_RP... -> index des colonnes utiles et millésime (2020)
+function detectINSEELogementColumns(headers) {
+    headers = headers.map(h => h.trim().toUpperCase());
+    const prefix = headers.map(h => h.match(/^P(\d{2})_LOG$/)).find(Boolean);
+    
+    if (!headers.includes('CODGEO') || !prefix) {
+        throw new Error('base Logement du recensement attendue (colonnes CODGEO, P..._LOG)');
+    }
+    
+    const columns = { CODGEO: headers.indexOf('CODGEO') };
+    INSEE_LOGEMENT_FIELDS.forEach(field => {
+        const index = headers.indexOf(`P${prefix[1]}_${field}`);
+        if (index !== -1) columns[field] = index;
+    });
+    
+    return { columns, annee: 2000 + parseInt(prefix[1], 10) };
+}
+
+// Code département d'une commune : 3 caractères outre-mer (97105 -> 971), 2 sinon (2A004 -> 2A)
+export function getDepartementCode(codeInsee) {
+    return codeInsee.substring(0, codeInsee.startsWith('97') ? 3 : 2);
+}
+
+// Fichier JSON du département (voir cli/insee-logement.js)
+export async function fetchINSEELogementDepartement(departement, { signal } = {}) {
+    const url = `${API_CONFIG.inseeLogement.baseUrl}${departement}.json`;
+    console.log('🏛️ Recensement INSEE:', url);
+    
+    const response = await fetch(url, { signal: requestSignal(signal, 10000) });
+    if (!response.ok) {
+        throw new Error(`recensement INSEE du département ${departement} indisponible (HTTP ${response.status})`);
+    }
+    
+    const data = await response.json();
+    if (!data?.annee || !data.communes) {
+        throw new Error(`fichier ${url} invalide`);
+    }
+    return data;
+}
+
+// Commune du fichier importé, au format de buildINSEELogementData (null si absente)
+export function getLocalINSEELogement(codeInsee) {
+    const row = localINSEELogement.communes.get(codeInsee);
+    return row ? buildINSEELogementData(codeInsee, row, localINSEELogement.annee) : null;
+}
+
+// Effectifs du recensement -> même structure que les données L'Internaute (parts en %),
+// avec le millésime et la source
+export function buildINSEELogementData(codeInsee, row, annee) {
+    const count = field => Number.isFinite(row[field]) ? Math.round(row[field]) : null;
+    const share = (value, total) => Number.isFinite(value) && row[total] > 0
+        ? Math.round(value / row[total] * 1000) / 10
+        : null;
+    
+    const data = {
+        nbLogements: count('LOG'),
+        residencesPrincipales: count('RP'),
+        residencesSecondaires: count('RSECOCC'),
+        logementsVacants: count('LOGVAC'),
+        typesLogements: null,
+        repartitionPieces: null,
+        proprietaires: share(row.RP_PROP, 'RP'),
+        locataires: share(row.RP_LOC, 'RP'),
+        anneeConstruction: null,
+        source: 'insee',
+        annee,
+        url: API_CONFIG.sources.insee.buildUrl(codeInsee)
+    };
+    
+    if (Number.isFinite(row.MAISON) || Number.isFinite(row.APPART)) {
+        data.typesLogements = { maisons: share(row.MAISON, 'LOG'), appartements: share(row.APPART, 'LOG') };
+    }
+    
+    const pieces = Object.entries(INSEE_PIECES).filter(([, field]) => Number.isFinite(row[field]));
+    if (pieces.length > 0) {
+        data.repartitionPieces = Object.fromEntries(pieces.map(([label, field]) => [label, share(row[field], 'RP')]));
+    }
+    
+    if (Number.isFinite(row.RP_ACH19) && Number.isFinite(row.RP_ACH45)) {
+        data.anneeConstruction = {
+            periode: 'avant 1946',
+            pourcentage: share(row.RP_ACH19 + row.RP_ACH45, 'RP_ACHTOT')
+        };
+    }
+    
+    return data;
+}
+
+// ============================================
+// PAGES SCRAPÉES (MEILLEURSAGENTS, L'INTERNAUTE)
+// ============================================
+
+// Les deux sites n'envoient pas d'en-têtes CORS : pages récupérées via les proxies, puis
+// analysées par parsers.js
+
+export async function fetchMeilleursAgentsData(commune, { signal } = {}) {
+    // Construire l'URL MeilleursAgents
+    const citySlug = normalizeForUrl(commune.nom);
+    const codePostal = commune.codesPostaux?.[0] || '';
+    const maUrl = `${API_CONFIG.meilleursAgents}${citySlug}-${codePostal}/`;
+    
+    console.log('🔍 Tentative MeilleursAgents:', maUrl);
+    
+    // Essayer chaque proxy CORS
+    for (const proxy of getCorsProxies()) {
+        try {
+            const response = await fetch(proxy + encodeURIComponent(maUrl), {
+                signal: requestSignal(signal, 15000),
+                headers: {
+                    'Accept': 'text/html',
+                }
+            });
+            
+            if (!response.ok) continue;
+            
+            const html = await response.text();
+            const data = parseMeilleursAgentsHTML(html);
+            
+            if (data && (data.appartement || data.maison)) {
+                data.url = maUrl;
+                console.log('✅ MeilleursAgents récupéré via', proxy);
+                return data;
+            }
+        } catch (e) {
+            signal?.throwIfAborted();
+            console.warn('Proxy failed:', proxy, e.message);
+            continue;
+        }
+    }
+    
+    throw new Error('Tous les proxies ont échoué');
+}
+
+export function normalizeForUrl(str) {
+    return str
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Enlever les accents
+        .replace(/[^a-z0-9]+/g, '-')     // Remplacer les caractères spéciaux par des tirets
+        .replace(/^-+|-+$/g, '');        // Enlever les tirets en début/fin
+}
+
+export async function fetchLInternauteData(commune, { signal } = {}) {
+    console.log("🏠 Récupération données L'Internaute pour:", commune.nom);
+    
+    const url = API_CONFIG.linternaute.buildUrl(commune.nom, commune.code);
+    console.log("📍 URL L'Internaute:", url);
+    
+    // Essayer chaque proxy CORS
+    for (const proxy of getCorsProxies()) {
+        try {
+            console.log(`  → Essai proxy: ${proxy.substring(0, 30)}...`);
+            
+            const response = await fetch(proxy + encodeURIComponent(url), {
+                signal: requestSignal(signal, 15000),
+                headers: {
+                    'Accept': 'text/html'
+                }
+            });
+            
+            if (!response.ok) continue;
+            
+            const html = await response.text();
+            
+            // Vérifier que c'est bien du HTML de L'Internaute
+            if (!html.includes('linternaute') && !html.includes('logement') && !html.includes('immobilier')) {
+                console.warn('  ✗ Contenu HTML non valide');
+                continue;
+            }
+            
+            const data = parseLInternauteHTML(html);
+            
+            if (data && (data.nbLogements || data.repartitionPieces || data.typesLogements)) {
+                data.url = url;
+                data.source = 'linternaute';
+                console.log("✓ Données L'Internaute récupérées:", data);
+                return data;
+            }
+            
+        } catch (e) {
+            signal?.throwIfAborted();
+            console.warn(`  ✗ Proxy échoué:`, e.message);
+            continue;
+        }
+    }
+    
+    console.warn("⚠️ L'Internaute non accessible via les proxies");
+    throw new Error("Données L'Internaute non disponibles");
+}
+
+// ============================================
+// NORMALISATION DES TRANSACTIONS
+// ============================================
+
+// Schéma commun à toutes les sources : chaque transaction porte tous ces champs
+const TRANSACTION_DEFAULTS = {
+    idMutation: null,
+    date: null,
+    type: 'Autre',
+    typeLocal: null,
+    adresse: 'Non renseignée',
+    codePostal: null,
+    codeCommune: null,
+    surface: 0,
+    surfaceBati: 0,
+    surfaceTerrain: 0,
+    prix: 0,
+    prixM2: 0,
+    pieces: 0,
+    idParcelle: null,
+    lot: null,
+    latitude: null,
+    longitude: null,
+    source: null
+};
+
+export function createTransaction(fields) {
+    const t = { ...TRANSACTION_DEFAULTS };
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') t[key] = value;
+    });
+    
+    // Surface de référence : le bâti, à défaut le terrain
+    t.surface = t.surfaceBati || t.surfaceTerrain || 0;
+    t.prixM2 = t.surface > 0 ? Math.round(t.prix / t.surface) : 0;
+    t.type = normalizeType(t.typeLocal);
+    
+    return t;
+}
+
+// Normaliser les données de l'API Etalab
+export function normalizeTransactionEtalab(t) {
+    return createTransaction({
+        idMutation: t.id_mutation,
+        date: t.date_mutation,
+        adresse: formatAdresse(t),
+        codePostal: t.code_postal,
+        codeCommune: t.code_commune,
+        prix: parseFloat(t.valeur_fonciere) || 0,
+        pieces: parseInt(t.nombre_pieces_principales) || 0,
+        ...parseLotFields(t),
+        ...parseCoordinates(t)
+    });
+}
+
+// Normaliser les données des différentes APIs
+export function normalizeTransactionCquest(t) {
+    return createTransaction({
+        idMutation: t.id_mutation,
+        date: t.date_mutation,
+        adresse: formatAdresse(t) || t.adresse,
+        codePostal: t.code_postal,
+        codeCommune: t.code_commune,
+        prix: parseFloat(t.valeur_fonciere) || 0,
+        pieces: parseInt(t.nombre_pieces_principales) || 0,
+        ...parseLotFields(t),
+        ...parseCoordinates(t)
+    });
+}
+
+export function normalizeTransactionODS(t) {
+    // OpenDataSoft a une structure légèrement différente
+    return createTransaction({
+        idMutation: t.id_mutation,
+        date: t.date_mutation,
+        adresse: formatAdresse(t),
+        codePostal: t.code_postal,
+        codeCommune: t.code_commune,
+        prix: parseFloat(t.valeur_fonciere) || 0,
+        pieces: parseInt(t.nombre_pieces_principales) || 0,
+        ...parseLotFields(t),
+        ...parseCoordinates(t)
+    });
+}
+
+export function normalizeTransactionCerema(t) {
+    return createTransaction({
+        idMutation: t.idmutation,
+        date: t.date_mutation || t.datemut,
+        typeLocal: t.libtypbien || t.type_local,
+        adresse: t.l_adresse?.join(', '),
+        codeCommune: t.l_codinsee?.[0],
+        prix: parseFloat(t.valeur_fonciere ?? t.valeurfonc) || 0,
+        surfaceBati: parseFloat(t.sbati) || 0,
+        surfaceTerrain: parseFloat(t.sterr) || 0,
+        pieces: parseInt(t.nbpprinc) || 0,
+        ...parseCoordinates(t)
+    });
+}
+
+// Adresse lisible à partir des champs DVF (numéro, suffixe, voie)
+function formatAdresse(t) {
+    if (!t.adresse_nom_voie) return null;
+    return [t.adresse_numero, t.adresse_suffixe, t.adresse_nom_voie]
+        .filter(Boolean)
+        .join(' ');
+}
+
+// Champs propres à chaque ligne DVF (une ligne par local ou parcelle), utilisés pour regrouper les mutations
+function parseLotFields(t) {
+    return {
+        typeLocal: t.type_local || null,
+        surfaceBati: parseFloat(t.surface_reelle_bati) || 0,
+        surfaceTerrain: parseFloat(t.surface_terrain) || 0,
+        idParcelle: t.id_parcelle || null,
+        lot: t.lot1_numero || null
+    };
+}
+
+// Coordonnées GPS : selon la source, champs latitude/longitude, lat/lon ou point GeoJSON
+function parseCoordinates(t) {
+    const point = t.geo_point_2d || t.geo_point || t.geolocalisation || {};
+    const latitude = parseFloat(t.latitude ?? t.lat ?? point.lat);
+    const longitude = parseFloat(t.longitude ?? t.lon ?? point.lon);
+    return {
+        latitude: Number.isFinite(latitude) ? latitude : null,
+        longitude: Number.isFinite(longitude) ? longitude : null
+    };
+}
+
+export function normalizeType(type) {
+    if (!type) return 'Autre';
+    const t = type.toLowerCase();
+    if (t.includes('maison')) return 'Maison';
+    if (t.includes('appartement')) return 'Appartement';
+    if (t.includes('terrain') || t.includes('dépendance')) return 'Terrain';
+    if (t.includes('local') || t.includes('commerce')) return 'Commerce';
+    return 'Autre';
+}
+
+// ============================================
+// REGROUPEMENT DES MUTATIONS
+// ============================================
+
+// DVF publie une ligne par local (ou par parcelle) et répète la valeur foncière
+// complète sur chaque ligne : une vente = une mutation, pas une ligne.
+const BUILT_TYPES = ['Appartement', 'Maison', 'Commerce'];
+
+export function groupMutations(transactions) {
+    const groups = new Map();
+    const builtSales = new Map();
+    const annexes = [];
+    const add = (key, t) => {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(t);
+    };
+    
+    transactions.forEach(t => {
+        // Sans identifiant, terrains et dépendances sont rattachés une fois les locaux regroupés
+        if (!t.idMutation && !BUILT_TYPES.includes(t.type)) {
+            annexes.push(t);
+            return;
+        }
+        const key = getMutationKey(t);
+        if (!t.idMutation && !builtSales.has(getSaleKey(t))) builtSales.set(getSaleKey(t), key);
+        add(key, t);
+    });
+    
+    // Parcelle annexe (souvent un lieu-dit, donc une autre adresse) : rattachée à la vente bâtie
+    // de même date et prix, sinon regroupée avec les autres parcelles de la vente
+    annexes.forEach(t => add(builtSales.get(getSaleKey(t)) || getSaleKey(t), t));
+    
+    return [...groups.values()].map(mergeMutationLots);
+}
+
+// Sans identifiant (cquest, OpenDataSoft selon les millésimes, fichiers DGFiP), les lignes
+// d'une même vente partagent la date et la valeur foncière
+function getSaleKey(t) {
+    return `${t.date}|${t.prix}|${t.codePostal || ''}`;
+}
+
+// Locaux sans identifiant : même vente si même adresse, à défaut même parcelle. Date et prix
+// seuls confondraient les lots vendus le même jour au même prix (programme neuf)
+function getMutationKey(t) {
+    if (t.idMutation) return `id:${t.idMutation}`;
+    return `${getSaleKey(t)}|${getAddressKey(t) || t.idParcelle || ''}`;
+}
+
+// Adresse comparable entre lignes et entre sources (casse, accents, ponctuation), '' si absente
+function getAddressKey(t) {
+    if (!t.adresse || t.adresse === TRANSACTION_DEFAULTS.adresse) return '';
+    return normalizeSearchText(t.adresse).replace(/[^a-z0-9]/g, '');
+}
+
+function mergeMutationLots(lots) {
+    // Un même local répété sur plusieurs parcelles n'est compté qu'une fois
+    const locaux = new Map();
+    lots.filter(l => l.typeLocal).forEach(l => {
+        locaux.set(`${l.typeLocal}|${l.surfaceBati}|${l.pieces}|${l.lot || ''}`, l);
+    });
+    
+    // Surface de terrain : une fois par parcelle
+    const parcelles = new Map();
+    lots.forEach(l => {
+        const key = l.idParcelle || `${l.surfaceTerrain}`;
+        parcelles.set(key, Math.max(parcelles.get(key) || 0, l.surfaceTerrain || 0));
+    });
+    const surfaceTerrain = [...parcelles.values()].reduce((a, b) => a + b, 0);
+    
+    // Surface bâtie par type de local (hors dépendances : caves, parkings...)
+    const surfaceByType = {};
+    let pieces = 0;
+    [...locaux.values()].forEach(l => {
+        const type = normalizeType(l.typeLocal);
+        if (!BUILT_TYPES.includes(type)) return;
+        surfaceByType[type] = (surfaceByType[type] || 0) + l.surfaceBati;
+        if (type !== 'Commerce') pieces += l.pieces;
+    });
+    
+    const builtTypes = Object.keys(surfaceByType);
+    const surfaceBati = Object.values(surfaceByType).reduce((a, b) => a + b, 0);
+    
+    // Local dominant : le type qui porte la plus grande surface bâtie
+    const dominant = builtTypes.sort((a, b) => surfaceByType[b] - surfaceByType[a])[0];
+    const reference = lots.find(l => normalizeType(l.typeLocal) === dominant) || lots[0];
+    
+    const type = dominant || (surfaceTerrain > 0 ? 'Terrain' : reference.type);
+    const surface = surfaceBati || surfaceTerrain;
+    const prix = reference.prix;
+    
+    return {
+        ...reference,
+        type,
+        surface,
+        surfaceBati,
+        surfaceTerrain,
+        prix,
+        prixM2: surface > 0 ? Math.round(prix / surface) : 0,
+        pieces,
+        nbLots: locaux.size || lots.length,
+        // Vente mêlant plusieurs usages (ex: maison + commerce) : pas de prix au m² pertinent
+        mixte: builtTypes.length > 1 || lots.some(l => isMixedTypeLocal(l.typeLocal))
+    };
+}
+
+// Libellés Cerema du type "BATI MIXTE - LOGEMENT/ACTIVITE"
+function isMixedTypeLocal(typeLocal) {
+    return !!typeLocal && typeLocal.toLowerCase().includes('mixte');
+}
+
+// ============================================
+// FUSION MULTI-SOURCES
+// ============================================
+
+// Une même vente est reconnue entre deux sources par son identifiant de mutation, à défaut
+// par date + prix + adresse. L'empreinte ne rapproche que des sources différentes (deux ventes
+// d'une même source sont distinctes), jamais deux identifiants différents, et jamais sans adresse
+export function mergeSourceMutations(lists) {
+    const merged = [];
+    const index = new Map();
+    const register = t => getMergeKeys(t).forEach(key => {
+        if (!index.has(key)) index.set(key, []);
+        if (!index.get(key).includes(t)) index.get(key).push(t);
+    });
+    
+    lists.forEach(list => {
+        list.forEach(t => {
+            const existing = findMergeCandidate(index, t);
+            
+            if (existing) {
+                fillMissingFields(existing, t);
+                t.sources.forEach(source => {
+                    if (!existing.sources.includes(source)) existing.sources.push(source);
+                });
+                // Identifiant éventuellement complété par cette source
+                register(existing);
+            } else {
+                const copy = { ...t, sources: [...t.sources] };
+                merged.push(copy);
+                register(copy);
+            }
+        });
+    });
+    
+    return merged;
+}
+
+function getMergeKeys(t) {
+    return [t.idMutation && `id:${t.idMutation}`, getFingerprint(t)].filter(Boolean);
+}
+
+// Date + prix + adresse, null sans adresse : date et prix seuls ne désignent pas une vente
+function getFingerprint(t) {
+    const adresse = getAddressKey(t);
+    return adresse ? `fp:${t.date}|${t.prix}|${adresse}` : null;
+}
+
+function findMergeCandidate(index, t) {
+    const byId = t.idMutation && index.get(`id:${t.idMutation}`)?.[0];
+    if (byId) return byId;
+    
+    return (index.get(getFingerprint(t)) || []).find(existing =>
+        !existing.sources.some(source => t.sources.includes(source)) &&
+        !(existing.idMutation && t.idMutation && existing.idMutation !== t.idMutation)
+    ) || null;
+}
+
+// Complète une mutation avec les champs qu'une autre source renseigne mieux
+function fillMissingFields(target, other) {
+    if (target.latitude === null && other.latitude !== null) {
+        target.latitude = other.latitude;
+        target.longitude = other.longitude;
+    }
+    if (!target.codePostal && other.codePostal) target.codePostal = other.codePostal;
+    if (!target.idMutation && other.idMutation) target.idMutation = other.idMutation;
+    if (!target.pieces && other.pieces) target.pieces = other.pieces;
+    if (target.adresse === TRANSACTION_DEFAULTS.adresse && other.adresse !== TRANSACTION_DEFAULTS.adresse) {
+        target.adresse = other.adresse;
+    }
+}
+
+// Couverture par source : mutations apportées, dont celles qu'aucune autre source ne fournit
+export function computeSourceCoverage(transactions, status = {}) {
+    const total = transactions.length;
+    
+    return getActiveDVFAdapters().map(({ name, label }) => {
+        const fromSource = transactions.filter(t => (t.sources || [t.source]).includes(name));
+        const unique = fromSource.filter(t => (t.sources || [t.source]).length === 1).length;
+        
+        return {
+            name,
+            label,
+            status: status[name] || (fromSource.length > 0 ? 'ok' : 'unknown'),
+            count: fromSource.length,
+            unique,
+            share: total > 0 ? Math.round((fromSource.length / total) * 100) : 0
+        };
+    });
+}
+
+// ============================================
+// VALEURS ABERRANTES ET QUALITÉ DES DONNÉES
+// ============================================
+
+// Règles d'exclusion appliquées avant les statistiques de prix.
+// method : 'iqr' (écart interquartile), 'percentile' (rognage des extrêmes) ou 'none'.
+export const OUTLIER_CONFIG = {
+    minPrix: 1000,          // En dessous : cession symbolique (1 €, donation déguisée...)
+    maxLots: 10,            // Au-delà : vente en bloc d'un immeuble entier
+    iqrFactor: 1.5,
+    percentiles: [5, 95],
+    byType: {
+        Appartement: { method: 'iqr', minPrixM2: 500, maxPrixM2: 30000 },
+        Maison: { method: 'iqr', minPrixM2: 300, maxPrixM2: 25000 },
+        Terrain: { method: 'percentile', minPrixM2: 1, maxPrixM2: 5000 },
+        Commerce: { method: 'iqr', minPrixM2: 200, maxPrixM2: 40000 },
+        Autre: { method: 'percentile', minPrixM2: 1, maxPrixM2: 40000 }
+    }
+};
+
+export const OUTLIER_METHODS = {
+    iqr: 'Écart interquartile',
+    percentile: 'Percentiles',
+    none: 'Aucune'
+};
+
+export const EXCLUSION_REASONS = {
+    prixNul: 'Prix absent ou nul',
+    surfaceNulle: 'Surface absente ou nulle',
+    mixte: 'Vente mixte (plusieurs usages)',
+    prixSymbolique: 'Prix symbolique',
+    venteEnBloc: 'Vente en bloc',
+    terrainSeul: 'Surface de terrain seule pour un bien bâti',
+    horsBornes: 'Prix au m² hors bornes',
+    statistique: 'Valeur aberrante (méthode statistique)'
+};
+
+// Motif d'exclusion d'une vente, indépendamment des autres ventes (null si retenue)
+function getExclusionReason(t) {
+    const rules = OUTLIER_CONFIG.byType[t.type] || OUTLIER_CONFIG.byType.Autre;
+    
+    if (!(t.prix > 0)) return 'prixNul';
+    if (!(t.surface > 0)) return 'surfaceNulle';
+    if (t.mixte) return 'mixte';
+    if (t.prix < OUTLIER_CONFIG.minPrix) return 'prixSymbolique';
+    if (t.nbLots > OUTLIER_CONFIG.maxLots) return 'venteEnBloc';
+    if (BUILT_TYPES.includes(t.type) && t.surfaceBati === 0) return 'terrainSeul';
+    if (t.prixM2 < rules.minPrixM2 || t.prixM2 > rules.maxPrixM2) return 'horsBornes';
+    return null;
+}
+
+// Bornes statistiques de prix au m² pour un type, selon la méthode configurée
+function getOutlierBounds(prices, method) {
+    if (method === 'none' || prices.length < 4) return null;
+    
+    const sorted = [...prices].sort((a, b) => a - b);
+    if (method === 'percentile') {
+        const [low, high] = OUTLIER_CONFIG.percentiles;
+        return [quantile(sorted, low / 100), quantile(sorted, high / 100)];
+    }
+    
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const iqr = q3 - q1;
+    return [q1 - OUTLIER_CONFIG.iqrFactor * iqr, q3 + OUTLIER_CONFIG.iqrFactor * iqr];
+}
+
+export function filterOutliers(transactions) {
+    const excluded = [];
+    const candidates = [];
+    
+    transactions.forEach(t => {
+        const reason = getExclusionReason(t);
+        if (reason) excluded.push({ transaction: t, reason });
+        else candidates.push(t);
+    });
+    
+    // Seconde passe, type par type : rejet statistique
+    const byType = {};
+    candidates.forEach(t => {
+        if (!byType[t.type]) byType[t.type] = [];
+        byType[t.type].push(t);
+    });
+    
+    const kept = [];
+    const typeReport = {};
+    Object.entries(byType).forEach(([type, trans]) => {
+        const method = (OUTLIER_CONFIG.byType[type] || OUTLIER_CONFIG.byType.Autre).method;
+        const bounds = getOutlierBounds(trans.map(t => t.prixM2), method);
+        let rejected = 0;
+        
+        trans.forEach(t => {
+            if (bounds && (t.prixM2 < bounds[0] || t.prixM2 > bounds[1])) {
+                excluded.push({ transaction: t, reason: 'statistique' });
+                rejected++;
+            } else {
+                kept.push(t);
+            }
+        });
+        
+        typeReport[type] = {
+            method,
+            bounds: bounds ? bounds.map(Math.round) : null,
+            candidates: trans.length,
+            kept: trans.length - rejected,
+            rejected
+        };
+    });
+    
+    const reasons = Object.keys(EXCLUSION_REASONS)
+        .map(reason => ({
+            reason,
+            label: EXCLUSION_REASONS[reason],
+            count: excluded.filter(e => e.reason === reason).length
+        }))
+        .filter(r => r.count > 0);
+    
+    return {
+        kept,
+        quality: {
+            total: transactions.length,
+            kept: kept.length,
+            excludedCount: excluded.length,
+            excluded,
+            reasons,
+            byType: typeReport
+        }
+    };
+}
+
+export function quantile(sorted, q) {
+    if (sorted.length === 0) return 0;
+    const pos = (sorted.length - 1) * q;
+    const base = Math.floor(pos);
+    const rest = pos - base;
+    return sorted[base + 1] !== undefined
+        ? sorted[base] + rest * (sorted[base + 1] - sorted[base])
+        : sorted[base];
+}
+
+// ============================================
+// SECTEUR GÉOGRAPHIQUE
+// ============================================
+
+export function hasCoordinates(t) {
+    return t.latitude !== null && t.latitude !== undefined &&
+        t.longitude !== null && t.longitude !== undefined;
+}
+
+// Distance à vol d'oiseau (formule de haversine), en mètres
+export function distanceMeters(lat1, lon1, lat2, lon2) {
+    const R = 6371000;
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+// Transactions de la zone étudiée : toute la commune, ou seulement celles situées dans le rayon
+// du secteur ({ latitude, longitude, rayon } en mètres)
+export function filterBySecteur(transactions, secteur) {
+    if (!secteur) return transactions;
+    
+    return transactions.filter(t =>
+        hasCoordinates(t) &&
+        distanceMeters(secteur.latitude, secteur.longitude, t.latitude, t.longitude) <= secteur.rayon
+    );
+}
+
+// ============================================
+// STATISTIQUES
+// ============================================
+
+export function calculateStats(transactions, commune) {
+    // Ventes exploitables pour les prix : hors prix nuls, ventes mixtes et valeurs aberrantes
+    const { kept: validTransactions, quality } = filterOutliers(transactions);
+    
+    // Grouper par type
+    const byType = {};
+    validTransactions.forEach(t => {
+        if (!byType[t.type]) byType[t.type] = [];
+        byType[t.type].push(t);
+    });
+    
+    // Calculer stats par type
+    const priceStats = {};
+    Object.entries(byType).forEach(([type, trans]) => {
+        const prices = trans.map(t => t.prixM2).filter(p => p > 0);
+        if (prices.length > 0) {
+            const sorted = [...prices].sort((a, b) => a - b);
+            priceStats[type] = {
+                count: trans.length,
+                min: sorted[0],
+                max: sorted[sorted.length - 1],
+                avg: Math.round(prices.reduce((a, b) => a + b, 0) / prices.length),
+                median: median(prices),
+                q1: Math.round(quantile(sorted, 0.25)),
+                q3: Math.round(quantile(sorted, 0.75))
+            };
+        }
+    });
+    
+    // Évolution annuelle, tous types confondus (graphique) et par type (export)
+    const yearlyStats = calculateYearlyStats(validTransactions);
+    const yearlyByType = {};
+    Object.entries(byType).forEach(([type, trans]) => {
+        yearlyByType[type] = calculateYearlyStats(trans);
+    });
+    
+    // Répartition logements (simulation basée sur les transactions)
+    const housingDist = calculateHousingDistribution(validTransactions);
+    
+    // Prix par tranche de surface, par type (rendement locatif)
+    const priceBySurface = {};
+    Object.entries(byType).forEach(([type, trans]) => {
+        priceBySurface[type] = calculatePriceBySurface(trans);
+    });
+    
+    // Période réellement couverte par les transactions chargées
+    const years = transactions
+        .map(t => new Date(t.date).getFullYear())
+        .filter(y => Number.isFinite(y));
+    const period = years.length > 0
+        ? { from: years.reduce((a, b) => Math.min(a, b)), to: years.reduce((a, b) => Math.max(a, b)) }
+        : null;
+    
+    return {
+        totalTransactions: transactions.length,
+        validTransactions: validTransactions.length,
+        mixedTransactions: transactions.filter(t => t.mixte).length,
+        quality,
+        period,
+        priceStats,
+        yearlyStats,
+        yearlyByType,
+        housingDist,
+        priceBySurface,
+        population: commune.population,
+        surface: commune.surface,
+        density: commune.surface > 0 ? Math.round(commune.population / (commune.surface / 100)) : 0
+    };
+}
+
+export function calculateYearlyStats(transactions) {
+    const byYear = {};
+    transactions.forEach(t => {
+        const year = new Date(t.date).getFullYear();
+        if (!byYear[year]) byYear[year] = [];
+        byYear[year].push(t);
+    });
+    
+    return Object.entries(byYear)
+        .map(([year, trans]) => ({
+            year: parseInt(year),
+            count: trans.length,
+            avgPrice: Math.round(trans.reduce((a, t) => a + t.prixM2, 0) / trans.length),
+            medianPrice: median(trans.map(t => t.prixM2))
+        }))
+        .sort((a, b) => a.year - b.year);
+}
+
+// Tranches de surface (m²) : répartition des ventes et prix par tranche
+export const SURFACE_BANDS = [
+    { label: 'Moins de 30m²', max: 30 },
+    { label: '30 à 60m²', max: 60 },
+    { label: '60 à 80m²', max: 80 },
+    { label: '80 à 100m²', max: 100 },
+    { label: '100 à 120m²', max: 120 },
+    { label: 'Plus de 120m²', max: Infinity }
+];
+
+function getSurfaceBand(surface) {
+    return SURFACE_BANDS.find(band => surface < band.max) || SURFACE_BANDS[SURFACE_BANDS.length - 1];
+}
+
+export function calculateHousingDistribution(transactions) {
+    // Simuler une répartition basée sur les surfaces
+    const surfaces = Object.fromEntries(SURFACE_BANDS.map(band => [band.label, 0]));
+    
+    transactions.forEach(t => {
+        surfaces[getSurfaceBand(t.surface).label]++;
+    });
+    
+    const total = transactions.length || 1;
+    return Object.entries(surfaces).map(([label, count]) => ({
+        label,
+        count,
+        percent: Math.round((count / total) * 100)
+    }));
+}
+
+// Prix médian au m² par tranche de surface (tranches sans vente omises)
+export function calculatePriceBySurface(transactions) {
+    return SURFACE_BANDS
+        .map(band => {
+            const prices = transactions.filter(t => getSurfaceBand(t.surface) === band).map(t => t.prixM2);
+            return { label: band.label, count: prices.length, median: prices.length > 0 ? median(prices) : null };
+        })
+        .filter(b => b.count > 0);
+}
+
+export function median(arr) {
+    const sorted = [...arr].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+export function calculateEvolution(yearlyStats) {
+    if (yearlyStats.length < 2) return null;
+    const first = yearlyStats[0].avgPrice;
+    const last = yearlyStats[yearlyStats.length - 1].avgPrice;
+    if (first === 0) return null;
+    return Math.round(((last - first) / first) * 100);
+}
+
+// ============================================
+// RENDEMENT LOCATIF
+// ============================================
+
+// Hypothèses par défaut, modifiables dans le panneau rendement
+export const YIELD_DEFAULTS = {
+    charges: 10,        // charges non récupérables, gestion, assurance (% des loyers encaissés)
+    taxeFonciere: 12,   // taxe foncière (€/m²/an)
+    vacance: 5          // vacance locative (% de l'année)
+};
+
+// Loyers MeilleursAgents disponibles, par type de bien DVF
+export const YIELD_RENT_KEYS = { Appartement: 'appartement', Maison: 'maison' };
+
+// Rendement brut = loyer annuel / prix ; net = (loyer encaissé - charges - taxe foncière) / prix.
+// Tout est ramené au m² : le loyer MeilleursAgents (€/m²/mois) est le même pour toutes les tranches,
+// seul le prix d'achat varie. Renvoie une entrée par type disposant d'un loyer et de ventes.
+export function calculateRentalYield(stats, loyer, assumptions = YIELD_DEFAULTS) {
+    if (!loyer) return [];
+    
+    const { charges, taxeFonciere, vacance } = { ...YIELD_DEFAULTS, ...assumptions };
+    
+    const computeYield = (rentM2, priceM2) => {
+        if (!rentM2 || !priceM2) return null;
+        const annualRent = rentM2 * 12;
+        const collected = annualRent * (1 - vacance / 100);
+        const netIncome = collected * (1 - charges / 100) - taxeFonciere;
+        return {
+            priceM2,
+            annualRent: Math.round(annualRent),
+            netIncome: Math.round(netIncome),
+            gross: Math.round((annualRent / priceM2) * 1000) / 10,
+            net: Math.round((netIncome / priceM2) * 1000) / 10
+        };
+    };
+    
+    return Object.entries(YIELD_RENT_KEYS)
+        .filter(([type, key]) => loyer[key] && stats.priceStats[type])
+        .map(([type, key]) => ({
+            type,
+            rentM2: loyer[key],
+            ...computeYield(loyer[key], stats.priceStats[type].median),
+            bands: (stats.priceBySurface?.[type] || []).map(band => ({
+                label: band.label,
+                count: band.count,
+                ...computeYield(loyer[key], band.median)
+            }))
+        }));
+}
+
+// ============================================
+// ÉCART DVF / MEILLEURSAGENTS
+// ============================================
+
+// Écart (%) au-delà duquel les deux sources sont jugées en désaccord, modifiable dans le panneau
+export const DIVERGENCE_DEFAULTS = {
+    seuil: 15
+};
+
+// En dessous de ce nombre de ventes, la médiane DVF est trop instable pour trancher
+export const DIVERGENCE_MIN_SALES = 10;
+
+// Prix MeilleursAgents par type de bien DVF
+export const MA_PRICE_KEYS = { Appartement: 'appartement', Maison: 'maison' };
+
+// Compare, par type, le prix MeilleursAgents aux ventes DVF : écart à la médiane (€ et %),
+// position par rapport à l'intervalle interquartile, et source à privilégier
+export function calculateSourceDivergence(stats, meilleursAgents, seuil = DIVERGENCE_DEFAULTS.seuil) {
+    if (!meilleursAgents || !stats?.priceStats) return [];
+    
+    return Object.entries(MA_PRICE_KEYS)
+        .filter(([type, key]) => meilleursAgents[key]?.prix && stats.priceStats[type])
+        .map(([type, key]) => {
+            const dvf = stats.priceStats[type];
+            const maPrice = meilleursAgents[key].prix;
+            const ecart = maPrice - dvf.median;
+            const ecartPercent = Math.round((ecart / dvf.median) * 1000) / 10;
+            const position = maPrice < dvf.q1 ? 'dessous' : maPrice > dvf.q3 ? 'dessus' : 'dans';
+            
+            // Peu de ventes : MeilleursAgents ; estimation dans l'intervalle : sources cohérentes ;
+            // sinon les ventes réelles font foi
+            let confiance = 'dvf';
+            if (dvf.count < DIVERGENCE_MIN_SALES) confiance = 'meilleursAgents';
+            else if (position === 'dans' && Math.abs(ecartPercent) <= seuil) confiance = 'coherent';
+            
+            return {
+                type,
+                count: dvf.count,
+                median: dvf.median,
+                avg: dvf.avg,
+                q1: dvf.q1,
+                q3: dvf.q3,
+                maPrice,
+                ecart: Math.round(ecart),
+                ecartPercent,
+                position,
+                alerte: Math.abs(ecartPercent) > seuil,
+                confiance
+            };
+        });
+}
+
+// ============================================
+// SIMULATION D'INVESTISSEMENT
+// ============================================
+
+// Paramètres par défaut ; prix, loyer et apport à null sont déduits du marché
+export const SIMULATION_DEFAULTS = {
+    type: 'Appartement',
+    surface: 50,          // m²
+    prix: null,           // € (défaut : prix médian au m² × surface)
+    travaux: 0,           // €
+    loyer: null,          // €/mois hors charges (défaut : loyer MeilleursAgents × surface)
+    apport: null,         // € (défaut : frais de notaire)
+    taux: 3.5,            // taux nominal annuel (%)
+    duree: 20,            // durée du prêt (années)
+    assurance: 0.3,       // assurance emprunteur (% du capital emprunté par an)
+    detention: 10,        // durée de détention avant revente (années)
+    revalorisation: null  // évolution annuelle du prix (%) (défaut : tendance de yearlyStats)
+};
+
+// Frais de notaire dans l'ancien : droits de mutation, émoluments et débours
+export const NOTARY_FEES_RATE = 0.075;
+
+// Tendance annuelle des prix bornée : quelques années atypiques ne doivent pas extrapoler ±30 %/an
+const MAX_PRICE_TREND = 10;
+
+// Tendance annuelle (%) des prix médians : régression linéaire du logarithme du prix sur l'année
+export function calculatePriceTrend(yearlyStats) {
+    const points = yearlyStats.filter(s => s.medianPrice > 0);
+    if (points.length < 2) return 0;
+    
+    const meanX = points.reduce((a, s) => a + s.year, 0) / points.length;
+    const meanY = points.reduce((a, s) => a + Math.log(s.medianPrice), 0) / points.length;
+    let num = 0;
+    let den = 0;
+    points.forEach(s => {
+        num += (s.year - meanX) * (Math.log(s.medianPrice) - meanY);
+        den += (s.year - meanX) ** 2;
+    });
+    
+    const trend = (Math.exp(num / den) - 1) * 100;
+    return Math.round(Math.max(-MAX_PRICE_TREND, Math.min(MAX_PRICE_TREND, trend)) * 10) / 10;
+}
+
+// market : { priceM2, rentM2, yearlyStats, assumptions } (assumptions : hypothèses de YIELD_DEFAULTS).
+// Renvoie null si le prix ou le loyer ne peuvent être déterminés.
+export function simulateInvestment(params, market) {
+    const p = { ...SIMULATION_DEFAULTS, ...params };
+    const { charges, taxeFonciere, vacance } = { ...YIELD_DEFAULTS, ...market.assumptions };
+    
+    const prix = p.prix ?? (market.priceM2 ? Math.round(market.priceM2 * p.surface) : null);
+    const loyer = p.loyer ?? (market.rentM2 ? Math.round(market.rentM2 * p.surface) : null);
+    if (!prix || !loyer) return null;
+    
+    const fraisNotaire = Math.round(prix * NOTARY_FEES_RATE);
+    const coutTotal = prix + fraisNotaire + p.travaux;
+    const apport = Math.min(p.apport ?? fraisNotaire, coutTotal);
+    const emprunt = coutTotal - apport;
+    
+    // Mensualité constante hors assurance
+    const months = p.duree * 12;
+    const monthlyRate = p.taux / 100 / 12;
+    const mensualite = emprunt === 0 ? 0
+        : monthlyRate > 0 ? emprunt * monthlyRate / (1 - (1 + monthlyRate) ** -months) : emprunt / months;
+    const assuranceMensuelle = emprunt * p.assurance / 100 / 12;
+    
+    // Tableau d'amortissement agrégé par année
+    const amortissement = [];
+    let capitalRestant = emprunt;
+    for (let year = 1; year <= p.duree; year++) {
+        let interets = 0;
+        let capital = 0;
+        for (let m = 0; m < 12; m++) {
+            const interest = capitalRestant * monthlyRate;
+            interets += interest;
+            capital += mensualite - interest;
+            capitalRestant -= mensualite - interest;
+        }
+        amortissement.push({
+            annee: year,
+            mensualites: Math.round(mensualite * 12),
+            interets: Math.round(interets),
+            capital: Math.round(capital),
+            assurance: Math.round(assuranceMensuelle * 12),
+            capitalRestant: Math.max(0, Math.round(capitalRestant))
+        });
+    }
+    
+    // Revenu locatif net annuel, comme pour le rendement locatif
+    const loyersEncaisses = loyer * 12 * (1 - vacance / 100);
+    const revenuNet = loyersEncaisses * (1 - charges / 100) - taxeFonciere * p.surface;
+    
+    const revalorisation = p.revalorisation ?? calculatePriceTrend(market.yearlyStats || []);
+    const valeurRevente = Math.round(prix * (1 + revalorisation / 100) ** p.detention);
+    const capitalRestantRevente = p.detention < p.duree ? amortissement[p.detention - 1]?.capitalRestant ?? emprunt : 0;
+    
+    // Flux annuels de l'investisseur : apport en année 0, puis cash-flow, revente et remboursement du prêt en fin de détention
+    const flux = [];
+    for (let year = 1; year <= p.detention; year++) {
+        const credit = year <= p.duree ? (mensualite + assuranceMensuelle) * 12 : 0;
+        const cashFlow = revenuNet - credit;
+        const revente = year === p.detention ? valeurRevente - capitalRestantRevente : 0;
+        flux.push({
+            annee: year,
+            revenuNet: Math.round(revenuNet),
+            credit: Math.round(credit),
+            cashFlow: Math.round(cashFlow),
+            revente: Math.round(revente),
+            total: Math.round(cashFlow + revente)
+        });
+    }
+    
+    return {
+        params: p,
+        prix,
+        loyer,
+        fraisNotaire,
+        travaux: p.travaux,
+        coutTotal,
+        apport,
+        emprunt,
+        mensualite: Math.round(mensualite),
+        assuranceMensuelle: Math.round(assuranceMensuelle),
+        revenuNetMensuel: Math.round(revenuNet / 12),
+        cashFlowMensuel: Math.round(revenuNet / 12 - (emprunt > 0 ? mensualite + assuranceMensuelle : 0)),
+        revalorisation,
+        valeurRevente,
+        capitalRestantRevente,
+        tri: calculateIRR([-apport, ...flux.map(f => f.total)]),
+        amortissement,
+        flux
+    };
+}
+
+// Taux de rendement interne (%) de flux annuels, par dichotomie ; null sans changement de signe
+export function calculateIRR(cashFlows) {
+    const npv = rate => cashFlows.reduce((sum, cf, i) => sum + cf / (1 + rate) ** i, 0);
+    
+    let low = -0.99;
+    let high = 10;
+    if (npv(low) * npv(high) > 0) return null;
+    
+    for (let i = 0; i < 100; i++) {
+        const mid = (low + high) / 2;
+        if (npv(low) * npv(mid) <= 0) high = mid;
+        else low = mid;
+    }
+    
+    return Math.round(((low + high) / 2) * 1000) / 10;
+}
+
+// ============================================
+// UTILITAIRES
+// ============================================
+
+export function normalizeSearchText(str) {
+    return (str || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
@@ -0,0 +1,169 @@
+/**
+ * Secteur Analyzer - Exports machine (CSV, JSON, GeoJSON)
+ * Contenu des fichiers construit à partir des transactions et des statistiques, sans
+ * dépendance au DOM : app.js se charge du téléchargement, les tests (test/) vérifient
+ * les formats.
+ */
+
+import { API_CONFIG, OUTLIER_CONFIG, computeSourceCoverage, hasCoordinates } from './core.js';
+
+// ============================================
+// CHAMPS EXPORTÉS
+// ============================================
+
+// Version du schéma JSON (docs/export-schema.json), incrémentée à chaque changement incompatible
+export const EXPORT_SCHEMA_VERSION = 2;
+
+// Colonnes des exports CSV et propriétés GeoJSON ; key est le nom du champ en JSON
+export const EXPORT_FIELDS = [
+    { key: 'idMutation', fr: 'id_mutation', en: 'mutation_id' },
+    { key: 'date', fr: 'date', en: 'date' },
+    { key: 'type', fr: 'type', en: 'property_type' },
+    { key: 'typeLocal', fr: 'type_local', en: 'local_type' },
+    { key: 'adresse', fr: 'adresse', en: 'address' },
+    { key: 'codePostal', fr: 'code_postal', en: 'postcode' },
+    { key: 'codeCommune', fr: 'code_commune', en: 'insee_code' },
+    { key: 'surface', fr: 'surface_m2', en: 'area_m2' },
+    { key: 'surfaceBati', fr: 'surface_bati_m2', en: 'built_area_m2' },
+    { key: 'surfaceTerrain', fr: 'surface_terrain_m2', en: 'land_area_m2' },
+    { key: 'pieces', fr: 'pieces', en: 'rooms' },
+    { key: 'prix', fr: 'prix_eur', en: 'price_eur' },
+    { key: 'prixM2', fr: 'prix_m2_eur', en: 'price_per_m2_eur' },
+    { key: 'nbLots', fr: 'nb_lots', en: 'lot_count' },
+    { key: 'mixte', fr: 'mixte', en: 'mixed_use' },
+    { key: 'exclusion', fr: 'motif_exclusion', en: 'exclusion_reason' },
+    { key: 'idParcelle', fr: 'id_parcelle', en: 'parcel_id' },
+    { key: 'latitude', fr: 'latitude', en: 'latitude' },
+    { key: 'longitude', fr: 'longitude', en: 'longitude' },
+    { key: 'sources', fr: 'sources', en: 'sources' }
+];
+
+// Transactions -> objets plats aux clés de EXPORT_FIELDS ; le motif d'exclusion est lu dans
+// quality.excluded de calculateStats()
+export function buildExportRecords(transactions, quality = null) {
+    const exclusions = new Map((quality?.excluded || []).map(e => [e.transaction, e.reason]));
+    
+    return transactions.map(t => ({
+        idMutation: t.idMutation,
+        date: t.date,
+        type: t.type,
+        typeLocal: t.typeLocal,
+        adresse: t.adresse,
+        codePostal: t.codePostal,
+        codeCommune: t.codeCommune,
+        surface: t.surface,
+        surfaceBati: t.surfaceBati,
+        surfaceTerrain: t.surfaceTerrain,
+        pieces: t.pieces,
+        prix: t.prix,
+        prixM2: t.prixM2,
+        nbLots: t.nbLots || 1,
+        mixte: Boolean(t.mixte),
+        exclusion: exclusions.get(t) || null,
+        idParcelle: t.idParcelle,
+        latitude: t.latitude,
+        longitude: t.longitude,
+        sources: (t.sources || [t.source]).filter(Boolean)
+    }));
+}
+
+// ============================================
+// FORMATS
+// ============================================
+
+// Français : séparateur ';' et virgule décimale (Excel FR) ; anglais : ',' et point décimal.
+// BOM en tête : accents corrects à l'ouverture dans Excel
+export function buildCSV(records, language = 'fr') {
+    const separator = language === 'fr' ? ';' : ',';
+    const formatValue = (value) => {
+        if (value === null || value === undefined) return '';
+        if (Array.isArray(value)) value = value.join('|');
+        if (typeof value === 'boolean') value = value ? 1 : 0;
+        if (typeof value === 'number' && language === 'fr') value = String(value).replace('.', ',');
+        
+        const text = String(value);
+        return /["\n\r]/.test(text) || text.includes(separator) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const lines = [
+        EXPORT_FIELDS.map(f => f[language]).join(separator),
+        ...records.map(t => EXPORT_FIELDS.map(f => formatValue(t[f.key])).join(separator))
+    ];
+    return '\uFEFF' + lines.join('\r\n');
+}
+
+// Enregistrements géolocalisés, en WGS84 (EPSG:4326) comme l'exige la RFC 7946 ;
+// null si aucun n'a de coordonnées
+export function buildGeoJSON(records, codeInsee) {
+    const located = records.filter(hasCoordinates);
+    if (located.length === 0) return null;
+    
+    return {
+        type: 'FeatureCollection',
+        name: `transactions_dvf_${codeInsee}`,
+        features: located.map(({ latitude, longitude, ...properties }) => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [longitude, latitude] },
+            properties: { ...properties, sources: properties.sources.join('|') }
+        }))
+    };
+}
+
+// Analyse complète, au format décrit par docs/export-schema.json.
+// query : { url, secteur, filters, mapSelection } ; sources : { dvfTransactions, dvfSourceStatus, cache }
+export function buildAnalysisExport({ commune, stats, query, sources, meilleursAgents, logement, simulation, records }) {
+    return {
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        url: query.url,
+        query: {
+            codeInsee: commune.code,
+            secteur: query.secteur,
+            filters: query.filters,
+            mapSelection: query.mapSelection,
+            outlierMethods: Object.fromEntries(Object.entries(OUTLIER_CONFIG.byType).map(([type, rules]) => [type, rules.method])),
+            mergeSources: API_CONFIG.dvfMergeSources
+        },
+        commune: {
+            code: commune.code,
+            nom: commune.nom,
+            codesPostaux: commune.codesPostaux || [],
+            departement: commune.departement || null,
+            region: commune.region || null,
+            population: commune.population ?? null,
+            surface: commune.surface ?? null,
+            centre: commune.centre || null
+        },
+        stats: {
+            totalTransactions: stats.totalTransactions,
+            validTransactions: stats.validTransactions,
+            mixedTransactions: stats.mixedTransactions,
+            period: stats.period,
+            priceStats: stats.priceStats,
+            yearlyStats: stats.yearlyStats,
+            yearlyByType: stats.yearlyByType,
+            housingDist: stats.housingDist,
+            density: stats.density,
+            quality: {
+                total: stats.quality.total,
+                kept: stats.quality.kept,
+                excludedCount: stats.quality.excludedCount,
+                reasons: stats.quality.reasons,
+                byType: stats.quality.byType
+            }
+        },
+        sources: {
+            dvf: computeSourceCoverage(sources.dvfTransactions, sources.dvfSourceStatus),
+            cache: sources.cache
+        },
+        meilleursAgents: meilleursAgents || null,
+        logement: logement || null,
+        simulation,
+        transactions: records
+    };
+}
+
+// Transactions_DVF_Lyon_2024-05-01.csv
+export function buildExportFilename(prefix, commune, extension) {
+    return `${prefix}_${commune.nom.replace(/\s+/g, '_')}_${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
@@ -0,0 +1,492 @@
+/**
+ * Secteur Analyzer - Parsers des pages scrapées
+ * Extraction des chiffres à partir du HTML brut (L'Internaute, MeilleursAgents), sans
+ * dépendance à l'interface : importé par core.js et app.js, et sous Node par les tests
+ * (test/), qui fournissent un DOMParser.
+ */
+
+// ============================================
+// L'INTERNAUTE (INSEE)
+// ============================================
+
+// Libellés reconnus (normalisés : minuscules, sans accents) -> champ. Chaque chiffre est lu
+// dans la cellule ou le <dd> qui suit son libellé, jamais ailleurs dans le texte de la page
+const LI_LABELS = [
+    { field: 'nbLogements', pattern: /^(nombre (total )?de logements|ensemble des logements|total des logements|logements)$/ },
+    { field: 'residencesPrincipales', pattern: /^(nombre de |part des )?residences principales$/ },
+    { field: 'residencesSecondaires', pattern: /^(nombre de |part des )?residences secondaires( et logements occasionnels)?$/ },
+    { field: 'logementsVacants', pattern: /^(nombre de |part des )?logements vacants$/ },
+    { field: 'maisons', pattern: /^(nombre de |part des )?maisons$/ },
+    { field: 'appartements', pattern: /^(nombre d'|part des )?appartements$/ },
+    { field: 'proprietaires', pattern: /^(part des )?proprietaires$/ },
+    { field: 'locataires', pattern: /^(part des )?locataires$/ },
+    { field: '1 pièce', pattern: /^(studios? (ou |et |\/ )?)?1 piece$/ },
+    { field: '2 pièces', pattern: /^2 pieces$/ },
+    { field: '3 pièces', pattern: /^3 pieces$/ },
+    { field: '4 pièces', pattern: /^4 pieces$/ },
+    { field: '5+ pièces', pattern: /^(5 pieces (et|ou) (plus|\+)|plus de 4 pieces)$/ },
+    { field: 'construction', pattern: /^(logements |residences principales )?construit(e)?s? (avant|apres) \d{4}$/ }
+];
+
+const LI_PIECES = ['1 pièce', '2 pièces', '3 pièces', '4 pièces', '5+ pièces'];
+
+export function parseLInternauteHTML(html) {
+    const data = {
+        nbLogements: null,
+        residencesPrincipales: null,
+        residencesSecondaires: null,
+        logementsVacants: null,
+        typesLogements: null,  // Maisons vs Appartements
+        repartitionPieces: null,  // T1, T2, T3, etc.
+        proprietaires: null,
+        locataires: null,
+        anneeConstruction: null
+    };
+    
+    try {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(html, 'text/html');
+        
+        // Premier effectif et première part trouvés pour chaque champ
+        const figures = {};
+        collectLInternauteFigures(doc).forEach(({ label, value }) => {
+            const normalized = normalizeLInternauteLabel(label);
+            const entry = LI_LABELS.find(l => l.pattern.test(normalized));
+            const parsed = parseLInternauteValue(value);
+            if (!entry || !parsed) return;
+            
+            const figure = figures[entry.field] = figures[entry.field] || { label: normalized };
+            if (figure[parsed.unit] === undefined) figure[parsed.unit] = parsed.number;
+        });
+        
+        const count = field => figures[field]?.count ?? null;
+        const percent = field => figures[field]?.percent ?? null;
+        const total = count('nbLogements');
+        data.nbLogements = total;
+        
+        // Effectifs, à défaut déduits de la part et du total
+        ['residencesPrincipales', 'residencesSecondaires', 'logementsVacants'].forEach(field => {
+            data[field] = count(field) ?? (percent(field) !== null && total ? Math.round(total * percent(field) / 100) : null);
+        });
+        
+        // Parts en %, à défaut déduites de l'effectif et du total
+        const share = field => percent(field) ?? (count(field) !== null && total ? roundPercent(count(field) / total * 100) : null);
+        if (share('maisons') !== null || share('appartements') !== null) {
+            data.typesLogements = { maisons: share('maisons'), appartements: share('appartements') };
+        }
+        
+        // Répartition par nombre de pièces : parts, ou effectifs ramenés au total des tranches
+        const piecesPercent = LI_PIECES.filter(key => percent(key) !== null);
+        const piecesCount = LI_PIECES.filter(key => count(key) !== null);
+        if (piecesPercent.length > 0) {
+            data.repartitionPieces = Object.fromEntries(piecesPercent.map(key => [key, percent(key)]));
+        } else if (piecesCount.length > 0) {
+            const sum = piecesCount.reduce((a, key) => a + count(key), 0);
+            data.repartitionPieces = Object.fromEntries(piecesCount.map(key => [key, roundPercent(count(key) / sum * 100)]));
+        }
+        
+        data.proprietaires = percent('proprietaires');
+        data.locataires = percent('locataires');
+        
+        // Année de construction
+        if (percent('construction') !== null) {
+            const [, sens, annee] = figures.construction.label.match(/(avant|apres) (\d{4})/);
+            data.anneeConstruction = {
+                periode: `${sens === 'apres' ? 'après' : 'avant'} ${annee}`,
+                pourcentage: percent('construction')
+            };
+        }
+        
+        console.log("📊 Données L'Internaute parsées:", data);
+        
+    } catch (e) {
+        console.error("Erreur parsing L'Internaute:", e);
+    }
+    
+    return data;
+}
+
+// Couples libellé / valeur : lignes de tableau (libellé en première cellule, valeur de la commune
+// en deuxième, les colonnes suivantes comparant au département ou à la France) et listes <dl>
+function collectLInternauteFigures(doc) {
+    const figures = [];
+    
+    doc.querySelectorAll('tr').forEach(row => {
+        const cells = [...row.children].filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH');
+        if (cells.length >= 2) figures.push({ label: cells[0].textContent, value: cells[1].textContent });
+    });
+    
+    doc.querySelectorAll('dt').forEach(dt => {
+        const dd = dt.nextElementSibling;
+        if (dd?.tagName === 'DD') figures.push({ label: dt.textContent, value: dd.textContent });
+    });
+    
+    return figures;
+}
+
+function normalizeLInternauteLabel(label) {
+    return label
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[\u2019`]/g, "'")
+        .replace(/\(\d+\)|\*/g, '')     // Renvois de notes : "Locataires (1)", "Maisons*"
+        .replace(/\s+/g, ' ')
+        .replace(/\s*:\s*$/, '')
+        .trim();
+}
+
+// "292 418" -> effectif, "45,2 %" -> part ; montants en euros et cellules vides ignorés
+function parseLInternauteValue(text) {
+    if (/€/.test(text)) return null;
+    
+    const match = text.match(/\d{1,3}(?:\s\d{3})+(?:,\d+)?|\d+(?:[.,]\d+)?/);
+    if (!match) return null;
+    
+    const number = parseFloat(match[0].replace(/\s/g, '').replace(',', '.'));
+    const unit = /%/.test(text) ? 'percent' : 'count';
+    if (unit === 'percent' && number > 100) return null;
+    
+    return { number, unit };
+}
+
+function roundPercent(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// ============================================
+// MEILLEURSAGENTS
+// ============================================
+
+// Chaîne d'extraction, de la source la plus structurée à la moins fiable : pour chaque valeur,
+// la première méthode qui fournit un montant plausible l'emporte
+export const MA_EXTRACTORS = [
+    { method: 'json-ld', label: 'Données structurées JSON-LD', confidence: 'haute', extract: extractMAJsonLd },
+    { method: 'etat-json', label: 'État JSON embarqué dans la page', confidence: 'haute', extract: extractMAEmbeddedState },
+    { method: 'dom', label: 'Encarts de prix de la page', confidence: 'moyenne', extract: extractMADom },
+    { method: 'regex', label: 'Recherche dans le texte de la page', confidence: 'basse', extract: extractMARegex }
+];
+
+export const MA_CONFIDENCE_LABELS = {
+    haute: 'Fiabilité haute',
+    moyenne: 'Fiabilité moyenne',
+    basse: 'Fiabilité basse'
+};
+
+// Valeurs extraites : prix de vente (€/m²) et loyers (€/m²/mois)
+export const MA_FIELDS = ['appartement', 'maison', 'loyerAppartement', 'loyerMaison'];
+
+// Bornes de plausibilité ; hors bornes, la valeur est rétrogradée en fiabilité basse
+const MA_PLAUSIBLE = {
+    prix: [300, 40000],
+    loyer: [2, 80]
+};
+
+// Encarts de prix de la page commune ; à mettre à jour si MeilleursAgents change son balisage
+const MA_DOM_SELECTORS = {
+    boxes: {
+        appartement: ['.prices-summary__apartment-prices', '[data-testid="apartment-prices"]', '[data-property-type="apartment"]'],
+        maison: ['.prices-summary__house-prices', '[data-testid="house-prices"]', '[data-property-type="house"]'],
+        loyerAppartement: ['.prices-summary__rent-prices', '[data-testid="apartment-rent-prices"]', '[data-property-type="apartment-rent"]'],
+        loyerMaison: ['.prices-summary__house-rent-prices', '[data-testid="house-rent-prices"]', '[data-property-type="house-rent"]']
+    },
+    median: ['.prices-summary__cell--median', '[data-testid="median-price"]', '[itemprop="price"]'],
+    range: ['.prices-summary__price-range', '[data-testid="price-range"]']
+};
+
+const MA_TYPE_PATTERNS = {
+    appartement: /^(appartements?|apartments?|flats?)$/i,
+    maison: /^(maisons?|houses?)$/i
+};
+
+export function parseMeilleursAgentsHTML(html) {
+    const data = {
+        appartement: null,
+        maison: null,
+        loyer: null,
+        evolution: null,
+        extraction: {}
+    };
+    
+    try {
+        // Parser le HTML
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(html, 'text/html');
+        
+        const candidates = {};
+        MA_EXTRACTORS.forEach(({ method, confidence, extract }) => {
+            let found = {};
+            try {
+                found = extract(doc, html) || {};
+            } catch (e) {
+                console.warn(`Extraction MeilleursAgents (${method}) en échec:`, e.message);
+            }
+            
+            Object.entries(found).forEach(([field, value]) => {
+                if (!MA_FIELDS.includes(field) || !value?.prix) return;
+                (candidates[field] = candidates[field] || []).push({ ...value, method, confidence });
+            });
+        });
+        
+        MA_FIELDS.forEach(field => {
+            const chosen = pickMACandidate(field, candidates[field] || []);
+            if (!chosen) return;
+            
+            data.extraction[field] = { method: chosen.method, confidence: chosen.confidence };
+            if (field === 'loyerAppartement' || field === 'loyerMaison') {
+                data.loyer = data.loyer || { appartement: null, maison: null };
+                data.loyer[field === 'loyerAppartement' ? 'appartement' : 'maison'] = chosen.prix;
+            } else {
+                data[field] = { prix: chosen.prix, min: chosen.min, max: chosen.max };
+            }
+        });
+        
+        console.log('📊 Données MeilleursAgents parsées:', data);
+        
+    } catch (e) {
+        console.error('Erreur parsing MeilleursAgents:', e);
+    }
+    
+    return data;
+}
+
+// Première valeur plausible dans l'ordre des méthodes, sinon la première trouvée en fiabilité basse
+function pickMACandidate(field, candidates) {
+    const [low, high] = field.startsWith('loyer') ? MA_PLAUSIBLE.loyer : MA_PLAUSIBLE.prix;
+    const isPlausible = c => c.prix >= low && c.prix <= high;
+    
+    const chosen = candidates.find(isPlausible) || (candidates[0] && { ...candidates[0], confidence: 'basse' });
+    if (!chosen) return null;
+    
+    // Une fourchette qui n'encadre pas le prix est ignorée
+    const rangeValid = chosen.min && chosen.max && chosen.min <= chosen.prix && chosen.prix <= chosen.max;
+    return { ...chosen, min: rangeValid ? chosen.min : null, max: rangeValid ? chosen.max : null };
+}
+
+// Méthode 1 : JSON-LD (offres agrégées dont le nom désigne le type de bien et le loyer)
+function extractMAJsonLd(doc) {
+    const found = {};
+    
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        let json;
+        try {
+            json = JSON.parse(script.textContent);
+        } catch (e) {
+            return;
+        }
+        
+        const items = [json].flat().flatMap(item => item?.['@graph'] || [item]);
+        items.forEach(item => {
+            if (!item || typeof item !== 'object') return;
+            const offers = [item.offers].flat().find(Boolean);
+            if (!offers) return;
+            
+            const label = `${item.name || ''} ${item.description || ''}`;
+            const type = /appartement/i.test(label) ? 'appartement' : /maison/i.test(label) ? 'maison' : null;
+            if (!type) return;
+            
+            const field = /loyer|location/i.test(label) ? `loyer${type === 'appartement' ? 'Appartement' : 'Maison'}` : type;
+            const prix = toMANumber(offers.price ?? offers.priceSpecification?.price);
+            if (prix && !found[field]) {
+                found[field] = { prix, min: toMANumber(offers.lowPrice), max: toMANumber(offers.highPrice) };
+            }
+        });
+    });
+    
+    return found;
+}
+
+// Méthode 2 : état de l'application embarqué (__NEXT_DATA__, window.__INITIAL_STATE__…)
+function extractMAEmbeddedState(doc) {
+    const found = {};
+    
+    doc.querySelectorAll('script:not([src])').forEach(script => {
+        const text = script.textContent.trim();
+        let state = null;
+        
+        if (script.id === '__NEXT_DATA__' || script.type === 'application/json') {
+            try {
+                state = JSON.parse(text);
+            } catch (e) {}
+        } else {
+            const match = text.match(/window\.__[A-Z_]+__\s*=\s*(\{[\s\S]*\})\s*;?\s*$/);
+            if (match) {
+                try {
+                    state = JSON.parse(match[1]);
+                } catch (e) {}
+            }
+        }
+        
+        if (state) collectMAStateEstimates(state, false, found);
+    });
+    
+    return found;
+}
+
+// Parcourt l'état à la recherche de nœuds « appartement » / « maison » portant un prix ;
+// sous une clé rent/loyer, le nœud est un loyer
+function collectMAStateEstimates(node, isRent, found, depth = 0) {
+    if (!node || typeof node !== 'object' || depth > 20) return;
+    
+    if (Array.isArray(node)) {
+        node.forEach(child => collectMAStateEstimates(child, isRent, found, depth + 1));
+        return;
+    }
+    
+    // Élément de liste typé : { propertyType: 'apartment', price: … }
+    const typeValue = node.propertyType || node.property_type || node.realtyType || node.type;
+    if (typeof typeValue === 'string') addMAStateEstimate(typeValue, node, isRent, found);
+    
+    Object.entries(node).forEach(([key, value]) => {
+        if (!value || typeof value !== 'object') return;
+        addMAStateEstimate(key, value, isRent, found);
+        collectMAStateEstimates(value, isRent || /rent|loyer/i.test(key), found, depth + 1);
+    });
+}
+
+function addMAStateEstimate(typeName, node, isRent, found) {
+    const type = Object.keys(MA_TYPE_PATTERNS).find(t => MA_TYPE_PATTERNS[t].test(typeName));
+    if (!type || Array.isArray(node)) return;
+    
+    const pick = pattern => {
+        const key = Object.keys(node).find(k => pattern.test(k));
+        const value = key !== undefined ? node[key] : undefined;
+        return toMANumber(value && typeof value === 'object' ? value.value ?? value.amount : value);
+    };
+    
+    const prix = pick(/^(price|prix|value|median|avg|average|mean|moyen)/i);
+    if (!prix) return;
+    
+    const field = isRent ? `loyer${type === 'appartement' ? 'Appartement' : 'Maison'}` : type;
+    if (!found[field]) {
+        found[field] = { prix, min: pick(/^(min|low|lower|bas)/i), max: pick(/^(max|high|upper|haut)/i) };
+    }
+}
+
+// Méthode 3 : encarts de prix repérés par leurs sélecteurs
+function extractMADom(doc) {
+    const found = {};
+    const first = (root, selectors) => selectors.map(s => root.querySelector(s)).find(Boolean);
+    
+    Object.entries(MA_DOM_SELECTORS.boxes).forEach(([field, selectors]) => {
+        const box = first(doc, selectors);
+        if (!box) return;
+        
+        const prix = toMANumber(first(box, MA_DOM_SELECTORS.median)?.textContent);
+        if (!prix) return;
+        
+        const rangeNumbers = (first(box, MA_DOM_SELECTORS.range)?.textContent || '')
+            .match(/\d{1,3}(?:\s\d{3})+(?:,\d+)?|\d+(?:,\d+)?/g) || [];
+        found[field] = {
+            prix,
+            min: rangeNumbers.length >= 2 ? toMANumber(rangeNumbers[0]) : null,
+            max: rangeNumbers.length >= 2 ? toMANumber(rangeNumbers[1]) : null
+        };
+    });
+    
+    return found;
+}
+
+// Méthode 4 : expressions régulières sur le texte visible (dernier recours)
+function extractMARegex(doc, html) {
+    // Le contenu des scripts ne doit pas fournir de faux montants
+    const body = doc.body?.cloneNode(true);
+    body?.querySelectorAll('script, style').forEach(el => el.remove());
+    const text = body?.innerText || body?.textContent || html;
+    const found = {};
+    
+    // Pattern pour les prix appartements
+    const apptMatch = text.match(/appartements[^€]*?(\d[\d\s]*)\s*€[^€]*?m²/i) 
+        || text.match(/prix\s+m²\s+moyen\s+des\s+appartements[^€]*?(\d[\d\s]*)\s*€/i)
+        || text.match(/appartement[^€]*?(\d[\d\s]*)\s*€\s*(?:\/\s*)?m²/i);
+    
+    // Pattern pour les prix maisons
+    const maisonMatch = text.match(/maisons[^€]*?(\d[\d\s]*)\s*€[^€]*?m²/i)
+        || text.match(/prix\s+(?:du\s+)?m²\s+(?:pour\s+les\s+)?maisons[^€]*?(\d[\d\s]*)\s*€/i)
+        || text.match(/maison[^€]*?(\d[\d\s]*)\s*€\s*(?:\/\s*)?m²/i);
+    
+    // Pattern pour les fourchettes de prix
+    const apptRangeMatch = text.match(/appartement[^€]*?entre\s*(\d[\d\s]*)\s*€\s*et\s*(\d[\d\s]*)\s*€/i)
+        || text.match(/appartement[^€]*?(\d[\d\s]*)\s*€[^€]*?(\d[\d\s]*)\s*€/i);
+    
+    const maisonRangeMatch = text.match(/maison[^€]*?entre\s*(\d[\d\s]*)\s*€\s*et\s*(\d[\d\s]*)\s*€/i)
+        || text.match(/maison[^€]*?(\d[\d\s]*)\s*€[^€]*?(\d[\d\s]*)\s*€/i);
+    
+    // Pattern pour les loyers
+    const loyerApptMatch = text.match(/loyer[^€]*?appartement[^€]*?(\d+(?:[.,]\d+)?)\s*€\s*(?:\/\s*)?m²/i)
+        || text.match(/appartement[^€]*?loyer[^€]*?(\d+(?:[.,]\d+)?)\s*€/i);
+    
+    const loyerMaisonMatch = text.match(/loyer[^€]*?maison[^€]*?(\d+(?:[.,]\d+)?)\s*€\s*(?:\/\s*)?m²/i)
+        || text.match(/maison[^€]*?loyer[^€]*?(\d+(?:[.,]\d+)?)\s*€/i);
+    
+    if (apptMatch) {
+        found.appartement = {
+            prix: parsePrice(apptMatch[1]),
+            min: apptRangeMatch ? parsePrice(apptRangeMatch[1]) : null,
+            max: apptRangeMatch ? parsePrice(apptRangeMatch[2]) : null
+        };
+    }
+    
+    if (maisonMatch) {
+        found.maison = {
+            prix: parsePrice(maisonMatch[1]),
+            min: maisonRangeMatch ? parsePrice(maisonRangeMatch[1]) : null,
+            max: maisonRangeMatch ? parsePrice(maisonRangeMatch[2]) : null
+        };
+    }
+    
+    if (loyerApptMatch) found.loyerAppartement = { prix: parseFloat(loyerApptMatch[1].replace(',', '.')) };
+    if (loyerMaisonMatch) found.loyerMaison = { prix: parseFloat(loyerMaisonMatch[1].replace(',', '.')) };
+    
+    return found;
+}
+
+function parsePrice(str) {
+    if (!str) return null;
+    return parseInt(str.replace(/\s/g, ''), 10);
+}
+
+// Montant numérique ou texte ("5 230 €", "14,6 €/m²") -> nombre, null si absent
+function toMANumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null;
+    if (typeof value !== 'string') return null;
+    
+    const match = value.match(/\d{1,3}(?:\s\d{3})+(?:[.,]\d+)?|\d+(?:[.,]\d+)?/);
+    if (!match) return null;
+    const number = parseFloat(match[0].replace(/\s/g, '').replace(',', '.'));
+    return number > 0 ? number : null;
+}
+
+// Fiabilité d'une valeur ; les estimations en cache d'avant la chaîne d'extraction valent « basse »
+export function getMAConfidence(data, field) {
+    return data.extraction?.[field]?.confidence || 'basse';
+}
+
+// Estimations sans les valeurs en fiabilité basse
+export function filterMeilleursAgentsConfidence(data) {
+    if (!data) return data;
+    const keep = field => getMAConfidence(data, field) !== 'basse';
+    
+    const loyer = data.loyer && {
+        appartement: keep('loyerAppartement') ? data.loyer.appartement : null,
+        maison: keep('loyerMaison') ? data.loyer.maison : null
+    };
+    
+    return {
+        ...data,
+        appartement: data.appartement && keep('appartement') ? data.appartement : null,
+        maison: data.maison && keep('maison') ? data.maison : null,
+        loyer: loyer && (loyer.appartement || loyer.maison) ? loyer : null
+    };
+}
+
+// Valeurs en fiabilité basse présentes dans les estimations
+export function countLowConfidenceMA(data) {
+    const present = {
+        appartement: data.appartement,
+        maison: data.maison,
+        loyerAppartement: data.loyer?.appartement,
+        loyerMaison: data.loyer?.maison
+    };
+    return MA_FIELDS.filter(field => present[field] && getMAConfidence(data, field) === 'basse').length;
+}
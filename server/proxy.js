@@ -0,0 +1,266 @@
+/**
+ * Secteur Analyzer - Proxy auto-hébergé
+ * Remplace les proxies CORS publics (allorigins, corsproxy.io, codetabs) pour
+ * le scraping et les sources DVF sans en-têtes CORS, et sert l'application.
+ *
+ * Usage : node server/proxy.js
+ *   PORT=8787                  port d'écoute
+ *   PROXY_TIMEOUT=15000        délai max d'une requête amont (ms)
+ *   PROXY_CACHE_TTL=3600       durée de vie du cache mémoire (s), 0 pour désactiver
+ *   PROXY_CACHE_MAX=500        nombre max de réponses gardées en cache
+ *   PROXY_ALLOWED_HOSTS=a,b    remplace la liste des hôtes autorisés
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER_FILE = fileURLToPath(import.meta.url);
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const CONFIG = {
+    port: parseInt(process.env.PORT, 10) || 8787,
+    timeout: parseInt(process.env.PROXY_TIMEOUT, 10) || 15000,
+    cacheTtl: (process.env.PROXY_CACHE_TTL !== undefined ? parseInt(process.env.PROXY_CACHE_TTL, 10) : 3600) * 1000,
+    cacheMax: parseInt(process.env.PROXY_CACHE_MAX, 10) || 500,
+    maxRedirects: 5,
+    // Hôtes amont autorisés (sous-domaines inclus) : le proxy n'est pas un relais ouvert
+    allowedHosts: process.env.PROXY_ALLOWED_HOSTS
+        ? process.env.PROXY_ALLOWED_HOSTS.split(',').map(h => h.trim()).filter(Boolean)
+        : [
+            'meilleursagents.com',
+            'linternaute.com',
+            'api.cquest.org',
+            'app.dvf.etalab.gouv.fr',
+            'data.opendatasoft.com'
+        ],
+    userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36 SecteurAnalyzer/1.0',
+    // Fichiers de l'application servis à la racine
+    staticRoot: path.resolve(path.dirname(SERVER_FILE), '..'),
+    staticTypes: {
+        '.html': 'text/html; charset=utf-8',
+        '.js': 'application/javascript; charset=utf-8',
+        '.css': 'text/css; charset=utf-8',
+        '.json': 'application/json; charset=utf-8'
+    }
+};
+
+// ============================================
+// CACHE MÉMOIRE
+// ============================================
+
+// url → { status, contentType, body, expires } ; l'ordre d'insertion sert d'ordre LRU
+const cache = new Map();
+
+function cacheGet(url) {
+    const entry = cache.get(url);
+    if (!entry) return null;
+
+    if (entry.expires < Date.now()) {
+        cache.delete(url);
+        return null;
+    }
+
+    // Remettre en fin de file (entrée la plus récemment utilisée)
+    cache.delete(url);
+    cache.set(url, entry);
+    return entry;
+}
+
+function cacheSet(url, entry) {
+    if (CONFIG.cacheTtl <= 0) return;
+
+    cache.set(url, { ...entry, expires: Date.now() + CONFIG.cacheTtl });
+    while (cache.size > CONFIG.cacheMax) {
+        cache.delete(cache.keys().next().value);
+    }
+}
+
+// ============================================
+// PROXY
+// ============================================
+
+function isAllowedHost(hostname) {
+    return CONFIG.allowedHosts.some(host => hostname === host || hostname.endsWith('.' + host));
+}
+
+function parseTargetUrl(raw) {
+    if (!raw) return { error: 'Paramètre url manquant', status: 400 };
+
+    let target;
+    try {
+        target = new URL(raw);
+    } catch (e) {
+        return { error: 'URL invalide', status: 400 };
+    }
+
+    if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+        return { error: 'Protocole non supporté', status: 400 };
+    }
+    if (!isAllowedHost(target.hostname)) {
+        return { error: `Hôte non autorisé : ${target.hostname}`, status: 403 };
+    }
+
+    return { target };
+}
+
+// Redirections suivies une à une : chaque Location doit rester sur un hôte autorisé,
+// sinon une source autorisée pourrait faire relayer n'importe quelle URL
+async function fetchUpstream(url, headers) {
+    const signal = AbortSignal.timeout(CONFIG.timeout);
+
+    for (let redirects = 0; ; redirects++) {
+        const upstream = await fetch(url, { signal, redirect: 'manual', headers });
+        const location = upstream.headers.get('location');
+        if (upstream.status < 300 || upstream.status >= 400 || !location) return upstream;
+
+        await upstream.body?.cancel();
+        if (redirects >= CONFIG.maxRedirects) {
+            throw Object.assign(new Error('Trop de redirections'), { status: 502 });
+        }
+        const { target, error, status } = parseTargetUrl(new URL(location, url).toString());
+        if (error) throw Object.assign(new Error(`Redirection refusée (${error})`), { status });
+        url = target.toString();
+    }
+}
+
+async function handleProxy(req, res, requestUrl) {
+    const { target, error, status } = parseTargetUrl(requestUrl.searchParams.get('url'));
+    if (error) return sendJSON(res, status, { error });
+
+    const url = target.toString();
+    const refresh = requestUrl.searchParams.get('refresh') === '1';
+
+    const cached = refresh ? null : cacheGet(url);
+    if (cached) {
+        return send(res, cached.status, cached.body, {
+            'Content-Type': cached.contentType,
+            'X-Proxy-Cache': 'HIT'
+        });
+    }
+
+    try {
+        const upstream = await fetchUpstream(url, {
+            'User-Agent': CONFIG.userAgent,
+            'Accept': req.headers['accept'] || '*/*',
+            'Accept-Language': 'fr-FR,fr;q=0.9'
+        });
+
+        const body = Buffer.from(await upstream.arrayBuffer());
+        const contentType = upstream.headers.get('content-type') || 'application/octet-stream';
+
+        // Seules les réponses valides sont gardées : une erreur amont doit pouvoir être retentée
+        if (upstream.ok) {
+            cacheSet(url, { status: upstream.status, contentType, body });
+        }
+
+        console.log(`${upstream.ok ? '✓' : '✗'} ${upstream.status} ${url}`);
+        send(res, upstream.status, body, {
+            'Content-Type': contentType,
+            'X-Proxy-Cache': 'MISS'
+        });
+    } catch (e) {
+        if (e.status) {
+            console.warn(`✗ ${e.status} ${url} : ${e.message}`);
+            return sendJSON(res, e.status, { error: e.message });
+        }
+        const timedOut = e.name === 'TimeoutError';
+        console.warn(`✗ ${timedOut ? 'Délai dépassé' : 'Échec'} ${url} : ${e.message}`);
+        sendJSON(res, timedOut ? 504 : 502, {
+            error: timedOut ? 'Délai dépassé' : `Échec de la requête amont : ${e.message}`
+        });
+    }
+}
+
+// ============================================
+// FICHIERS STATIQUES
+// ============================================
+
+function handleStatic(res, pathname) {
+    let relative;
+    try {
+        relative = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    } catch (e) {
+        // Séquence %XX invalide : URIError, à ne pas laisser remonter hors du gestionnaire
+        return sendJSON(res, 400, { error: 'Chemin invalide' });
+    }
+    const file = path.resolve(CONFIG.staticRoot, relative);
+    const type = CONFIG.staticTypes[path.extname(file)];
+
+    // Ni sortie de la racine, ni fichiers cachés (.git…), ni extensions inconnues
+    if (!file.startsWith(CONFIG.staticRoot + path.sep) || relative.split('/').some(p => p.startsWith('.')) || !type) {
+        return sendJSON(res, 404, { error: 'Introuvable' });
+    }
+
+    fs.readFile(file, (err, body) => {
+        if (err) return sendJSON(res, 404, { error: 'Introuvable' });
+        send(res, 200, body, { 'Content-Type': type });
+    });
+}
+
+// ============================================
+// SERVEUR
+// ============================================
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': 'X-Proxy-Cache',
+        ...headers
+    });
+    res.end(body);
+}
+
+function sendJSON(res, status, data) {
+    send(res, status, JSON.stringify(data), { 'Content-Type': 'application/json; charset=utf-8' });
+}
+
+function createServer() {
+    return http.createServer((req, res) => {
+        let requestUrl;
+        try {
+            requestUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        } catch (e) {
+            // En-tête Host ou chemin illisible
+            return sendJSON(res, 400, { error: 'Requête invalide' });
+        }
+
+        if (req.method === 'OPTIONS') {
+            return send(res, 204, '', {
+                'Access-Control-Allow-Methods': 'GET, OPTIONS',
+                'Access-Control-Allow-Headers': 'Accept'
+            });
+        }
+        if (req.method !== 'GET') {
+            return sendJSON(res, 405, { error: 'Méthode non autorisée' });
+        }
+
+        switch (requestUrl.pathname) {
+            case '/proxy':
+                return handleProxy(req, res, requestUrl);
+            case '/health':
+                // Utilisé par le front pour détecter qu'il est servi par ce proxy
+                return sendJSON(res, 200, {
+                    service: 'secteur-analyzer-proxy',
+                    allowedHosts: CONFIG.allowedHosts,
+                    cacheEntries: cache.size
+                });
+            default:
+                return handleStatic(res, requestUrl.pathname);
+        }
+    });
+}
+
+// Lancé directement (node server/proxy.js), et non importé par un test
+if (process.argv[1] && path.resolve(process.argv[1]) === SERVER_FILE) {
+    createServer().listen(CONFIG.port, () => {
+        console.log(`🏠 Secteur Analyzer : http://localhost:${CONFIG.port}/`);
+        console.log(`🔁 Proxy : http://localhost:${CONFIG.port}/proxy?url=`);
+    });
+}
+
+export { createServer, isAllowedHost, CONFIG };
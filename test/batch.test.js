@@ -0,0 +1,60 @@
+/**
+ * CLI d'analyse par lots (cli/batch.js) : une commune dont aucune source DVF n'a répondu
+ * est en erreur, pour être retentée à la reprise, et non enregistrée avec 0 mutation.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { API_CONFIG, clearLocalDVF } from '../core.js';
+import { analyzeCommune } from '../cli/batch.js';
+
+const COMMUNE = { code: '01053', nom: 'Bourg-en-Bresse', codesPostaux: ['01000'], population: 41365, surface: 2386 };
+const ETALAB = fs.readFileSync(new URL('./fixtures/dvf/etalab.json', import.meta.url), 'utf8');
+
+// API Géo toujours disponible ; réponse Etalab enregistrée si dvfAvailable, sinon hors connexion
+function serve({ dvfAvailable }) {
+    globalThis.fetch = async (url) => {
+        if (url.includes('geo.api.gouv.fr')) return Response.json(COMMUNE);
+        if (dvfAvailable && url.includes('dvf.etalab.gouv.fr')) return new Response(ETALAB);
+        throw new TypeError('fetch failed');
+    };
+}
+
+// Le moteur journalise chaque source : sortie de test silencieuse
+async function analyze(input, options = {}) {
+    const { log, warn } = console;
+    console.log = console.warn = () => {};
+    try {
+        return await analyzeCommune(input, options);
+    } finally {
+        Object.assign(console, { log, warn });
+    }
+}
+
+test.beforeEach(() => {
+    API_CONFIG.useCorsProxies = false;
+    API_CONFIG.dvfSources = ['etalab', 'cquest'];
+    clearLocalDVF();
+});
+
+test('une source répond : commune analysée', async () => {
+    serve({ dvfAvailable: true });
+    const result = await analyze('01053');
+    
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(result.sourceStatus, { etalab: 'ok' });
+    assert.equal(result.stats.totalTransactions, 3);
+});
+
+test('toutes les sources en échec : commune en erreur, à retenter', async () => {
+    serve({ dvfAvailable: false });
+    
+    for (const merge of [false, true]) {
+        const result = await analyze('01053', { merge });
+        assert.equal(result.status, 'error');
+        assert.match(result.error, /Aucune source DVF/);
+        assert.deepEqual(result.sourceStatus, { etalab: 'error', cquest: 'error' });
+        assert.equal(result.commune.nom, 'Bourg-en-Bresse');
+    }
+});
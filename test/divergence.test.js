@@ -0,0 +1,60 @@
+/**
+ * Écart DVF / MeilleursAgents (core.js) : écart à la médiane, intervalle interquartile,
+ * seuil d'alerte et source à privilégier.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateSourceDivergence } from '../core.js';
+
+const stats = {
+    priceStats: {
+        Appartement: { count: 120, median: 5000, avg: 5200, q1: 4400, q3: 5700 },
+        Maison: { count: 6, median: 4000, avg: 4100, q1: 3500, q3: 4600 },
+        Terrain: { count: 30, median: 150, avg: 180, q1: 90, q3: 210 }
+    }
+};
+
+test('écart en € et en %, position dans l\'intervalle interquartile', () => {
+    const [appartement] = calculateSourceDivergence(stats, { appartement: { prix: 5150 } });
+    assert.deepEqual(appartement, {
+        type: 'Appartement',
+        count: 120,
+        median: 5000,
+        avg: 5200,
+        q1: 4400,
+        q3: 5700,
+        maPrice: 5150,
+        ecart: 150,
+        ecartPercent: 3,
+        position: 'dans',
+        alerte: false,
+        confiance: 'coherent'
+    });
+});
+
+test('alerte au-delà du seuil, ventes réelles à privilégier', () => {
+    const [appartement] = calculateSourceDivergence(stats, { appartement: { prix: 4000 } }, 15);
+    assert.equal(appartement.ecartPercent, -20);
+    assert.equal(appartement.position, 'dessous');
+    assert.equal(appartement.alerte, true);
+    assert.equal(appartement.confiance, 'dvf');
+    
+    // Même écart sous un seuil plus large : plus d'alerte, mais toujours hors de Q1 – Q3
+    const [relaxed] = calculateSourceDivergence(stats, { appartement: { prix: 4000 } }, 25);
+    assert.equal(relaxed.alerte, false);
+    assert.equal(relaxed.confiance, 'dvf');
+});
+
+test('peu de ventes DVF : MeilleursAgents à privilégier', () => {
+    const [maison] = calculateSourceDivergence(stats, { maison: { prix: 4900 } });
+    assert.equal(maison.position, 'dessus');
+    assert.equal(maison.alerte, true);
+    assert.equal(maison.confiance, 'meilleursAgents');
+});
+
+test('types sans prix MeilleursAgents ou sans ventes ignorés', () => {
+    assert.deepEqual(calculateSourceDivergence(stats, null), []);
+    assert.deepEqual(calculateSourceDivergence({ priceStats: {} }, { appartement: { prix: 5000 } }), []);
+    assert.deepEqual(calculateSourceDivergence(stats, { maison: null, appartement: { prix: null } }), []);
+});
@@ -0,0 +1,273 @@
+/**
+ * Sources DVF (core.js) sur des réponses enregistrées (test/fixtures/dvf/) : chaque
+ * adaptateur est interrogé à travers un fetch simulé, pagination comprise, puis les
+ * fichiers data.gouv.fr sont importés comme dans le mode hors ligne.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+    API_CONFIG,
+    fetchDVFTransactions,
+    fetchMergedDVFTransactions,
+    mergeSourceMutations,
+    createTransaction,
+    importLocalDVF,
+    clearLocalDVF,
+    getLocalCommune,
+    findLocalCommunes
+} from '../core.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/dvf/', import.meta.url));
+const CODE = '01053';
+
+// Réponses servies selon l'URL demandée ; toute autre URL échoue comme hors connexion
+function serveFixtures(routes) {
+    const requested = [];
+    globalThis.fetch = async (url) => {
+        requested.push(url);
+        const route = routes.find(([match]) => url.includes(match));
+        if (!route) throw new TypeError('fetch failed');
+        const body = fs.readFileSync(path.join(FIXTURES, route[1]), 'utf8');
+        return new Response(body, { headers: { 'Content-Type': 'application/json' } });
+    };
+    return requested;
+}
+
+const ROUTES = [
+    ['dvf.etalab.gouv.fr/api/mutations3/01053', 'etalab.json'],
+    ['api.cquest.org/dvf?code_commune=01053', 'cquest.json'],
+    ['offset=0', 'opendatasoft-page1.json'],
+    ['offset=2', 'opendatasoft-page2.json'],
+    ['code_insee=01053&page=2', 'cerema-page2.json'],
+    ['code_insee=01053&page_size', 'cerema-page1.json']
+];
+
+// Le moteur journalise chaque source : sortie de test silencieuse
+async function quietly(fn) {
+    const { log, warn } = console;
+    console.log = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, warn });
+    }
+}
+
+function fetchSource(name, options = {}) {
+    API_CONFIG.dvfSources = [name];
+    return quietly(() => fetchDVFTransactions(CODE, options));
+}
+
+const byDate = (a, b) => a.date.localeCompare(b.date);
+
+test.beforeEach(() => {
+    API_CONFIG.useCorsProxies = false;
+    API_CONFIG.opendatasoftPageSize = 2;
+    clearLocalDVF();
+});
+
+test('etalab : lignes regroupées en mutations, dépendance et parcelles annexes', async () => {
+    serveFixtures(ROUTES);
+    const sourceStatus = {};
+    const mutations = (await fetchSource('etalab', { sourceStatus })).sort(byDate);
+    
+    assert.deepEqual(sourceStatus, { etalab: 'ok' });
+    assert.equal(mutations.length, 3);
+    
+    const [appartement, maison, terrain] = mutations;
+    assert.equal(appartement.type, 'Appartement');
+    assert.equal(appartement.surface, 62);
+    assert.equal(appartement.prixM2, 3000);
+    assert.equal(appartement.pieces, 3);
+    assert.equal(appartement.adresse, '12 RUE NOTRE DAME');
+    assert.equal(appartement.latitude, 46.2046);
+    assert.deepEqual(appartement.sources, ['etalab']);
+    
+    // Maison de 110 m² sur deux parcelles (540 + 120 m²)
+    assert.equal(maison.type, 'Maison');
+    assert.equal(maison.surface, 110);
+    assert.equal(maison.surfaceTerrain, 660);
+    assert.equal(maison.prixM2, 2700);
+    assert.equal(maison.adresse, '8 B CHE DES SARDIERES');
+    
+    assert.equal(terrain.type, 'Terrain');
+    assert.equal(terrain.surface, 800);
+    assert.equal(terrain.prixM2, 80);
+});
+
+test('cquest : sans identifiant, lots regroupés par date et prix ; coordonnées lat/lon', async () => {
+    serveFixtures(ROUTES);
+    const [appartement, commerce] = (await fetchSource('cquest')).sort(byDate);
+    
+    assert.equal(appartement.idMutation, null);
+    assert.equal(appartement.surface, 62);
+    assert.equal(appartement.nbLots, 2);
+    assert.equal(appartement.longitude, 5.2262);
+    assert.equal(commerce.type, 'Commerce');
+    assert.equal(commerce.prixM2, 2306);
+});
+
+test('cquest : passe par les proxies CORS dans le navigateur', async () => {
+    const requested = serveFixtures([]);
+    API_CONFIG.useCorsProxies = true;
+    API_CONFIG.ownProxy = 'http://localhost:8787/proxy?url=';
+    const sourceStatus = {};
+    
+    assert.deepEqual(await fetchSource('cquest', { sourceStatus }), []);
+    assert.deepEqual(sourceStatus, { cquest: 'error' });
+    assert.equal(requested.length, 1 + API_CONFIG.corsProxies.length);
+    assert.equal(requested[0], 'http://localhost:8787/proxy?url=' + encodeURIComponent('https://api.cquest.org/dvf?code_commune=01053'));
+    API_CONFIG.ownProxy = '';
+});
+
+test('opendatasoft : pagination par offset jusqu\'au total annoncé', async () => {
+    const requested = serveFixtures(ROUTES);
+    const progress = [];
+    const mutations = await fetchSource('opendatasoft', { onProgress: p => progress.push(p) });
+    
+    assert.equal(requested.length, 2);
+    assert.deepEqual(progress.map(p => [p.loaded, p.total]), [[2, 3], [3, 3]]);
+    // Les deux parcelles de la maison sont sur deux pages différentes
+    const maison = mutations.find(t => t.type === 'Maison');
+    assert.equal(maison.surfaceTerrain, 660);
+    assert.equal(maison.latitude, 46.2198);
+});
+
+test('cerema : pagination par URL "next", une ligne par mutation', async () => {
+    const requested = serveFixtures(ROUTES);
+    const mutations = (await fetchSource('cerema')).sort(byDate);
+    
+    assert.equal(requested.length, 2);
+    assert.deepEqual(mutations.map(t => t.type), ['Appartement', 'Maison', 'Autre']);
+    assert.equal(mutations[0].adresse, '12 RUE NOTRE DAME');
+    assert.equal(mutations[0].codeCommune, '01053');
+    assert.equal(mutations[1].surfaceTerrain, 660);
+    // Bâti mixte logement / activité : pas de prix au m² comparable
+    assert.equal(mutations[2].mixte, true);
+});
+
+test('repli : source en erreur, la suivante répond', async () => {
+    serveFixtures(ROUTES.filter(([match]) => !match.includes('etalab')));
+    API_CONFIG.dvfSources = ['etalab', 'cquest'];
+    const sourceStatus = {};
+    const mutations = await quietly(() => fetchDVFTransactions(CODE, { sourceStatus }));
+    
+    assert.deepEqual(sourceStatus, { etalab: 'error', cquest: 'ok' });
+    assert.equal(mutations.length, 2);
+});
+
+test('annulation : ni proxy ni source de repli après abort()', async () => {
+    const requested = [];
+    const controller = new AbortController();
+    // Requête en attente jusqu'à l'annulation de l'analyse
+    globalThis.fetch = (url, { signal }) => {
+        requested.push(url);
+        return new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+        });
+    };
+    API_CONFIG.useCorsProxies = true;
+    API_CONFIG.dvfSources = ['cquest', 'etalab'];
+    const sourceStatus = {};
+    const pending = quietly(() => fetchDVFTransactions(CODE, { sourceStatus, signal: controller.signal }));
+    controller.abort();
+    
+    await assert.rejects(pending, { name: 'AbortError' });
+    assert.equal(requested.length, 1);
+    assert.deepEqual(sourceStatus, {});
+});
+
+test('fusion : ventes dédoublonnées entre sources', async () => {
+    serveFixtures(ROUTES);
+    API_CONFIG.dvfSources = ['etalab', 'cquest', 'opendatasoft'];
+    const sourceStatus = {};
+    const mutations = (await quietly(() => fetchMergedDVFTransactions(CODE, { sourceStatus }))).sort(byDate);
+    
+    assert.deepEqual(sourceStatus, { etalab: 'ok', cquest: 'ok', opendatasoft: 'ok' });
+    assert.equal(mutations.length, 4);
+    assert.deepEqual(mutations.map(t => t.sources), [
+        ['etalab', 'cquest'],
+        ['etalab', 'opendatasoft'],
+        ['etalab', 'opendatasoft'],
+        ['cquest']
+    ]);
+});
+
+test('fusion : empreinte date + prix + adresse entre sources différentes seulement', () => {
+    const vente = (source, fields) => ({
+        ...createTransaction({ date: '2023-06-30', prix: 186000, adresse: '12 RUE NOTRE DAME', ...fields }),
+        sources: [source]
+    });
+    const count = lists => mergeSourceMutations(lists).length;
+    
+    // Deux ventes distinctes d'une même source
+    assert.equal(count([[vente('etalab', { idMutation: '2023-1' }), vente('etalab', { idMutation: '2023-2' })]]), 2);
+    assert.equal(count([[vente('cquest'), vente('cquest')]]), 2);
+    // Identifiants différents : jamais fusionnées
+    assert.equal(count([[vente('etalab', { idMutation: '2023-1' })], [vente('opendatasoft', { idMutation: '2023-2' })]]), 2);
+    // Sans adresse, date et prix ne suffisent pas
+    assert.equal(count([[vente('etalab', { adresse: null })], [vente('cquest', { adresse: null })]]), 2);
+    
+    const [merged] = mergeSourceMutations([
+        [vente('etalab', { idMutation: '2023-1' })],
+        [vente('cquest', { adresse: '12, rue Notre-Dame' })]
+    ]);
+    assert.deepEqual(merged.sources, ['etalab', 'cquest']);
+    assert.equal(merged.idMutation, '2023-1');
+});
+
+async function importFixture(name) {
+    const blob = await fs.openAsBlob(path.join(FIXTURES, name));
+    blob.name = name;
+    await quietly(() => importLocalDVF(blob));
+}
+
+test('fichier DGFiP valeursfoncieres : décimales à virgule, dates et codes reconstitués', async () => {
+    await importFixture('valeursfoncieres-2023.txt');
+    serveFixtures([]);
+    const sourceStatus = {};
+    // Fichier importé : utilisé seul, sans interroger les APIs (dvfLocalOnly)
+    const mutations = (await fetchSource('etalab', { sourceStatus })).sort(byDate);
+    
+    assert.deepEqual(sourceStatus, { local: 'ok' });
+    assert.equal(mutations.length, 2);
+    const [appartement, maison] = mutations;
+    assert.equal(appartement.date, '2022-03-14');
+    assert.equal(appartement.prix, 186000);
+    assert.equal(appartement.codePostal, '01000');
+    assert.equal(appartement.codeCommune, '01053');
+    assert.equal(appartement.idParcelle, '01053000AB0123');
+    assert.equal(appartement.surface, 62);
+    assert.equal(appartement.latitude, null);
+    assert.equal(maison.surfaceTerrain, 660);
+    
+    assert.deepEqual(getLocalCommune('01451'), {
+        code: '01451',
+        nom: 'VIRIAT',
+        codesPostaux: ['01440'],
+        population: null,
+        surface: null,
+        departement: { code: '01', nom: 'Département 01' }
+    });
+});
+
+test('fichier DVF géolocalisé : champs entre guillemets, recherche de commune', async () => {
+    await importFixture('dvf-geo-01.csv');
+    serveFixtures([]);
+    const mutations = (await fetchSource('etalab')).sort(byDate);
+    
+    assert.deepEqual(mutations.map(t => [t.type, t.surface, t.prixM2]), [
+        ['Appartement', 62, 3000],
+        ['Terrain', 800, 80]
+    ]);
+    assert.equal(mutations[1].latitude, 46.1987);
+    assert.deepEqual(findLocalCommunes('bourg').map(c => c.nom), ['Bourg-en-Bresse']);
+});
+
+test('fichier sans colonnes DVF : refusé', async () => {
+    await assert.rejects(importFixture('etalab.json'), /format de fichier DVF non reconnu/);
+});
@@ -0,0 +1,127 @@
+/**
+ * Exports CSV, GeoJSON et JSON (exporters.js) sur les ventes de la réponse Etalab
+ * enregistrée (test/fixtures/dvf/etalab.json).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { normalizeTransactionEtalab, groupMutations, calculateStats } from '../core.js';
+import {
+    EXPORT_FIELDS,
+    EXPORT_SCHEMA_VERSION,
+    buildExportRecords,
+    buildCSV,
+    buildGeoJSON,
+    buildAnalysisExport,
+    buildExportFilename
+} from '../exporters.js';
+
+const { mutations: rows } = JSON.parse(fs.readFileSync(new URL('./fixtures/dvf/etalab.json', import.meta.url), 'utf8'));
+
+const commune = { code: '01053', nom: 'Bourg-en-Bresse', codesPostaux: ['01000'], population: 41365, surface: 2386 };
+
+// Ventes de la commune, plus une vente sans coordonnées dont l'adresse contient séparateurs et guillemets
+function buildTransactions() {
+    const transactions = groupMutations(rows.map(row => ({ ...normalizeTransactionEtalab(row), source: 'etalab' })))
+        .map(t => ({ ...t, sources: ['etalab'] }));
+    transactions.push({
+        ...normalizeTransactionEtalab({
+            id_mutation: '2024-000001',
+            date_mutation: '2024-02-01',
+            valeur_fonciere: '98500',
+            adresse_numero: '2',
+            adresse_nom_voie: 'PL "BERNARD"; BAT C, 2E ÉTAGE',
+            code_commune: '01053',
+            type_local: 'Appartement',
+            surface_reelle_bati: '38.5',
+            nombre_pieces_principales: '2'
+        }),
+        sources: ['etalab', 'cquest']
+    });
+    return transactions;
+}
+
+test('enregistrements : champs de EXPORT_FIELDS, motif d\'exclusion des statistiques', () => {
+    const transactions = buildTransactions();
+    // Symbolique : exclue des statistiques de prix
+    transactions[0] = { ...transactions[0], prix: 1, prixM2: 0 };
+    const { quality } = calculateStats(transactions, commune);
+    const records = buildExportRecords(transactions, quality);
+    
+    assert.equal(records.length, 4);
+    assert.deepEqual(Object.keys(records[0]), EXPORT_FIELDS.map(f => f.key));
+    assert.equal(records[0].exclusion, 'prixSymbolique');
+    assert.equal(records[1].exclusion, null);
+    assert.equal(records[0].nbLots, 2);
+    assert.deepEqual(records[3].sources, ['etalab', 'cquest']);
+});
+
+test('CSV français : point-virgule, virgule décimale, champs protégés', () => {
+    const csv = buildCSV(buildExportRecords(buildTransactions()), 'fr');
+    assert.ok(csv.startsWith('\uFEFFid_mutation;date;type;'));
+    
+    const lines = csv.slice(1).split('\r\n');
+    assert.equal(lines.length, 5);
+    assert.equal(
+        lines[4],
+        '2024-000001;2024-02-01;Appartement;Appartement;"2 PL ""BERNARD""; BAT C, 2E ÉTAGE";;01053;38,5;38,5;0;2;98500;2558;1;0;;;;;etalab|cquest'
+    );
+    // Ligne géolocalisée : coordonnées à virgule décimale
+    assert.ok(lines[1].endsWith(';46,2046;5,2262;etalab'));
+});
+
+test('CSV anglais : virgule, point décimal, en-têtes traduits', () => {
+    const csv = buildCSV(buildExportRecords(buildTransactions()), 'en');
+    const lines = csv.slice(1).split('\r\n');
+    
+    assert.equal(lines[0], EXPORT_FIELDS.map(f => f.en).join(','));
+    assert.ok(lines[4].includes(',"2 PL ""BERNARD""; BAT C, 2E ÉTAGE",,01053,38.5,38.5,'));
+    // Sans guillemets : le ';' n'est pas le séparateur en anglais
+    assert.ok(buildCSV([{ adresse: 'a;b' }], 'en').endsWith(',,,,a;b,,,,,,,,,,,,,,,'));
+});
+
+test('GeoJSON : points [longitude, latitude], ventes sans coordonnées omises', () => {
+    const geojson = buildGeoJSON(buildExportRecords(buildTransactions()), '01053');
+    
+    assert.equal(geojson.type, 'FeatureCollection');
+    assert.equal(geojson.name, 'transactions_dvf_01053');
+    assert.equal(geojson.features.length, 3);
+    
+    const [appartement] = geojson.features;
+    assert.deepEqual(appartement.geometry, { type: 'Point', coordinates: [5.2262, 46.2046] });
+    assert.equal(appartement.properties.idMutation, '2022-112233');
+    assert.equal(appartement.properties.sources, 'etalab');
+    assert.equal('latitude' in appartement.properties, false);
+    
+    assert.equal(buildGeoJSON(buildExportRecords(buildTransactions().slice(3)), '01053'), null);
+});
+
+test('export JSON : schéma versionné, couverture des sources', () => {
+    const transactions = buildTransactions();
+    const stats = calculateStats(transactions, commune);
+    const data = buildAnalysisExport({
+        commune,
+        stats,
+        query: { url: 'https://example.org/?insee=01053', secteur: null, filters: {}, mapSelection: null },
+        sources: { dvfTransactions: transactions, dvfSourceStatus: { etalab: 'ok' }, cache: {} },
+        meilleursAgents: null,
+        logement: null,
+        simulation: null,
+        records: buildExportRecords(transactions, stats.quality)
+    });
+    
+    assert.equal(data.schemaVersion, EXPORT_SCHEMA_VERSION);
+    assert.equal(data.query.codeInsee, '01053');
+    assert.deepEqual(data.commune.codesPostaux, ['01000']);
+    assert.equal(data.stats.totalTransactions, 4);
+    assert.equal('excluded' in data.stats.quality, false);
+    assert.equal(data.transactions.length, 4);
+    // Le document est sérialisable tel quel
+    assert.deepEqual(JSON.parse(JSON.stringify(data)).stats.priceStats, stats.priceStats);
+});
+
+test('nom de fichier : commune sans espaces, date du jour', () => {
+    const name = buildExportFilename('Transactions_DVF', { nom: 'Saint Martin du Mont' }, 'csv');
+    assert.match(name, /^Transactions_DVF_Saint_Martin_du_Mont_\d{4}-\d{2}-\d{2}\.csv$/);
+});
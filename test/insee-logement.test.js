@@ -0,0 +1,99 @@
+/**
+ * Base Logement du recensement INSEE (core.js) : import du CSV communal et conversion
+ * au format des données L'Internaute. Le fichier de test reprend les colonnes de
+ * base-cc-logement-2020.CSV, avec des effectifs fictifs.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+    API_CONFIG,
+    importINSEELogement,
+    getLocalINSEELogement,
+    getDepartementCode,
+    fetchINSEELogementDepartement,
+    buildINSEELogementData
+} from '../core.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+// Le moteur journalise chaque import : sortie de test silencieuse
+async function importFile(file) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const blob = await fs.openAsBlob(file);
+        blob.name = path.basename(file);
+        await importINSEELogement(blob);
+    } finally {
+        console.log = log;
+    }
+}
+
+test('commune du recensement : parts calculées sur les effectifs, millésime', async () => {
+    await importFile(path.join(FIXTURES, 'insee', 'base-cc-logement.csv'));
+    
+    assert.deepEqual(getLocalINSEELogement('69123'), {
+        nbLogements: 321506,
+        residencesPrincipales: 284211,
+        residencesSecondaires: 12539,
+        logementsVacants: 24756,
+        typesLogements: { maisons: 3, appartements: 96.1 },
+        // Parts des résidences principales
+        repartitionPieces: {
+            '1 pièce': 19.6,
+            '2 pièces': 24.8,
+            '3 pièces': 24.1,
+            '4 pièces': 17.9,
+            '5+ pièces': 13.6
+        },
+        proprietaires: 33.8,
+        locataires: 63.9,
+        // (60 000 + 19 000) / 280 000 résidences principales datées
+        anneeConstruction: { periode: 'avant 1946', pourcentage: 28.2 },
+        source: 'insee',
+        annee: 2020,
+        url: 'https://www.insee.fr/fr/statistiques/2011101?geo=COM-69123'
+    });
+    assert.equal(getLocalINSEELogement('75056'), null);
+});
+
+test('fichier sans colonnes du recensement : refusé', async () => {
+    const file = path.join(FIXTURES, 'linternaute', 'petite-commune.html');
+    await assert.rejects(importFile(file), /base Logement du recensement attendue/);
+});
+
+test('département : 3 caractères outre-mer, Corse en 2A / 2B', () => {
+    assert.equal(getDepartementCode('69123'), '69');
+    assert.equal(getDepartementCode('97105'), '971');
+    assert.equal(getDepartementCode('2A004'), '2A');
+});
+
+// Fichiers par département générés par cli/insee-logement.js à partir du CSV de test
+test('fichier JSON du département : mêmes données que l\'import du CSV', async () => {
+    await importFile(path.join(FIXTURES, 'insee', 'base-cc-logement.csv'));
+    API_CONFIG.inseeLogement.baseUrl = 'https://example.org/insee/';
+    globalThis.fetch = async (url) => {
+        const file = path.join(FIXTURES, 'insee', 'logement', url.replace(API_CONFIG.inseeLogement.baseUrl, ''));
+        return fs.existsSync(file)
+            ? new Response(fs.readFileSync(file, 'utf8'))
+            : new Response('Not Found', { status: 404 });
+    };
+    
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const departement = await fetchINSEELogementDepartement('69');
+        assert.equal(departement.annee, 2020);
+        assert.deepEqual(
+            buildINSEELogementData('69123', departement.communes['69123'], departement.annee),
+            getLocalINSEELogement('69123')
+        );
+        await assert.rejects(fetchINSEELogementDepartement('75'), /département 75 indisponible \(HTTP 404\)/);
+    } finally {
+        console.log = log;
+    }
+});
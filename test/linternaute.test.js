@@ -0,0 +1,107 @@
+/**
+ * Parser L'Internaute sur des pages de référence (test/fixtures/linternaute/).
+ * Chaque page contient des pièges pour les anciennes expressions régulières : chiffres
+ * du département dans le texte, prix au m² par type de bien, notes de bas de tableau.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { DOMParser } from 'linkedom';
+import { parseLInternauteHTML } from '../parsers.js';
+
+// parsers.js s'appuie sur le DOMParser du navigateur
+globalThis.DOMParser = DOMParser;
+
+const FIXTURES = new URL('./fixtures/linternaute/', import.meta.url);
+
+// Le parser journalise les données extraites : sortie de test silencieuse
+function parse(html) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return parseLInternauteHTML(html);
+    } finally {
+        console.log = log;
+    }
+}
+
+function parseFixture(name) {
+    return parse(fs.readFileSync(new URL(name, FIXTURES), 'utf8'));
+}
+
+test('petite commune : chiffres clés en <dl>, pièces en effectifs', () => {
+    assert.deepEqual(parseFixture('petite-commune.html'), {
+        nbLogements: 312,
+        residencesPrincipales: 287,
+        residencesSecondaires: 9,
+        logementsVacants: 16,
+        // Effectifs 280 et 30 sur 312 logements
+        typesLogements: { maisons: 89.7, appartements: 9.6 },
+        // Effectifs ramenés au total des tranches (287)
+        repartitionPieces: {
+            '1 pièce': 1,
+            '2 pièces': 4.9,
+            '3 pièces': 12.9,
+            '4 pièces': 24.7,
+            '5+ pièces': 56.4
+        },
+        proprietaires: 88.5,
+        locataires: 10.1,
+        anneeConstruction: null
+    });
+});
+
+test('commune moyenne : tableaux commune / département / France', () => {
+    assert.deepEqual(parseFixture('moyenne-commune.html'), {
+        nbLogements: 24918,
+        residencesPrincipales: 21704,
+        residencesSecondaires: 466,
+        logementsVacants: 2748,
+        typesLogements: { maisons: 27.4, appartements: 71.9 },
+        repartitionPieces: {
+            '1 pièce': 9.8,
+            '2 pièces': 17.6,
+            '3 pièces': 25.1,
+            '4 pièces': 22.3,
+            '5+ pièces': 25.2
+        },
+        proprietaires: 34.6,
+        locataires: 63.2,
+        anneeConstruction: { periode: 'avant 1946', pourcentage: 14.8 }
+    });
+});
+
+test('grande commune : parts des résidences, libellés annotés', () => {
+    assert.deepEqual(parseFixture('grande-commune.html'), {
+        nbLogements: 321506,
+        // Parts de 321 506 logements
+        residencesPrincipales: 284211,
+        residencesSecondaires: 12539,
+        logementsVacants: 24756,
+        typesLogements: { maisons: 3, appartements: 96.1 },
+        repartitionPieces: {
+            '1 pièce': 19.6,
+            '2 pièces': 24.8,
+            '3 pièces': 24.1,
+            '4 pièces': 17.9,
+            '5+ pièces': 13.6
+        },
+        proprietaires: 33.8,
+        locataires: 63.9,
+        anneeConstruction: null
+    });
+});
+
+test('les prix au m² ne sont pas pris pour des parts de logements', () => {
+    const data = parseFixture('moyenne-commune.html');
+    assert.notEqual(data.typesLogements.maisons, 2150);
+    assert.notEqual(data.repartitionPieces['2 pièces'], 1810);
+});
+
+test('page sans section logement : aucun chiffre', () => {
+    const data = parse('<html><body><p>Lyon compte 321 506 logements au total en 2020, dont 45 % de maisons.</p></body></html>');
+    assert.equal(data.nbLogements, null);
+    assert.equal(data.typesLogements, null);
+    assert.equal(data.repartitionPieces, null);
+});
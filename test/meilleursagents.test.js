@@ -0,0 +1,116 @@
+/**
+ * Parser MeilleursAgents (parsers.js) sur des pages de référence (test/fixtures/meilleursagents/) :
+ * une page par méthode de la chaîne d'extraction, de la plus fiable à la moins fiable.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { DOMParser } from 'linkedom';
+import {
+    parseMeilleursAgentsHTML,
+    filterMeilleursAgentsConfidence,
+    countLowConfidenceMA
+} from '../parsers.js';
+
+// parsers.js s'appuie sur le DOMParser du navigateur
+globalThis.DOMParser = DOMParser;
+
+const FIXTURES = new URL('./fixtures/meilleursagents/', import.meta.url);
+
+// Le parser journalise les données extraites : sortie de test silencieuse
+function parse(html) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return parseMeilleursAgentsHTML(html);
+    } finally {
+        console.log = log;
+    }
+}
+
+function parseFixture(name) {
+    return parse(fs.readFileSync(new URL(name, FIXTURES), 'utf8'));
+}
+
+const extraction = (method, confidence, fields) =>
+    Object.fromEntries(fields.map(field => [field, { method, confidence }]));
+
+test('JSON-LD : offres agrégées, montants en texte ou en nombre', () => {
+    assert.deepEqual(parseFixture('json-ld.html'), {
+        appartement: { prix: 2184, min: 1512, max: 3260 },
+        maison: { prix: 2451, min: 1689, max: 3542 },
+        loyer: { appartement: 10.9, maison: 9.4 },
+        evolution: null,
+        extraction: extraction('json-ld', 'haute', ['appartement', 'maison', 'loyerAppartement', 'loyerMaison'])
+    });
+});
+
+test('état JSON embarqué : __NEXT_DATA__, loyers sous la clé rent', () => {
+    assert.deepEqual(parseFixture('etat-json.html'), {
+        appartement: { prix: 2190, min: 1520, max: 3270 },
+        maison: { prix: 2460, min: 1700, max: 3550 },
+        loyer: { appartement: 10.8, maison: 9.3 },
+        evolution: null,
+        extraction: extraction('etat-json', 'haute', ['appartement', 'maison', 'loyerAppartement', 'loyerMaison'])
+    });
+});
+
+test('encarts de prix : fourchette qui n\'encadre pas le prix ignorée', () => {
+    assert.deepEqual(parseFixture('encarts.html'), {
+        appartement: { prix: 2176, min: 1505, max: 3248 },
+        maison: { prix: 2447, min: null, max: null },
+        loyer: { appartement: 10.7, maison: null },
+        evolution: null,
+        extraction: extraction('dom', 'moyenne', ['appartement', 'maison', 'loyerAppartement'])
+    });
+});
+
+test('texte de la page : fiabilité basse, contenu des scripts ignoré', () => {
+    const data = parseFixture('texte.html');
+    // Les fourchettes tirées du texte ne sont pas fiables : seuls les prix sont vérifiés
+    assert.equal(data.appartement.prix, 2170);
+    assert.equal(data.maison.prix, 2440);
+    assert.deepEqual(data.loyer, { appartement: 10.6, maison: null });
+    assert.deepEqual(data.extraction, extraction('regex', 'basse', ['appartement', 'maison', 'loyerAppartement']));
+    
+    assert.equal(countLowConfidenceMA(data), 3);
+    const filtered = filterMeilleursAgentsConfidence(data);
+    assert.equal(filtered.appartement, null);
+    assert.equal(filtered.maison, null);
+    assert.equal(filtered.loyer, null);
+});
+
+test('fiabilités mélangées : seules les valeurs en fiabilité basse sont masquées', () => {
+    // Loyer des maisons absent des encarts, trouvé dans le texte seulement
+    const html = fs.readFileSync(new URL('encarts.html', FIXTURES), 'utf8').replace('</body>', `
+        <p>Le loyer moyen d'une maison est de 9,1 € / m² par mois.</p>
+    </body>`);
+    const data = parse(html);
+    
+    assert.deepEqual(data.extraction.loyerMaison, { method: 'regex', confidence: 'basse' });
+    assert.equal(countLowConfidenceMA(data), 1);
+    
+    const filtered = filterMeilleursAgentsConfidence(data);
+    assert.equal(filtered.appartement.prix, 2176);
+    assert.equal(filtered.maison.prix, 2447);
+    assert.deepEqual(filtered.loyer, { appartement: 10.7, maison: null });
+});
+
+test('valeur hors bornes : la méthode suivante l\'emporte', () => {
+    const html = fs.readFileSync(new URL('encarts.html', FIXTURES), 'utf8').replace('</head>', `
+        <script type="application/ld+json">
+            { "@type": "Product", "name": "Prix m² appartement", "offers": { "price": 21 } }
+        </script>
+    </head>`);
+    const data = parse(html);
+    
+    assert.equal(data.appartement.prix, 2176);
+    assert.deepEqual(data.extraction.appartement, { method: 'dom', confidence: 'moyenne' });
+});
+
+test('page sans estimation : aucune valeur', () => {
+    const data = parse('<html><body><h1>Bourg-en-Bresse</h1><p>41 365 habitants</p></body></html>');
+    assert.deepEqual(data, { appartement: null, maison: null, loyer: null, evolution: null, extraction: {} });
+    assert.equal(countLowConfidenceMA(data), 0);
+});
@@ -0,0 +1,98 @@
+/**
+ * Proxy auto-hébergé (server/proxy.js) : redirections amont suivies une à une,
+ * chacune vérifiée contre la liste des hôtes autorisés.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createServer, CONFIG } from '../server/proxy.js';
+
+// Réponses amont selon l'URL demandée : [statut, Location éventuelle]
+function serveUpstream(routes) {
+    const requested = [];
+    globalThis.fetch = async (url, { redirect }) => {
+        assert.equal(redirect, 'manual');
+        requested.push(url);
+        const [status, location] = routes[url] || [404];
+        return new Response(status < 300 || status >= 400 ? `réponse de ${url}` : null, {
+            status,
+            headers: location ? { Location: location } : {}
+        });
+    };
+    return requested;
+}
+
+// Requête au proxy par http.get : fetch est remplacé par le faux amont
+function request(server, pathname, headers = {}) {
+    const { port } = server.address();
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: pathname, headers }, res => {
+            let body = '';
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+function get(server, target) {
+    return request(server, `/proxy?url=${encodeURIComponent(target)}`);
+}
+
+async function withProxy(fn) {
+    const { warn, log } = console;
+    console.warn = console.log = () => {};
+    const server = createServer().listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+        return await fn(server);
+    } finally {
+        server.close();
+        Object.assign(console, { warn, log });
+    }
+}
+
+test('redirection vers un hôte autorisé : suivie', async () => {
+    const requested = serveUpstream({
+        'https://api.cquest.org/dvf?code_commune=01053': [301, '/dvf/v2?code_commune=01053'],
+        'https://api.cquest.org/dvf/v2?code_commune=01053': [200]
+    });
+    const { status, body } = await withProxy(server => get(server, 'https://api.cquest.org/dvf?code_commune=01053'));
+    
+    assert.equal(status, 200);
+    assert.equal(body, 'réponse de https://api.cquest.org/dvf/v2?code_commune=01053');
+    assert.equal(requested.length, 2);
+});
+
+test('redirection hors de la liste : refusée sans être suivie', async () => {
+    const requested = serveUpstream({
+        'https://www.linternaute.com/ville/': [302, 'http://169.254.169.254/latest/meta-data/']
+    });
+    const { status, body } = await withProxy(server => get(server, 'https://www.linternaute.com/ville/'));
+    
+    assert.equal(status, 403);
+    assert.match(JSON.parse(body).error, /Redirection refusée \(Hôte non autorisé : 169\.254\.169\.254\)/);
+    assert.deepEqual(requested, ['https://www.linternaute.com/ville/']);
+});
+
+test('boucle de redirections : abandonnée après maxRedirects', async () => {
+    const requested = serveUpstream({
+        'https://www.meilleursagents.com/a': [302, '/b'],
+        'https://www.meilleursagents.com/b': [302, '/a']
+    });
+    const { status } = await withProxy(server => get(server, 'https://www.meilleursagents.com/a'));
+    
+    assert.equal(status, 502);
+    assert.equal(requested.length, CONFIG.maxRedirects + 1);
+});
+
+test('requête mal formée : 400, le serveur continue de répondre', async () => {
+    await withProxy(async server => {
+        assert.equal((await request(server, '/%E0%A4%A')).status, 400);
+        assert.equal((await request(server, '/', { Host: 'a b' })).status, 400);
+        
+        const health = await request(server, '/health');
+        assert.equal(health.status, 200);
+        assert.equal(JSON.parse(health.body).service, 'secteur-analyzer-proxy');
+    });
+});
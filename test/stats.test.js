@@ -0,0 +1,165 @@
+/**
+ * Statistiques (core.js) : regroupement des lignes DVF en mutations, exclusion des ventes
+ * inexploitables et des valeurs aberrantes, indicateurs par type de bien.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeTransactionEtalab,
+    groupMutations,
+    filterOutliers,
+    OUTLIER_CONFIG,
+    calculateStats,
+    calculateHousingDistribution,
+    median,
+    quantile
+} from '../core.js';
+
+// Ligne DVF au format de l'API Etalab
+function ligne(id, date, typeLocal, surface, prix, fields = {}) {
+    return normalizeTransactionEtalab({
+        id_mutation: id,
+        date_mutation: date,
+        valeur_fonciere: String(prix),
+        code_postal: '01000',
+        code_commune: '01053',
+        type_local: typeLocal,
+        surface_reelle_bati: typeLocal ? String(surface) : null,
+        surface_terrain: typeLocal ? null : String(surface),
+        nombre_pieces_principales: '3',
+        ...fields
+    });
+}
+
+// 7 appartements de 2 000 à 2 600 €/m², un à 9 000 €/m² (aberrant), 3 maisons
+const lignes = [
+    ...[2000, 2100, 2200, 2300, 2400, 2500, 2600, 9000].map((prixM2, i) =>
+        ligne(`A${i}`, i < 4 ? '2022-05-10' : '2023-05-10', 'Appartement', 50, prixM2 * 50)),
+    ...[2000, 2500, 3000].map((prixM2, i) =>
+        ligne(`M${i}`, '2023-09-01', 'Maison', 100, prixM2 * 100, { surface_terrain: '400' })),
+    // Cession à l'euro symbolique
+    ligne('S1', '2023-01-15', 'Appartement', 40, 1),
+    // Maison et commerce vendus ensemble
+    ligne('X1', '2023-02-01', 'Maison', 90, 300000),
+    ligne('X1', '2023-02-01', 'Local industriel. commercial ou assimilé', 60, 300000),
+    // Immeuble vendu en bloc : 12 appartements
+    ...Array.from({ length: 12 }, (_, i) =>
+        ligne('B1', '2023-03-01', 'Appartement', 45, 1800000, { lot1_numero: String(i + 1) }))
+];
+
+test('médiane et quantiles', () => {
+    assert.equal(median([3, 1, 2]), 2);
+    assert.equal(median([1, 2, 3, 4]), 3);
+    assert.equal(quantile([10, 20, 30, 40], 0.25), 17.5);
+    assert.equal(quantile([], 0.5), 0);
+});
+
+test('regroupement : une vente par mutation, lots et usages cumulés', () => {
+    const mutations = groupMutations(lignes);
+    assert.equal(mutations.length, 14);
+    
+    const mixte = mutations.find(t => t.idMutation === 'X1');
+    assert.equal(mixte.type, 'Maison');
+    assert.equal(mixte.surface, 150);
+    assert.equal(mixte.mixte, true);
+    
+    const bloc = mutations.find(t => t.idMutation === 'B1');
+    assert.equal(bloc.nbLots, 12);
+    assert.equal(bloc.surface, 540);
+    assert.equal(bloc.prixM2, 3333);
+});
+
+test('regroupement sans identifiant : lots du même jour au même prix séparés par adresse', () => {
+    // Programme neuf : deux appartements vendus le même jour au même prix, à deux adresses
+    const lots = [
+        ligne('', '2023-06-30', 'Appartement', 40, 100000, { adresse_numero: '2', adresse_nom_voie: 'RUE DES LILAS' }),
+        ligne('', '2023-06-30', 'Appartement', 42, 100000, { adresse_numero: '4', adresse_nom_voie: 'RUE DES LILAS' }),
+        // Maison et parcelle annexe au nom du lieu-dit : une seule vente
+        ligne('', '2023-06-30', 'Maison', 110, 297000, { adresse_numero: '8', adresse_nom_voie: 'CHE DES SARDIERES', surface_terrain: '540' }),
+        ligne('', '2023-06-30', null, 120, 297000, { adresse_nom_voie: 'LES SARDIERES' })
+    ];
+    const mutations = groupMutations(lots);
+    
+    assert.deepEqual(mutations.map(t => [t.type, t.surface, t.prixM2]), [
+        ['Appartement', 40, 2500],
+        ['Appartement', 42, 2381],
+        ['Maison', 110, 2700]
+    ]);
+    assert.equal(mutations[2].surfaceTerrain, 660);
+});
+
+test('valeurs aberrantes : motifs d\'exclusion et rejet statistique par type', () => {
+    const { kept, quality } = filterOutliers(groupMutations(lignes));
+    
+    assert.equal(kept.length, 10);
+    assert.deepEqual(quality.reasons.map(r => [r.reason, r.count]), [
+        ['mixte', 1],
+        ['prixSymbolique', 1],
+        ['venteEnBloc', 1],
+        ['statistique', 1]
+    ]);
+    // Écart interquartile sur 8 appartements : [2 175 - 525, 2 525 + 525]
+    assert.deepEqual(quality.byType.Appartement, {
+        method: 'iqr',
+        bounds: [1650, 3050],
+        candidates: 8,
+        kept: 7,
+        rejected: 1
+    });
+    // Moins de 4 ventes : pas de bornes statistiques
+    assert.equal(quality.byType.Maison.bounds, null);
+});
+
+test('valeurs aberrantes : méthode par type configurable (percentiles, aucune)', () => {
+    const rules = OUTLIER_CONFIG.byType.Appartement;
+    const method = rules.method;
+    try {
+        // Percentiles 5 / 95 sur 8 appartements : les deux extrêmes sont rognés
+        rules.method = 'percentile';
+        const rognage = filterOutliers(groupMutations(lignes)).quality.byType.Appartement;
+        assert.deepEqual(rognage.bounds, [2035, 6760]);
+        assert.equal(rognage.rejected, 2);
+        
+        rules.method = 'none';
+        const aucune = filterOutliers(groupMutations(lignes)).quality.byType.Appartement;
+        assert.equal(aucune.bounds, null);
+        assert.equal(aucune.kept, 8);
+    } finally {
+        rules.method = method;
+    }
+});
+
+test('indicateurs par type, évolution annuelle et période couverte', () => {
+    const stats = calculateStats(groupMutations(lignes), { population: 41365, surface: 2386 });
+    
+    assert.equal(stats.totalTransactions, 14);
+    assert.equal(stats.validTransactions, 10);
+    assert.equal(stats.mixedTransactions, 1);
+    assert.deepEqual(stats.period, { from: 2022, to: 2023 });
+    assert.deepEqual(stats.priceStats.Appartement, {
+        count: 7, min: 2000, max: 2600, avg: 2300, median: 2300, q1: 2150, q3: 2450
+    });
+    assert.deepEqual(stats.priceStats.Maison, {
+        count: 3, min: 2000, max: 3000, avg: 2500, median: 2500, q1: 2250, q3: 2750
+    });
+    assert.deepEqual(stats.yearlyByType.Appartement.map(y => [y.year, y.count, y.medianPrice]), [
+        [2022, 4, 2150],
+        [2023, 3, 2500]
+    ]);
+    // 41 365 habitants sur 23,86 km²
+    assert.equal(stats.density, 1734);
+});
+
+test('répartition par tranche de surface', () => {
+    const transactions = [25, 45, 55, 70, 110, 150].map(surface => ({ surface }));
+    assert.deepEqual(calculateHousingDistribution(transactions).map(b => [b.label, b.count, b.percent]), [
+        ['Moins de 30m²', 1, 17],
+        ['30 à 60m²', 2, 33],
+        ['60 à 80m²', 1, 17],
+        ['80 à 100m²', 0, 0],
+        ['100 à 120m²', 1, 17],
+        ['Plus de 120m²', 1, 17]
+    ]);
+    assert.equal(calculateHousingDistribution([])[0].percent, 0);
+});